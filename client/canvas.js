@@ -7,14 +7,22 @@ const remoteCtx = remoteCanvas.getContext('2d');
 // WebSocket Manager (already created globally in websocket.js)
 // Just use the global wsManager instance
 
-// Resize canvas to fill container
+// Server (Render URL or localhost for dev)
+const SERVER_URL = 'https://realtimecanvas.onrender.com'; // Update with your actual Render URL
+
+// Largest board file the server accepts
+const MAX_BOARD_FILE_BYTES = 32 * 1024 * 1024;
+
+// Resize canvas to fill container (the drawing lives in world coordinates,
+// so resizing only changes how much of it is visible)
 function resizeCanvas() {
     const container = document.querySelector('.canvas-container');
     canvas.width = container.clientWidth;
     canvas.height = container.clientHeight;
     remoteCanvas.width = container.clientWidth;
     remoteCanvas.height = container.clientHeight;
-    redrawCanvas();
+    renderBoard();
+    repositionRemoteCursors();
 }
 
 window.addEventListener('resize', resizeCanvas);
@@ -35,18 +43,52 @@ const MAX_HISTORY = 50;
 
 // Current stroke/group id for grouping brush/eraser segments
 let currentStrokeId = null;
+let currentStrokePoints = [];   // Points of our brush/eraser stroke in progress
+let currentStrokeOffline = false; // Stroke is queued instead of sent live (see offline.js)
+let currentStrokeSent = 0;      // How many of its points have gone out
+let strokeFlushFrame = null;    // Pending animation frame that sends the new ones
+// Points per stroke-append batch (MAX_APPEND_POINTS in the server's protocol.js)
+const MAX_APPEND_POINTS = 256;
+
+// Room document mirrored from the server's operation log
+let boardStrokes = [];
+let lastSeq = 0;                // Sequence number of the last applied operation
+const pendingOps = new Map();   // seq → operation received after a gap
+let syncRequested = false;
+let roomJoined = false;         // We have the document; false while disconnected or rejoining
 
 // User Information
 let currentUser = {
+    id: null,                   // Participant ID, assigned by the server ('session')
     name: localStorage.getItem('userName') || 'Anonymous',
     roomId: localStorage.getItem('roomId') || 'LOADING',
     isHost: localStorage.getItem('isHost') === 'true',
+    role: null,                 // 'host' | 'editor' | 'viewer', assigned by the server
     color: generateUserColor()
 };
 
+// Locked boards only accept drawing from hosts
+let boardLocked = false;
+
 // Remote Users
 const remoteUsers = new Map();
 
+// ============ Viewport ============
+// Strokes, shapes and cursors use world coordinates shared by everyone.
+// Each user looks at the world through their own viewport:
+//   screen = (world - viewport.x/y) * viewport.scale
+const viewport = { x: 0, y: 0, scale: 1 };
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 8;
+let isSpacePressed = false;
+let isPanning = false;
+let panLastX = 0;
+let panLastY = 0;
+let renderScheduled = false;
+let ownStrokesSettleScheduled = false;
+// Stroke messages we sent whose ops have not come back: strokeId → how many
+const awaitedOwnOps = new Map();
+
 // ============ Initialization ============
 function initCanvas() {
     console.log('🔧 Initializing canvas...');
@@ -72,19 +114,23 @@ function initCanvas() {
         console.error('❌ roomIdDisplay element not found');
     }
 
+    // Nothing is editable until the server tells us our role
+    applyPermissions();
+
     // Save initial canvas state
     saveHistory();
 
-    // Setup event listeners
-    canvas.addEventListener('mousedown', startDrawing);
-    canvas.addEventListener('mousemove', handleMouseMove);
-    canvas.addEventListener('mouseup', stopDrawing);
-    canvas.addEventListener('mouseout', stopDrawing);
+    // Setup event listeners (mouse, touch and pen)
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
 
-    // Touch support
-    canvas.addEventListener('touchstart', handleTouchStart);
-    canvas.addEventListener('touchmove', handleTouchMove);
-    canvas.addEventListener('touchend', stopDrawing);
+    // Zoom and pan
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    window.addEventListener('keydown', handleViewportKeyDown);
+    window.addEventListener('keyup', handleViewportKeyUp);
+    updateZoomDisplay();
 
     // Connect WebSocket
     connectWebSocket();
@@ -95,23 +141,15 @@ function initCanvas() {
 // ============ WebSocket Connection ============
 async function connectWebSocket() {
     try {
-        // Connect to server (Render URL or localhost for dev)
-        const SERVER_URL = 'https://realtimecanvas.onrender.com'; // Update with your actual Render URL
+        // Connect to server
         await wsManager.connect(SERVER_URL);
 
-        // Join room
-        wsManager.joinRoom({
-            roomId: currentUser.roomId,
-            roomName: localStorage.getItem('roomName') || 'Room',
-            userName: currentUser.name,
-            userColor: currentUser.color,
-            capacity: localStorage.getItem('roomCapacity') || 5,
-            isHost: currentUser.isHost
-        });
-
         // Setup WebSocket listeners
         setupWebSocketListeners();
 
+        // Join room
+        joinCurrentRoom();
+
     } catch (error) {
         console.error('❌ WebSocket connection failed:', error);
         document.getElementById('statusDisplay').textContent = '❌ Connection Failed';
@@ -119,144 +157,188 @@ async function connectWebSocket() {
     }
 }
 
+function joinCurrentRoom() {
+    wsManager.joinRoom({
+        roomId: currentUser.roomId,
+        roomName: localStorage.getItem('roomName') || 'Room',
+        userName: currentUser.name,
+        userColor: currentUser.color,
+        capacity: parseInt(localStorage.getItem('roomCapacity'), 10) || 5,
+        isHost: currentUser.isHost,
+        password: localStorage.getItem('roomPassword') || undefined,
+        hostToken: localStorage.getItem(`hostToken:${currentUser.roomId}`) || undefined,
+        // Resume our earlier session (after a reconnect or reload) if we have one
+        participantId: sessionStorage.getItem(`participantId:${currentUser.roomId}`) || undefined,
+        sessionToken: sessionStorage.getItem(`sessionToken:${currentUser.roomId}`) || undefined
+    });
+}
+
+// Sessions are kept per tab: another tab joining the same room is someone new
+function forgetSession() {
+    sessionStorage.removeItem(`participantId:${currentUser.roomId}`);
+    sessionStorage.removeItem(`sessionToken:${currentUser.roomId}`);
+}
+
+// Credentials for room-scoped HTTP routes (exports) of protected rooms
+function roomAuthHeaders() {
+    const headers = {};
+    const hostToken = localStorage.getItem(`hostToken:${currentUser.roomId}`);
+    const password = localStorage.getItem('roomPassword');
+    if (hostToken) headers['X-Host-Token'] = hostToken;
+    if (password) headers['X-Room-Password'] = password;
+    return headers;
+}
+
 function setupWebSocketListeners() {
-    // Users list updated
+    // Room created - keep the host token, it is the only proof we are the host
+    wsManager.on('room-created', (data) => {
+        localStorage.setItem(`hostToken:${data.roomId}`, data.hostToken);
+        console.log('🔑 Host token stored for room', data.roomId);
+    });
+
+    // Our participant ID; a new session also comes with its token
+    wsManager.on('session', (data) => {
+        currentUser.id = data.userId;
+        if (data.sessionToken) {
+            sessionStorage.setItem(`participantId:${data.roomId}`, data.userId);
+            sessionStorage.setItem(`sessionToken:${data.roomId}`, data.sessionToken);
+        }
+    });
+
+    // Reconnected after a dropped connection - take our seat back
+    wsManager.on('connected', () => {
+        if (currentUser.id) joinCurrentRoom();
+    });
+
+    // Strokes drawn from now on are queued until we have rejoined
+    wsManager.on('disconnected', () => {
+        roomJoined = false;
+        resetOfflineBatch();
+    });
+
+    // Users list updated (sent when we join, so it replaces what we had)
     wsManager.on('users-list', (data) => {
+        const ids = new Set(data.users.map(user => user.id));
+        remoteUsers.forEach((user, userId) => {
+            if (!ids.has(userId)) removeRemoteUser(userId);
+        });
         data.users.forEach(user => {
-            if (user.id !== wsManager.socket.id) {
-                addRemoteUser(user.id, user.name, user.color);
+            if (user.id !== currentUser.id) {
+                addRemoteUser(user.id, user.name, user.color, user.role, user.online);
+            } else {
+                currentUser.role = user.role;
+                currentUser.color = user.color;
             }
         });
         updateUsersCount();
+        applyPermissions();
     });
 
     // User joined
     wsManager.on('user-joined', (data) => {
         console.log(`👤 ${data.userName} joined the room`);
-        addRemoteUser(data.userId, data.userName, data.userColor);
+        addRemoteUser(data.userId, data.userName, data.userColor, data.role);
         updateUsersCount();
+        addChatNotice(`${data.userName} joined`);
     });
 
     // User left
     wsManager.on('user-left', (data) => {
         console.log(`👤 User left the room`);
+        const user = remoteUsers.get(data.userId);
+        if (user) addChatNotice(`${user.name} left`);
         removeRemoteUser(data.userId);
+        removeRemoteTextEdit(data.userId);
         updateUsersCount();
     });
 
-    // Remote drawing
-    wsManager.on('remote-draw', (data) => {
-        drawLineRemote(data.fromX, data.fromY, data.toX, data.toY, data.color, data.width, data.tool);
+    // Someone's connection dropped (their seat is held for a while) or came back
+    wsManager.on('user-status', (data) => {
+        const user = remoteUsers.get(data.userId);
+        if (!user) return;
+        user.online = data.online;
+        if (!data.online) {
+            const cursor = document.getElementById(`cursor-${data.userId}`);
+            if (cursor) cursor.remove();
+            removeRemoteTextEdit(data.userId);
+        }
+        updateUsersCount();
     });
 
-    // Remote line drawing
-    wsManager.on('remote-draw-line', (data) => {
-        drawLineRemote(data.fromX, data.fromY, data.toX, data.toY, data.color, data.width, data.tool);
+    // Someone's role changed (possibly ours)
+    wsManager.on('role-changed', (data) => {
+        if (data.userId === currentUser.id) {
+            currentUser.role = data.role;
+            console.log(`🛡️ Your role is now ${data.role}`);
+            applyPermissions();
+        } else if (remoteUsers.has(data.userId)) {
+            remoteUsers.get(data.userId).role = data.role;
+        }
+        updateUsersCount();
+        flushOfflineStrokes();
     });
 
-    // Remote clear canvas
-    wsManager.on('remote-clear-canvas', () => {
-        console.log('Received remote clear-canvas — clearing both canvases');
-        // Clear both canvases and reset local history/redo
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        remoteCtx.clearRect(0, 0, remoteCanvas.width, remoteCanvas.height);
-        history.length = 0;
-        redoStack.length = 0;
-        // Save initial cleared state
-        history.push(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    // Board locked or unlocked by a host
+    wsManager.on('board-locked', (data) => {
+        boardLocked = data.locked;
+        applyPermissions();
+        flushOfflineStrokes();
     });
 
-    // Full history update (after undo/redo/clear)
-    wsManager.on('full-history-update', (data) => {
-        console.log('\n>>>> FULL HISTORY UPDATE RECEIVED <<<<');
-        console.log('Strokes in updated history:', data.history?.length || 0);
-        
-        // Clear both canvases completely
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        remoteCtx.clearRect(0, 0, remoteCanvas.width, remoteCanvas.height);
-        
-        // Clear local history
-        history.length = 0;
-        redoStack.length = 0;
-        
-        // Redraw ALL strokes from the server's history
-        if (data.history && data.history.length > 0) {
-            console.log(`Redrawing ${data.history.length} strokes from server history...`);
-            
-            data.history.forEach((stroke, idx) => {
-                // console.log(`  [${idx}] Drawing ${stroke.tool} at (${stroke.fromX}, ${stroke.fromY})`);
-                
-                // Draw on BOTH canvases - one for local display, one for composite
-                // On remote context
-                if (stroke.tool === 'eraser') {
-                    remoteCtx.clearRect(stroke.fromX - stroke.width / 2, stroke.fromY - stroke.width / 2, stroke.width, stroke.width);
-                    remoteCtx.clearRect(stroke.toX - stroke.width / 2, stroke.toY - stroke.width / 2, stroke.width, stroke.width);
-                } else if (stroke.tool === 'rectangle') {
-                    remoteCtx.strokeStyle = stroke.color;
-                    remoteCtx.lineWidth = stroke.width;
-                    remoteCtx.strokeRect(stroke.fromX, stroke.fromY, stroke.toX - stroke.fromX, stroke.toY - stroke.fromY);
-                } else if (stroke.tool === 'circle') {
-                    const radius = Math.sqrt(Math.pow(stroke.toX - stroke.fromX, 2) + Math.pow(stroke.toY - stroke.fromY, 2));
-                    remoteCtx.strokeStyle = stroke.color;
-                    remoteCtx.lineWidth = stroke.width;
-                    remoteCtx.beginPath();
-                    remoteCtx.arc(stroke.fromX, stroke.fromY, radius, 0, 2 * Math.PI);
-                    remoteCtx.stroke();
-                } else {
-                    remoteCtx.beginPath();
-                    remoteCtx.moveTo(stroke.fromX, stroke.fromY);
-                    remoteCtx.lineTo(stroke.toX, stroke.toY);
-                    remoteCtx.strokeStyle = stroke.color;
-                    remoteCtx.lineWidth = stroke.width;
-                    remoteCtx.lineCap = 'round';
-                    remoteCtx.lineJoin = 'round';
-                    remoteCtx.stroke();
-                    remoteCtx.closePath();
-                }
-                
-                // On main context
-                if (stroke.tool === 'eraser') {
-                    ctx.clearRect(stroke.fromX - stroke.width / 2, stroke.fromY - stroke.width / 2, stroke.width, stroke.width);
-                    ctx.clearRect(stroke.toX - stroke.width / 2, stroke.toY - stroke.width / 2, stroke.width, stroke.width);
-                } else if (stroke.tool === 'rectangle') {
-                    ctx.strokeStyle = stroke.color;
-                    ctx.lineWidth = stroke.width;
-                    ctx.strokeRect(stroke.fromX, stroke.fromY, stroke.toX - stroke.fromX, stroke.toY - stroke.fromY);
-                } else if (stroke.tool === 'circle') {
-                    const radius = Math.sqrt(Math.pow(stroke.toX - stroke.fromX, 2) + Math.pow(stroke.toY - stroke.fromY, 2));
-                    ctx.strokeStyle = stroke.color;
-                    ctx.lineWidth = stroke.width;
-                    ctx.beginPath();
-                    ctx.arc(stroke.fromX, stroke.fromY, radius, 0, 2 * Math.PI);
-                    ctx.stroke();
-                } else {
-                    ctx.beginPath();
-                    ctx.moveTo(stroke.fromX, stroke.fromY);
-                    ctx.lineTo(stroke.toX, stroke.toY);
-                    ctx.strokeStyle = stroke.color;
-                    ctx.lineWidth = stroke.width;
-                    ctx.lineCap = 'round';
-                    ctx.lineJoin = 'round';
-                    ctx.stroke();
-                    ctx.closePath();
-                }
-            });
-            
-            console.log(`Successfully redrawn all strokes`);
-        } else {
-            console.log(`No strokes in history, canvas cleared`);
+    // The server refused an action our role does not allow
+    wsManager.on('permission-denied', (data) => {
+        console.warn(`⛔ ${data.action}: ${data.message}`);
+        if (data.action === 'update-strokes') discardSelectionPreview();
+        if (data.action === 'offline-strokes') handleOfflineStrokesRefused('permission');
+        // Drop local pixels of a stroke the server did not take
+        if (data.action === 'draw') {
+            awaitedOwnOps.clear();
+            scheduleRender();
         }
-        
-        // Save initial state after redraw
-        history.push(ctx.getImageData(0, 0, canvas.width, canvas.height));
-        console.log(`>>>> HISTORY UPDATE COMPLETE <<<<\n`);
+        if (data.action !== 'draw') {
+            alert(`⛔ ${data.message}`);
+        }
+    });
+
+    // Image upload refused by the server
+    wsManager.on('image-error', handleImageError);
+    wsManager.on('offline-strokes-synced', handleOfflineStrokesSynced);
+    wsManager.on('chat-message', handleChatMessage);
+
+    // Someone is typing in a text box
+    wsManager.on('text-preview', handleRemoteTextPreview);
+
+    // Room document operations (strokes, undo/redo, clear)
+    wsManager.on('room-op', handleRoomOp);
+
+    // Operations re-sent after a sync request
+    wsManager.on('sync-ops', (data) => {
+        syncRequested = false;
+        data.ops.forEach(handleRoomOp);
     });
 
-    // Drawing history
+    // Full document (on join, or when a gap is too old to fill op by op)
     wsManager.on('drawing-history', (data) => {
-        data.history.forEach(stroke => {
-            drawLineRemote(stroke.fromX, stroke.fromY, stroke.toX, stroke.toY, stroke.color, stroke.width, stroke.tool);
+        boardStrokes = data.history || [];
+        setBoardLayers(data.layers);
+        // Only sent on join, not with a resync
+        if (data.chat) setChatHistory(data.chat);
+        setBoardComments(data.comments);
+        lastSeq = data.seq || 0;
+        syncRequested = false;
+        roomJoined = true;
+        // Strokes sent before a dropped connection may never come back
+        awaitedOwnOps.clear();
+        renderBoard();
+
+        // Apply anything that arrived while waiting for the document
+        pendingOps.forEach((op, seq) => {
+            if (seq <= lastSeq) pendingOps.delete(seq);
         });
+        drainPendingOps();
+
+        // Now send what we drew while away
+        flushOfflineStrokes();
     });
 
     // Remote cursor move
@@ -268,32 +350,465 @@ function setupWebSocketListeners() {
         }
     });
 
+    // Event rejected by the server's protocol checks (bad payload or rate limit)
+    wsManager.on('protocol-error', (data) => {
+        console.warn(`⚠️ Server rejected ${data.event} (${data.code}): ${data.message}`);
+
+        if (data.event === 'join-room') {
+            alert(`❌ Could not join room: ${data.message}`);
+            window.location.href = 'index.html';
+        } else if (data.event === 'import-board') {
+            alert(`❌ Could not open board: ${data.message}`);
+        } else if (['draw', 'draw-line', 'stroke-append', 'add-text', 'add-connector', 'fill'].includes(data.event)) {
+            // Drop local pixels the server did not accept
+            awaitedOwnOps.clear();
+            scheduleRender();
+        } else if (data.event === 'update-strokes') {
+            discardSelectionPreview();
+        } else if (data.event === 'offline-strokes') {
+            handleOfflineStrokesRefused(data.code);
+        }
+    });
+
+    // Board file rejected by the server
+    wsManager.on('board-import-error', (data) => {
+        alert(`❌ Could not open board: ${data.message}`);
+    });
+
     // Room error
     wsManager.on('room-error', (data) => {
+        if (data.code === 'PASSWORD_REQUIRED' || data.code === 'WRONG_PASSWORD') {
+            const password = prompt(data.code === 'WRONG_PASSWORD'
+                ? '🔒 Wrong password. Try again:'
+                : '🔒 This room is password protected. Enter the password:');
+            if (password) {
+                localStorage.setItem('roomPassword', password);
+                joinCurrentRoom();
+                return;
+            }
+        }
+
         alert(data.message);
+        localStorage.removeItem('roomPassword');
+        window.location.href = 'index.html';
+    });
+
+    // Room deleted by host
+    wsManager.on('room-deleted', () => {
+        if (!currentUser.isHost) {
+            alert('⚠️ This room was deleted by the host');
+        }
+        localStorage.removeItem(`hostToken:${currentUser.roomId}`);
+        localStorage.removeItem('roomId');
+        localStorage.removeItem('isHost');
+        localStorage.removeItem('roomPassword');
         window.location.href = 'index.html';
     });
 }
 
+// ============ Room Document Sync ============
+function handleRoomOp(op) {
+    // Already applied (e.g. delivered again by a sync)
+    if (op.seq <= lastSeq) return;
+
+    pendingOps.set(op.seq, op);
+    drainPendingOps();
+}
+
+// Apply queued operations in sequence order; ask for a missing range if stuck
+function drainPendingOps() {
+    while (pendingOps.has(lastSeq + 1)) {
+        const op = pendingOps.get(lastSeq + 1);
+        pendingOps.delete(op.seq);
+        applyRoomOp(op);
+        lastSeq = op.seq;
+    }
+
+    if (pendingOps.size > 0 && !syncRequested && wsManager.isSocketConnected()) {
+        console.warn(`Missing operations after #${lastSeq}, requesting sync`);
+        syncRequested = true;
+        wsManager.requestSync(lastSeq + 1);
+    }
+}
+
+function applyRoomOp(op) {
+    const isOwn = op.userId === currentUser.id;
+
+    if (op.type === 'add-stroke') {
+        boardStrokes.push(op.stroke);
+        drawOnLayer(op.stroke);
+        if (isOwn) ownOpLanded(op.stroke.strokeId);
+    } else if (op.type === 'extend-stroke') {
+        const stroke = findBoardStroke(op.strokeId);
+        if (!stroke) return;
+        const count = stroke.points.length;
+        const lastPoint = stroke.points[count - 1];
+        stroke.points.push(...op.points);
+        if (stroke.tool === 'brush') {
+            redrawLayerRegion(strokeLayerId(stroke), brushTailRegion(stroke.points, count, stroke.style.width));
+        } else {
+            drawOnLayer({ ...stroke, points: [lastPoint, ...op.points] });
+        }
+        if (isOwn) ownOpLanded(op.strokeId);
+    } else if (op.type === 'remove-strokes') {
+        boardStrokes = boardStrokes.filter(stroke => !op.strokeIds.includes(stroke.strokeId));
+        renderBoard();
+    } else if (op.type === 'restore-strokes') {
+        // Restored strokes go back on top of their layer, so drawing them is enough
+        op.strokes.forEach(stroke => {
+            boardStrokes.push(stroke);
+            drawOnLayer(stroke);
+        });
+    } else if (op.type === 'update-strokes') {
+        const updated = new Map(op.strokes.map(stroke => [stroke.strokeId, stroke]));
+        boardStrokes = boardStrokes.map(stroke => updated.get(stroke.strokeId) || stroke);
+        // Our select tool edit has landed; stop previewing it
+        if (isOwn) selection.preview = null;
+        renderBoard();
+    } else if (op.type === 'replace-strokes') {
+        boardStrokes = op.strokes;
+        if (op.layers) setBoardLayers(op.layers);
+        fillImages.clear();
+        renderBoard();
+    } else if (op.type === 'clear') {
+        boardStrokes = [];
+        fillImages.clear();
+        renderBoard();
+    } else if (op.type === 'add-layer' || op.type === 'update-layer' || op.type === 'reorder-layers') {
+        applyLayerOp(op, isOwn);
+    } else if (op.type === 'add-comment' || op.type === 'reply-comment' || op.type === 'resolve-comment') {
+        applyCommentOp(op);
+    }
+}
+
+function findBoardStroke(strokeId) {
+    for (let i = boardStrokes.length - 1; i >= 0; i--) {
+        if (boardStrokes[i].strokeId === strokeId) return boardStrokes[i];
+    }
+    return null;
+}
+
+// Redraw the whole board from the local copy of the document
+function renderBoard() {
+    clearLocalCanvas();
+    renderLayers(displayedBoardStrokes());
+
+    renderSelectionOverlay();
+    // Pins follow their strokes and the viewport
+    renderCommentPins();
+
+    // Keep the replay view in step with zooming, panning and resizes
+    if (replay.active) renderReplayFrame();
+}
+
+// The strokes the layers show, in drawing order
+function displayedBoardStrokes() {
+    // Strokes we drew offline are shown until the server has them
+    const strokes = [...boardStrokes, ...unsyncedBoardStrokes()];
+    return strokes.filter(stroke => !isTextBeingEdited(stroke.strokeId)).map(displayedStroke);
+}
+
+// Batch re-renders caused by zooming/panning into one per frame
+function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    requestAnimationFrame(() => {
+        renderScheduled = false;
+        renderBoard();
+    });
+}
+
+// Clear the top canvas, where we draw our strokes before the server has them
+function clearLocalCanvas() {
+    clearLayer(ctx);
+    applyViewportTransform(ctx);
+
+    // Reset local shape-preview history to the cleared state
+    history.length = 0;
+    redoStack.length = 0;
+    history.push(ctx.getImageData(0, 0, canvas.width, canvas.height));
+}
+
+// Note a stroke message we are sending, so its local preview stays until
+// its op comes back
+function awaitOwnOp(strokeId) {
+    awaitedOwnOps.set(strokeId, (awaitedOwnOps.get(strokeId) || 0) + 1);
+}
+
+function ownOpLanded(strokeId) {
+    const left = (awaitedOwnOps.get(strokeId) || 0) - 1;
+    if (left > 0) {
+        awaitedOwnOps.set(strokeId, left);
+    } else {
+        awaitedOwnOps.delete(strokeId);
+    }
+    scheduleOwnStrokesSettle();
+}
+
+// Our strokes arrived as ops and are on their layers now; once we are not
+// drawing and none are still on their way, take them off the top canvas so
+// layer order, opacity and hiding apply to them too
+function scheduleOwnStrokesSettle() {
+    if (ownStrokesSettleScheduled) return;
+    ownStrokesSettleScheduled = true;
+    requestAnimationFrame(() => {
+        ownStrokesSettleScheduled = false;
+        if (isDrawing) {
+            scheduleOwnStrokesSettle();
+            return;
+        }
+        // The last op to land settles them all
+        if (awaitedOwnOps.size > 0) return;
+        clearLocalCanvas();
+        renderSelectionOverlay();
+    });
+}
+
+// ============ Viewport Functions ============
+function screenToWorld(screenX, screenY) {
+    return {
+        x: screenX / viewport.scale + viewport.x,
+        y: screenY / viewport.scale + viewport.y
+    };
+}
+
+function worldToScreen(x, y) {
+    return {
+        x: (x - viewport.x) * viewport.scale,
+        y: (y - viewport.y) * viewport.scale
+    };
+}
+
+// World position of a pointer (or drag and drop) event
+function getEventPosition(e) {
+    const rect = canvas.getBoundingClientRect();
+    return screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+}
+
+function applyViewportTransform(context) {
+    const { x, y, scale } = viewport;
+    context.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+}
+
+// Clear the whole visible layer regardless of the current transform
+function clearLayer(context) {
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+    context.restore();
+}
+
+function setViewport(x, y, scale) {
+    viewport.x = x;
+    viewport.y = y;
+    viewport.scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+    updateZoomDisplay();
+    repositionRemoteCursors();
+    scheduleRender();
+}
+
+// Zoom keeping the world point under (screenX, screenY) in place
+function zoomAt(screenX, screenY, factor) {
+    const anchor = screenToWorld(screenX, screenY);
+    const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, viewport.scale * factor));
+    setViewport(anchor.x - screenX / scale, anchor.y - screenY / scale, scale);
+}
+
+function zoomBy(factor) {
+    zoomAt(canvas.width / 2, canvas.height / 2, factor);
+}
+
+function zoomToFit() {
+    const bounds = getBoardBounds();
+    if (!bounds) {
+        setViewport(0, 0, 1);
+        return;
+    }
+
+    const padding = 40;
+    const scale = Math.min(
+        (canvas.width - padding * 2) / Math.max(bounds.width, 1),
+        (canvas.height - padding * 2) / Math.max(bounds.height, 1),
+        MAX_ZOOM
+    );
+    const clamped = Math.max(MIN_ZOOM, scale);
+    setViewport(
+        bounds.x + bounds.width / 2 - canvas.width / 2 / clamped,
+        bounds.y + bounds.height / 2 - canvas.height / 2 / clamped,
+        clamped
+    );
+}
+
+// World-space bounding box of everything on the board
+function getBoardBounds(strokes = boardStrokes) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    strokes.forEach((stroke) => {
+        const bounds = getStrokeBounds(stroke);
+        if (!bounds) return;
+        minX = Math.min(minX, bounds.x);
+        minY = Math.min(minY, bounds.y);
+        maxX = Math.max(maxX, bounds.x + bounds.width);
+        maxY = Math.max(maxY, bounds.y + bounds.height);
+    });
+
+    if (minX === Infinity) return null;
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// World-space bounding box of one stroke (null for eraser strokes)
+function getStrokeBounds(stroke) {
+    if (stroke.tool === 'eraser' || !stroke.points || stroke.points.length === 0) return null;
+    if (stroke.tool === 'text') return getTextBox(stroke);
+    let reach = stroke.tool === 'fill' || stroke.tool === 'image' ? 0 : stroke.style.width / 2;
+    let points = stroke.points;
+
+    if (stroke.tool === 'circle') {
+        const [cx, cy] = stroke.points[0];
+        const [ex, ey] = stroke.points[stroke.points.length - 1];
+        const radius = Math.sqrt(Math.pow(ex - cx, 2) + Math.pow(ey - cy, 2));
+        points = [[cx - radius, cy - radius], [cx + radius, cy + radius]];
+    } else if (stroke.tool === 'rectangle') {
+        points = getRectangleCorners(stroke);
+    } else if (stroke.tool === 'connector') {
+        points = routeConnector(stroke);
+        reach = Math.max(reach, connectorHeadSize(stroke.style.width) / 2);
+    } else if (stroke.tool === 'brush') {
+        reach = points.reduce((widest, point) => Math.max(widest, pressureWidth(stroke.style.width, point[2])), 0) / 2;
+    }
+
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const minX = Math.min(...xs) - reach;
+    const minY = Math.min(...ys) - reach;
+    return { x: minX, y: minY, width: Math.max(...xs) + reach - minX, height: Math.max(...ys) + reach - minY };
+}
+
+// Corners of a rectangle stroke, turned by its rotation (radians) about the center
+function getRectangleCorners(stroke) {
+    const [x1, y1] = stroke.points[0];
+    const [x2, y2] = stroke.points[stroke.points.length - 1];
+    const corners = [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+    if (!stroke.rotation) return corners;
+
+    const cx = (x1 + x2) / 2;
+    const cy = (y1 + y2) / 2;
+    const cos = Math.cos(stroke.rotation);
+    const sin = Math.sin(stroke.rotation);
+    return corners.map(([x, y]) => [cx + (x - cx) * cos - (y - cy) * sin, cy + (x - cx) * sin + (y - cy) * cos]);
+}
+
+function handleWheel(e) {
+    e.preventDefault();
+    const rect = canvas.getBoundingClientRect();
+    // Trackpads send small deltas, mouse wheels large ones
+    const factor = Math.exp(-e.deltaY * 0.0015);
+    zoomAt(e.clientX - rect.left, e.clientY - rect.top, factor);
+}
+
+function isTypingTarget(target) {
+    return target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+}
+
+// Hold space and drag to pan
+function handleViewportKeyDown(e) {
+    if (e.code !== 'Space' || isTypingTarget(e.target)) return;
+    e.preventDefault();
+    if (!isSpacePressed) {
+        isSpacePressed = true;
+        canvas.style.cursor = 'grab';
+    }
+}
+
+function handleViewportKeyUp(e) {
+    if (e.code !== 'Space' || isTypingTarget(e.target)) return;
+    e.preventDefault();
+    isSpacePressed = false;
+    isPanning = false;
+    selectTool(currentTool); // Restore the tool's cursor
+}
+
+function updateZoomDisplay() {
+    const zoomDisplay = document.getElementById('zoomDisplay');
+    if (zoomDisplay) {
+        zoomDisplay.textContent = `${Math.round(viewport.scale * 100)}%`;
+    }
+}
+
 // ============ Drawing Functions ============
-function startDrawing(e) {
+// Mouse, touch and pen all arrive as Pointer Events. Only the primary pointer
+// draws; the canvas captures it so a drag that leaves the canvas still ends
+// with pointerup.
+function handlePointerDown(e) {
+    if (!e.isPrimary) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    if (isSpacePressed) {
+        isPanning = true;
+        panLastX = e.clientX;
+        panLastY = e.clientY;
+        canvas.style.cursor = 'grabbing';
+        return;
+    }
+
+    // Viewers can comment too
+    if (currentTool === 'comment') {
+        if (!replay.active) commentPointerDown(getEventPosition(e));
+        return;
+    }
+    if (!canEditBoard()) return;
+
+    if (currentTool === 'select') {
+        selectionPointerDown(getEventPosition(e), e);
+        return;
+    }
+    if (!checkActiveLayer()) return;
+    if (currentTool === 'text') {
+        textPointerDown(getEventPosition(e), e);
+        return;
+    }
+    if (currentTool === 'bucket') {
+        bucketFill(getEventPosition(e));
+        return;
+    }
+    if (currentTool === 'connector') {
+        connectorPointerDown(getEventPosition(e));
+        return;
+    }
+
     isDrawing = true;
-    const rect = canvas.getBoundingClientRect();
-    startX = e.clientX - rect.left;
-    startY = e.clientY - rect.top;
+    const pos = getEventPosition(e);
+    startX = pos.x;
+    startY = pos.y;
+    currentStrokePoints = [getPointerPoint(e)];
 
     // Start a new stroke id for this continuous stroke
     currentStrokeId = `s-${Date.now()}-${Math.floor(Math.random()*100000)}`;
+    currentStrokeOffline = shouldQueueStrokes();
 
     if (currentTool === 'line') {
         saveHistory();
     }
 }
 
-function handleMouseMove(e) {
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+function handlePointerMove(e) {
+    if (!e.isPrimary) return;
+
+    if (isPanning) {
+        setViewport(
+            viewport.x - (e.clientX - panLastX) / viewport.scale,
+            viewport.y - (e.clientY - panLastY) / viewport.scale,
+            viewport.scale
+        );
+        panLastX = e.clientX;
+        panLastY = e.clientY;
+        return;
+    }
+
+    const { x, y } = getEventPosition(e);
 
     // Update position display
     document.getElementById('posDisplay').textContent = `${Math.round(x)}, ${Math.round(y)}`;
@@ -303,158 +818,105 @@ function handleMouseMove(e) {
         wsManager.sendCursorMove(x, y);
     }
 
-    if (!isDrawing) return;
-
-    if (currentTool === 'brush') {
-        drawLine(startX, startY, x, y, currentColor, currentStrokeWidth);
-
-        // Send to others
-        if (wsManager && wsManager.isSocketConnected()) {
-            wsManager.sendDraw({
-                fromX: startX,
-                fromY: startY,
-                toX: x,
-                toY: y,
-                color: currentColor,
-                width: currentStrokeWidth,
-                tool: 'brush',
-                strokeId: currentStrokeId
-            });
-        }
-
-        startX = x;
-        startY = y;
-    } else if (currentTool === 'eraser') {
-        erase(x, y, currentStrokeWidth);
+    if (currentTool === 'select') {
+        if (canEditBoard()) selectionPointerMove({ x, y }, e);
+        return;
+    }
+    if (currentTool === 'connector') {
+        connectorPointerMove({ x, y });
+        return;
+    }
 
-        // Send to others
-        if (wsManager && wsManager.isSocketConnected()) {
-            wsManager.sendDraw({
-                fromX: startX,
-                fromY: startY,
-                toX: x,
-                toY: y,
-                color: 'transparent',
-                width: currentStrokeWidth,
-                tool: 'eraser',
-                strokeId: currentStrokeId
-            });
-        }
+    if (!isDrawing) return;
 
-        startX = x;
-        startY = y;
+    if (currentTool === 'brush' || currentTool === 'eraser') {
+        extendLocalStroke(getCoalescedPoints(e));
     } else if (currentTool === 'line' || currentTool === 'rectangle' || currentTool === 'circle') {
         // For shapes, redraw from history and then draw the preview shape on top
         if (history.length > 0) {
             ctx.putImageData(history[history.length - 1], 0, 0);
         } else {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            clearLayer(ctx);
         }
         
         if (currentTool === 'line') {
             drawLine(startX, startY, x, y, currentColor, currentStrokeWidth);
         } else if (currentTool === 'rectangle') {
-            drawRectangle(startX, startY, x, y, currentColor, currentStrokeWidth);
+            drawRectangle(startX, startY, x, y, currentColor, currentStrokeWidth, currentFill);
         } else if (currentTool === 'circle') {
-            drawCircle(startX, startY, x, y, currentColor, currentStrokeWidth);
+            drawCircle(startX, startY, x, y, currentColor, currentStrokeWidth, currentFill);
         }
     }
 }
 
-function handleTouchStart(e) {
-    const touch = e.touches[0];
-    const rect = canvas.getBoundingClientRect();
-    startX = touch.clientX - rect.left;
-    startY = touch.clientY - rect.top;
-    isDrawing = true;
+function handlePointerUp(e) {
+    if (!e.isPrimary) return;
 
-    // Start a new stroke id for touch strokes
-    currentStrokeId = `s-${Date.now()}-${Math.floor(Math.random()*100000)}`;
+    if (isPanning) {
+        isPanning = false;
+        if (isSpacePressed) canvas.style.cursor = 'grab';
+        return;
+    }
 
-    if (currentTool === 'line') {
-        saveHistory();
+    if (currentTool === 'select') {
+        selectionPointerUp();
+        return;
+    }
+    if (currentTool === 'connector') {
+        connectorPointerUp(getEventPosition(e));
+        return;
     }
-}
 
-function handleTouchMove(e) {
     if (!isDrawing) return;
+    isDrawing = false;
 
-    const touch = e.touches[0];
-    const rect = canvas.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
-    const y = touch.clientY - rect.top;
+    // Points still waiting for the next frame go out now
+    if (currentTool === 'brush' || currentTool === 'eraser') flushStrokePoints();
 
-    if (currentTool === 'brush') {
-        drawLine(startX, startY, x, y, currentColor, currentStrokeWidth);
-        // Send segment for touch as well
-        if (wsManager && wsManager.isSocketConnected()) {
-            wsManager.sendDraw({
-                fromX: startX,
-                fromY: startY,
-                toX: x,
-                toY: y,
+    // Send final shape stroke if shape tool (or queue it while offline)
+    const isShape = currentTool === 'line' || currentTool === 'rectangle' || currentTool === 'circle';
+    if (isShape && shouldQueueStrokes()) {
+        const end = getEventPosition(e);
+        queueOfflineStroke({
+            strokeId: `s-${Date.now()}-${Math.floor(Math.random()*100000)}`,
+            tool: currentTool,
+            style: {
                 color: currentColor,
                 width: currentStrokeWidth,
-                tool: 'brush',
-                strokeId: currentStrokeId
-            });
-        }
-        startX = x;
-        startY = y;
-    } else if (currentTool === 'eraser') {
-        erase(x, y, currentStrokeWidth);
-        if (wsManager && wsManager.isSocketConnected()) {
-            wsManager.sendDraw({
-                fromX: startX,
-                fromY: startY,
-                toX: x,
-                toY: y,
-                color: 'transparent',
-                width: currentStrokeWidth,
-                tool: 'eraser',
-                strokeId: currentStrokeId
-            });
-        }
-        startX = x;
-        startY = y;
-    }
-
-    e.preventDefault();
-}
-
-function stopDrawing(e) {
-    if (!isDrawing) return;
-    isDrawing = false;
-
-    // Send final shape stroke if shape tool
-    if ((currentTool === 'line' || currentTool === 'rectangle' || currentTool === 'circle') && wsManager && wsManager.isSocketConnected()) {
-        // Get final mouse/touch coordinates
-        let endX = startX;
-        let endY = startY;
-        
-        if (e) {
-            const rect = canvas.getBoundingClientRect();
-            if (e.clientX !== undefined) {
-                // Mouse event
-                endX = e.clientX - rect.left;
-                endY = e.clientY - rect.top;
-            } else if (e.touches && e.touches.length > 0) {
-                // Touch event
-                endX = e.touches[0].clientX - rect.left;
-                endY = e.touches[0].clientY - rect.top;
-            }
-        }
-        
+                ...(currentFill && currentTool !== 'line' ? { fill: currentFill } : {})
+            },
+            points: [[startX, startY], [end.x, end.y]],
+            layerId: activeLayerId
+        });
+    } else if (isShape) {
+        const end = getEventPosition(e);
+        // Each shape is its own stroke group
+        const strokeId = `s-${Date.now()}-${Math.floor(Math.random()*100000)}`;
+        awaitOwnOp(strokeId);
         wsManager.sendDrawLine({
             fromX: startX,
             fromY: startY,
-            toX: endX,
-            toY: endY,
+            toX: end.x,
+            toY: end.y,
             color: currentColor,
             width: currentStrokeWidth,
             tool: currentTool,
-            // Each shape is its own stroke group
-            strokeId: `s-${Date.now()}-${Math.floor(Math.random()*100000)}`
+            strokeId,
+            layerId: activeLayerId,
+            ...(currentFill && currentTool !== 'line' ? { fill: currentFill } : {})
+        });
+    }
+
+    // A brush/eraser stroke that could not (all) go out live is queued whole;
+    // the server adds whatever part it is missing
+    if ((currentTool === 'brush' || currentTool === 'eraser') && currentStrokeOffline && currentStrokePoints.length > 1) {
+        const isBrush = currentTool === 'brush';
+        queueOfflineStroke({
+            strokeId: currentStrokeId,
+            tool: currentTool,
+            style: { color: isBrush ? currentColor : 'transparent', width: currentStrokeWidth },
+            points: currentStrokePoints.map(point => (isBrush ? point : point.slice(0, 2))),
+            layerId: activeLayerId
         });
     }
 
@@ -462,6 +924,82 @@ function stopDrawing(e) {
 
     // Clear current stroke id (stroke finished)
     currentStrokeId = null;
+    currentStrokePoints = [];
+    currentStrokeOffline = false;
+    currentStrokeSent = 0;
+}
+
+// ============ Brush & Eraser Input ============
+// World point of a pointer event; pens add their pressure (mice and touch
+// screens report a constant one, which is left out)
+function getPointerPoint(e) {
+    const { x, y } = getEventPosition(e);
+    return e.pointerType === 'pen' ? [x, y, e.pressure] : [x, y];
+}
+
+// Every position the pointer passed since the last pointermove (browsers
+// batch high-rate pen and mouse input into one event per frame)
+function getCoalescedPoints(e) {
+    const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    return (events.length > 0 ? events : [e]).map(getPointerPoint);
+}
+
+// Draw new points of our stroke locally and send them
+function extendLocalStroke(points) {
+    const previous = currentStrokePoints[currentStrokePoints.length - 1];
+    const added = points.filter((point, i) => {
+        const before = i === 0 ? previous : points[i - 1];
+        return point[0] !== before[0] || point[1] !== before[1];
+    });
+    if (added.length === 0) return;
+
+    const count = currentStrokePoints.length;
+    currentStrokePoints.push(...added);
+    if (currentTool === 'brush') {
+        const region = brushTailRegion(currentStrokePoints, count, currentStrokeWidth);
+        ctx.save();
+        clipToRegion(ctx, region);
+        drawBrush(ctx, currentStrokePoints, currentColor, currentStrokeWidth);
+        ctx.restore();
+    } else {
+        added.forEach(([x, y]) => erase(x, y, currentStrokeWidth));
+    }
+    if (!currentStrokeOffline && strokeFlushFrame === null) {
+        strokeFlushFrame = requestAnimationFrame(flushStrokePoints);
+    }
+}
+
+// Send the points drawn since the last frame as one stroke-append; the first
+// one (once there are two points) starts the stroke and carries its style
+function flushStrokePoints() {
+    if (strokeFlushFrame !== null) cancelAnimationFrame(strokeFlushFrame);
+    strokeFlushFrame = null;
+    if (currentStrokeOffline || !currentStrokeId) return;
+
+    const points = currentStrokePoints.slice(currentStrokeSent);
+    if (points.length === 0 || (currentStrokeSent === 0 && points.length < 2)) return;
+
+    // Connection lost mid-stroke: the rest is queued when the stroke ends
+    if (!roomJoined || !wsManager.isSocketConnected()) {
+        currentStrokeOffline = true;
+        return;
+    }
+
+    const isBrush = currentTool === 'brush';
+    for (let i = 0; i < points.length; i += MAX_APPEND_POINTS) {
+        const batch = points.slice(i, i + MAX_APPEND_POINTS);
+        // Pen pressure is kept on brush points only
+        const stride = isBrush && batch.every(point => point[2] !== undefined) ? 3 : 2;
+        const style = currentStrokeSent === 0 ? {
+            tool: currentTool,
+            color: isBrush ? currentColor : 'transparent',
+            width: currentStrokeWidth,
+            layerId: activeLayerId
+        } : {};
+        awaitOwnOp(currentStrokeId);
+        wsManager.sendStrokeAppend({ strokeId: currentStrokeId, ...style }, batch, stride);
+        currentStrokeSent += batch.length;
+    }
 }
 
 function drawLine(fromX, fromY, toX, toY, color, width) {
@@ -476,59 +1014,250 @@ function drawLine(fromX, fromY, toX, toY, color, width) {
     ctx.closePath();
 }
 
-function drawLineRemote(fromX, fromY, toX, toY, color, width, tool) {
+// Draw a whole stroke from the server document onto the given context
+function drawStroke(context, stroke) {
+    const { tool, points } = stroke;
+    const { color, width } = stroke.style;
+    if (!points || points.length === 0) return;
+
+    if (tool === 'text') {
+        drawText(context, stroke);
+        return;
+    }
+    if (tool === 'fill') {
+        drawFill(context, stroke);
+        return;
+    }
+    if (tool === 'image') {
+        drawImageStroke(context, stroke);
+        return;
+    }
+    if (tool === 'connector') {
+        drawConnector(context, stroke);
+        return;
+    }
+
     if (tool === 'eraser') {
-        remoteCtx.clearRect(fromX - width / 2, fromY - width / 2, width, width);
-        remoteCtx.clearRect(toX - width / 2, toY - width / 2, width, width);
+        points.forEach(([x, y]) => context.clearRect(x - width / 2, y - width / 2, width, width));
+        return;
+    }
+    if (tool === 'brush') {
+        drawBrush(context, points, color, width);
+        return;
+    }
+
+    const [fromX, fromY] = points[0];
+    const [toX, toY] = points[points.length - 1];
+    context.strokeStyle = color;
+    context.lineWidth = width;
+
+    if (tool === 'rectangle' && stroke.rotation) {
+        context.save();
+        context.translate((fromX + toX) / 2, (fromY + toY) / 2);
+        context.rotate(stroke.rotation);
+        drawRectangleOn(context, -(toX - fromX) / 2, -(toY - fromY) / 2, (toX - fromX) / 2, (toY - fromY) / 2, stroke.style.fill);
+        context.restore();
     } else if (tool === 'rectangle') {
-        remoteCtx.strokeStyle = color;
-        remoteCtx.lineWidth = width;
-        remoteCtx.strokeRect(fromX, fromY, toX - fromX, toY - fromY);
+        drawRectangleOn(context, fromX, fromY, toX, toY, stroke.style.fill);
     } else if (tool === 'circle') {
         const radius = Math.sqrt(Math.pow(toX - fromX, 2) + Math.pow(toY - fromY, 2));
-        remoteCtx.strokeStyle = color;
-        remoteCtx.lineWidth = width;
-        remoteCtx.beginPath();
-        remoteCtx.arc(fromX, fromY, radius, 0, 2 * Math.PI);
-        remoteCtx.stroke();
+        context.beginPath();
+        context.arc(fromX, fromY, radius, 0, 2 * Math.PI);
+        if (stroke.style.fill) {
+            context.fillStyle = stroke.style.fill;
+            context.fill();
+        }
+        context.stroke();
     } else {
-        remoteCtx.beginPath();
-        remoteCtx.moveTo(fromX, fromY);
-        remoteCtx.lineTo(toX, toY);
-        remoteCtx.strokeStyle = color;
-        remoteCtx.lineWidth = width;
-        remoteCtx.lineCap = 'round';
-        remoteCtx.lineJoin = 'round';
-        remoteCtx.stroke();
-        remoteCtx.closePath();
+        // Lines are polylines through every point
+        context.beginPath();
+        context.moveTo(fromX, fromY);
+        for (let i = 1; i < points.length; i++) {
+            context.lineTo(points[i][0], points[i][1]);
+        }
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.stroke();
+        context.closePath();
+    }
+}
+
+// ============ Brush ============
+// Brush strokes are smoothed: quadratic curves through the midpoints between
+// their points, each piece stroked with the width at its control point, so
+// pen pressure ([x, y, pressure] points) thickens and thins the stroke. Our
+// own strokes, remote ones, the replay and the SVG export (server/brush.js)
+// all draw the same pieces.
+const PRESSURE_MIN_SCALE = 0.25;        // Width at pressure 0 (of the stroke width)
+const PRESSURE_MAX_SCALE = 1.75;        // Width at pressure 1; 0.5 or none is 1
+
+function pressureWidth(width, pressure) {
+    if (pressure === undefined) return width;
+    return width * (PRESSURE_MIN_SCALE + (PRESSURE_MAX_SCALE - PRESSURE_MIN_SCALE) * pressure);
+}
+
+// [{ from, control, to, pressure }]; control is null for straight pieces (a
+// lone point or a two-point stroke)
+function brushPieces(points) {
+    if (points.length === 1) {
+        return [{ from: points[0], control: null, to: points[0], pressure: points[0][2] }];
+    }
+    if (points.length === 2) {
+        const [a, b] = points;
+        const pressure = a[2] === undefined || b[2] === undefined ? b[2] : (a[2] + b[2]) / 2;
+        return [{ from: a, control: null, to: b, pressure }];
+    }
+
+    const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const last = points.length - 3;
+    const pieces = [];
+    for (let i = 0; i <= last; i++) {
+        const control = points[i + 1];
+        pieces.push({
+            from: i === 0 ? points[0] : midpoint(points[i], control),
+            control,
+            to: i === last ? points[i + 2] : midpoint(control, points[i + 2]),
+            pressure: control[2]
+        });
     }
+    return pieces;
+}
+
+// Appending points to a stroke of `count` points changes its last piece (which
+// no longer ends at the last point) and adds new ones after it
+function firstChangedPiece(count) {
+    return Math.max(0, count - 3);
+}
+
+// World-space box around every piece that changed when points were appended
+// to a brush stroke of `count` points. Canvas pixels can't be taken back, so
+// growing strokes clear this box and redraw it rather than painting the new
+// pieces over the old last one.
+function brushTailRegion(points, count, width) {
+    const tail = points.slice(firstChangedPiece(count));
+    // Room for the round caps and a pixel of antialiasing at any zoom
+    const reach = tail.reduce((widest, point) => Math.max(widest, pressureWidth(width, point[2])), 0) / 2 + 2 / viewport.scale;
+    const xs = tail.map(([x]) => x);
+    const ys = tail.map(([, y]) => y);
+    const minX = Math.min(...xs) - reach;
+    const minY = Math.min(...ys) - reach;
+    return { x: minX, y: minY, width: Math.max(...xs) + reach - minX, height: Math.max(...ys) + reach - minY };
+}
+
+// Limit drawing on a context to a world-space box, cleared
+function clipToRegion(context, region) {
+    context.beginPath();
+    context.rect(region.x, region.y, region.width, region.height);
+    context.clip();
+    context.clearRect(region.x, region.y, region.width, region.height);
+}
+
+function drawBrush(context, points, color, width) {
+    context.save();
+    context.strokeStyle = color;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    brushPieces(points).forEach(({ from, control, to, pressure }) => {
+        context.beginPath();
+        context.moveTo(from[0], from[1]);
+        if (control) {
+            context.quadraticCurveTo(control[0], control[1], to[0], to[1]);
+        } else {
+            context.lineTo(to[0], to[1]);
+        }
+        context.lineWidth = pressureWidth(width, pressure);
+        context.stroke();
+    });
+    context.restore();
+}
+
+// Text layout, shared with the SVG export (svg-export.js): lines are
+// TEXT_LINE_HEIGHT font sizes apart and the first baseline sits half the
+// leading plus TEXT_ASCENT below the top of the box
+const TEXT_FONT_FAMILY = 'Arial, sans-serif';
+const TEXT_LINE_HEIGHT = 1.25;
+const TEXT_ASCENT = 0.9;
+
+function getTextFont(font) {
+    return `${font.italic ? 'italic ' : ''}${font.bold ? 'bold ' : ''}${font.size}px ${TEXT_FONT_FAMILY}`;
+}
+
+function drawText(context, stroke) {
+    const [x, y] = stroke.points[0];
+    const { size } = stroke.font;
+    context.save();
+    context.font = getTextFont(stroke.font);
+    context.fillStyle = stroke.style.color;
+    context.textBaseline = 'alphabetic';
+    stroke.text.split('\n').forEach((line, i) => {
+        context.fillText(line, x, y + size * ((TEXT_LINE_HEIGHT - 1) / 2 + TEXT_ASCENT + i * TEXT_LINE_HEIGHT));
+    });
+    context.restore();
+}
+
+// World-space box of a text stroke
+function getTextBox(stroke) {
+    const [x, y] = stroke.points[0];
+    const lines = stroke.text.split('\n');
+    ctx.save();
+    ctx.font = getTextFont(stroke.font);
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+    ctx.restore();
+    return { x, y, width, height: lines.length * stroke.font.size * TEXT_LINE_HEIGHT };
 }
 
 function erase(x, y, size) {
     ctx.clearRect(x - size / 2, y - size / 2, size, size);
 }
 
-function drawRectangle(fromX, fromY, toX, toY, color, width) {
+function drawRectangle(fromX, fromY, toX, toY, color, width, fill) {
     ctx.strokeStyle = color;
     ctx.lineWidth = width;
-    ctx.strokeRect(fromX, fromY, toX - fromX, toY - fromY);
+    drawRectangleOn(ctx, fromX, fromY, toX, toY, fill);
+}
+
+// Fill (if any) under the outline, so both show the same in every renderer
+function drawRectangleOn(context, fromX, fromY, toX, toY, fill) {
+    if (fill) {
+        context.fillStyle = fill;
+        context.fillRect(fromX, fromY, toX - fromX, toY - fromY);
+    }
+    context.strokeRect(fromX, fromY, toX - fromX, toY - fromY);
 }
 
-function drawCircle(fromX, fromY, toX, toY, color, width) {
+function drawCircle(fromX, fromY, toX, toY, color, width, fill) {
     const radius = Math.sqrt(Math.pow(toX - fromX, 2) + Math.pow(toY - fromY, 2));
     ctx.strokeStyle = color;
     ctx.lineWidth = width;
     ctx.beginPath();
     ctx.arc(fromX, fromY, radius, 0, 2 * Math.PI);
+    if (fill) {
+        ctx.fillStyle = fill;
+        ctx.fill();
+    }
     ctx.stroke();
 }
 
 // ============ Tool Selection ============
 function selectTool(tool) {
+    // A new comment goes on the first selected stroke, if any
+    const commentStroke = tool === 'comment' ? getSelectedStrokes()[0] : null;
+    if (currentTool === 'select' && tool !== 'select') {
+        clearSelection();
+    }
+    closeTextEditor(true);
     currentTool = tool;
 
+    if (tool === 'select') {
+        document.querySelectorAll('.tool-btn[id$="Tool"]').forEach(btn => btn.classList.remove('active'));
+        document.getElementById('selectTool').classList.add('active');
+        canvas.style.cursor = 'default';
+        document.getElementById('toolDisplay').textContent = 'Select';
+        return;
+    }
+
     // Update UI
-    document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
+    document.querySelectorAll('.tool-btn[id$="Tool"]').forEach(btn => btn.classList.remove('active'));
     document.getElementById(tool + 'Tool').classList.add('active');
 
     // Update cursor
@@ -538,6 +1267,12 @@ function selectTool(tool) {
     } else if (tool === 'eraser') {
         canvas.style.cursor = 'cell';
         document.getElementById('toolDisplay').textContent = 'Eraser';
+    } else if (tool === 'text') {
+        canvas.style.cursor = 'text';
+        document.getElementById('toolDisplay').textContent = 'Text';
+    } else if (tool === 'bucket') {
+        canvas.style.cursor = 'crosshair';
+        document.getElementById('toolDisplay').textContent = 'Fill';
     } else if (tool === 'line') {
         canvas.style.cursor = 'crosshair';
         document.getElementById('toolDisplay').textContent = 'Line';
@@ -547,6 +1282,13 @@ function selectTool(tool) {
     } else if (tool === 'circle') {
         canvas.style.cursor = 'crosshair';
         document.getElementById('toolDisplay').textContent = 'Circle';
+    } else if (tool === 'connector') {
+        canvas.style.cursor = 'crosshair';
+        document.getElementById('toolDisplay').textContent = 'Arrow';
+    } else if (tool === 'comment') {
+        canvas.style.cursor = 'copy';
+        document.getElementById('toolDisplay').textContent = 'Comment';
+        if (commentStroke) startCommentOnStroke(commentStroke);
     }
 }
 
@@ -554,10 +1296,12 @@ function selectTool(tool) {
 function changeColor(color) {
     currentColor = color;
     document.getElementById('colorPreview').style.background = color;
+    applySelectionStyle({ color });
+    applyTextColor(color);
 }
 
 function changeStrokeWidth(width) {
-    currentStrokeWidth = width;
+    currentStrokeWidth = parseInt(width, 10);
     document.getElementById('strokeDisplay').textContent = width;
 }
 
@@ -575,7 +1319,7 @@ function saveHistory() {
 
 function undoAction() {
     // Send undo event to server and rely on server to broadcast
-    // the updated full history to all clients (global effect).
+    // the resulting operation to all clients (global effect).
     console.log('=== UNDO BUTTON CLICKED ===');
 
     // Basic guards
@@ -584,8 +1328,9 @@ function undoAction() {
         return;
     }
 
-    if (!wsManager.isSocketConnected || !wsManager.isSocketConnected()) {
-        console.warn('WebSocket not connected, cannot send undo');
+    // Offline, undo can only take back strokes that are still queued
+    if (!roomJoined || !wsManager.isSocketConnected()) {
+        if (!undoOfflineStroke()) console.warn('WebSocket not connected, cannot send undo');
         return;
     }
 
@@ -600,7 +1345,7 @@ function undoAction() {
         console.log('Sending undo request to server...');
         // Send undo; server will remove only this user's last stroke and broadcast
         wsManager.sendUndo();
-        console.log('Undo request sent — waiting for server full-history-update');
+        console.log('Undo request sent — waiting for server remove-strokes op');
     } catch (err) {
         console.error('Failed to send undo request:', err);
     }
@@ -608,7 +1353,7 @@ function undoAction() {
 
 function redoAction() {
     // Send redo event to server and rely on server broadcasting
-    // the updated full history to all clients (global effect).
+    // the resulting operation to all clients (global effect).
     console.log('=== REDO BUTTON CLICKED ===');
 
     if (!wsManager) {
@@ -631,17 +1376,87 @@ function redoAction() {
     try {
         console.log('Sending redo request to server...');
         wsManager.sendRedo();
-        console.log('Redo request sent — waiting for server full-history-update');
+        console.log('Redo request sent — waiting for server restore-strokes op');
     } catch (err) {
         console.error('Failed to send redo request:', err);
     }
 }
 
+// ============ Permissions ============
+function canEditBoard() {
+    if (replay.active) return false;
+    return currentUser.role === 'host' || (currentUser.role === 'editor' && !boardLocked);
+}
+
+// Enable or hide toolbar controls to match our role and the lock state.
+// data-requires="edit" controls are disabled, data-requires="host" ones hidden.
+function applyPermissions() {
+    const isHost = currentUser.role === 'host';
+    const canEdit = canEditBoard();
+
+    // Drop a stroke in progress; the server no longer accepts it
+    if (!canEdit && isDrawing) {
+        isDrawing = false;
+        renderBoard();
+    }
+    if (!canEdit) {
+        selection.drag = null;
+        selection.preview = null;
+        clearSelection();
+        closeTextEditor(false);
+    }
+
+    document.querySelectorAll('[data-requires="edit"]').forEach(el => {
+        el.disabled = !canEdit;
+    });
+    document.querySelectorAll('[data-requires="host"]').forEach(el => {
+        el.style.display = isHost ? '' : 'none';
+    });
+
+    const lockBtn = document.getElementById('lockBoardBtn');
+    if (lockBtn) {
+        lockBtn.textContent = boardLocked ? '🔓 Unlock' : '🔒 Lock';
+        lockBtn.classList.toggle('active', boardLocked);
+    }
+
+    const roleDisplay = document.getElementById('roleDisplay');
+    if (roleDisplay) {
+        const role = currentUser.role ? ROLE_LABELS[currentUser.role] : '...';
+        roleDisplay.textContent = boardLocked ? `${role} (board locked)` : role;
+    }
+
+    renderLayersPanel();
+
+    const toolCursors = { eraser: 'cell', select: 'default', text: 'text', comment: 'copy' };
+    canvas.style.cursor = canEdit || currentTool === 'comment' ? (toolCursors[currentTool] || 'crosshair') : 'default';
+}
+
+function toggleBoardLock() {
+    if (wsManager && wsManager.isSocketConnected()) {
+        wsManager.lockBoard(!boardLocked);
+    }
+}
+
+function changeUserRole(userId, role) {
+    if (wsManager && wsManager.isSocketConnected()) {
+        wsManager.changeRole(userId, role);
+    }
+}
+
+function kickUser(userId) {
+    const user = remoteUsers.get(userId);
+    if (confirm(`⚠️ Remove ${user ? user.name : 'this user'} from the room?`)) {
+        if (wsManager && wsManager.isSocketConnected()) {
+            wsManager.kickUser(userId);
+        }
+    }
+}
+
 // ============ Canvas Actions ============
 function clearCanvas() {
     if (confirm('⚠️ Are you sure you want to clear the entire canvas?')) {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        remoteCtx.clearRect(0, 0, remoteCanvas.width, remoteCanvas.height);
+        clearLayer(ctx);
+        clearLayer(remoteCtx);
         saveHistory();
 
         // Send clear event to others
@@ -651,20 +1466,98 @@ function clearCanvas() {
     }
 }
 
-function redrawCanvas() {
-    if (history.length > 0) {
-        ctx.putImageData(history[history.length - 1], 0, 0);
-    }
-}
-
 function downloadCanvas() {
+    // Flatten both layers so strokes from other users are included
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = canvas.width;
+    exportCanvas.height = canvas.height;
+    const exportCtx = exportCanvas.getContext('2d');
+    exportCtx.drawImage(remoteCanvas, 0, 0);
+    exportCtx.drawImage(canvas, 0, 0);
+
     const link = document.createElement('a');
-    link.href = canvas.toDataURL('image/png');
+    link.href = exportCanvas.toDataURL('image/png');
     link.download = `canvas-${currentUser.roomId}-${Date.now()}.png`;
     link.click();
     console.log('✅ Canvas downloaded');
 }
 
+async function downloadSvg() {
+    try {
+        // The server renders the room's full history as vector shapes
+        const response = await fetch(`${SERVER_URL}/rooms/${encodeURIComponent(currentUser.roomId)}/export.svg`, {
+            headers: roomAuthHeaders()
+        });
+        if (!response.ok) {
+            throw new Error(`Server responded with ${response.status}`);
+        }
+
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `canvas-${currentUser.roomId}-${Date.now()}.svg`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        console.log('✅ SVG downloaded');
+    } catch (error) {
+        console.error('❌ SVG export failed:', error);
+        alert('❌ Could not export SVG');
+    }
+}
+
+async function downloadBoard() {
+    try {
+        const response = await fetch(`${SERVER_URL}/rooms/${encodeURIComponent(currentUser.roomId)}/export.json`, {
+            headers: roomAuthHeaders()
+        });
+        if (!response.ok) {
+            throw new Error(`Server responded with ${response.status}`);
+        }
+
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `board-${currentUser.roomId}-${Date.now()}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        console.log('✅ Board file downloaded');
+    } catch (error) {
+        console.error('❌ Board export failed:', error);
+        alert('❌ Could not save board file');
+    }
+}
+
+function importBoard(file) {
+    if (!file) return;
+
+    if (file.size > MAX_BOARD_FILE_BYTES) {
+        alert('❌ Board file is too large (max 32 MB)');
+        return;
+    }
+
+    if (!wsManager || !wsManager.isSocketConnected()) {
+        alert('❌ Not connected to the server');
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        let board;
+        try {
+            board = JSON.parse(reader.result);
+        } catch (error) {
+            alert('❌ This file is not valid JSON');
+            return;
+        }
+
+        if (confirm('⚠️ Replace the drawing for everyone in this room with this board?')) {
+            // The server validates the file and broadcasts it like any other change
+            wsManager.importBoard(board);
+        }
+    };
+    reader.readAsText(file);
+}
+
 function toggleFullscreen() {
     const container = document.querySelector('.canvas-container');
     if (!document.fullscreenElement) {
@@ -675,13 +1568,16 @@ function toggleFullscreen() {
 }
 
 // ============ User Management ============
+const ROLE_LABELS = { host: 'Host', editor: 'Editor', viewer: 'Viewer' };
+const ROLE_ICONS = { host: '👑', editor: '✏️', viewer: '👁️' };
+
 function generateUserColor() {
     const colors = ['#667eea', '#764ba2', '#f5576c', '#f093fb', '#4ecdc4', '#44a08d'];
     return colors[Math.floor(Math.random() * colors.length)];
 }
 
 function updateUsersCount() {
-    const count = remoteUsers.size + 1;
+    const count = Array.from(remoteUsers.values()).filter(user => user.online).length + 1;
     document.getElementById('usersCount').textContent = count;
 
     // Update users list
@@ -691,21 +1587,43 @@ function updateUsersCount() {
     // Add current user
     const userBadge = document.createElement('span');
     userBadge.className = 'user-badge';
-    userBadge.textContent = `👤 ${currentUser.name} (You)`;
+    userBadge.textContent = `${ROLE_ICONS[currentUser.role] || '👤'} ${currentUser.name} (You)`;
     usersList.appendChild(userBadge);
 
-    // Add remote users
+    // Add remote users (hosts get role and kick controls)
     remoteUsers.forEach((user, userId) => {
         const badge = document.createElement('span');
         badge.className = 'user-badge';
+        badge.classList.toggle('offline', !user.online);
         badge.style.borderLeft = `3px solid ${user.color}`;
-        badge.textContent = `👤 ${user.name}`;
+        badge.textContent = `${ROLE_ICONS[user.role] || '👤'} ${user.name}`;
+        badge.title = `${ROLE_LABELS[user.role] || ''}${user.online ? '' : ' (reconnecting...)'}`;
+
+        if (currentUser.role === 'host') {
+            const roleSelect = document.createElement('select');
+            Object.keys(ROLE_LABELS).forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = ROLE_LABELS[role];
+                option.selected = role === user.role;
+                roleSelect.appendChild(option);
+            });
+            roleSelect.onchange = () => changeUserRole(userId, roleSelect.value);
+
+            const kickBtn = document.createElement('button');
+            kickBtn.textContent = '✖';
+            kickBtn.title = `Remove ${user.name}`;
+            kickBtn.onclick = () => kickUser(userId);
+
+            badge.appendChild(roleSelect);
+            badge.appendChild(kickBtn);
+        }
         usersList.appendChild(badge);
     });
 }
 
-function addRemoteUser(userId, name, color) {
-    remoteUsers.set(userId, { name, color, x: 0, y: 0 });
+function addRemoteUser(userId, name, color, role, online = true) {
+    remoteUsers.set(userId, { name, color, role, online, x: 0, y: 0 });
     updateUsersCount();
 }
 
@@ -740,25 +1658,50 @@ function updateRemoteCursor(userId, x, y) {
         document.getElementById('cursorsContainer').appendChild(cursor);
     }
 
-    cursor.style.left = (x - 10) + 'px';
-    cursor.style.top = (y - 10) + 'px';
+    // x, y are world coordinates; place the cursor where they are on our screen
+    const pos = worldToScreen(x, y);
+    cursor.style.left = (pos.x - 10) + 'px';
+    cursor.style.top = (pos.y - 10) + 'px';
+}
+
+// Move every remote cursor after our viewport changed
+function repositionRemoteCursors() {
+    remoteUsers.forEach((user, userId) => {
+        if (document.getElementById(`cursor-${userId}`)) {
+            updateRemoteCursor(userId, user.x, user.y);
+        }
+    });
 }
 
 // ============ Room Management ============
 function leaveRoom() {
-    if (confirm('⚠️ Are you sure you want to leave this room?')) {
-        // Disconnect WebSocket
+    const unsynced = unsyncedStrokes.length > 0
+        ? `\n\n${unsyncedStrokes.length} stroke(s) drawn offline have not been sent yet; they will be sent the next time you join this room.`
+        : '';
+    if (confirm(`⚠️ Are you sure you want to leave this room?${unsynced}`)) {
+        // Give up our seat, then disconnect WebSocket
         if (wsManager) {
+            if (wsManager.isSocketConnected()) wsManager.leaveRoom();
             wsManager.disconnect();
         }
+        forgetSession();
 
         localStorage.removeItem('userName');
         localStorage.removeItem('roomId');
         localStorage.removeItem('isHost');
+        localStorage.removeItem('roomPassword');
         window.location.href = 'index.html';
     }
 }
 
+function deleteRoom() {
+    if (confirm('⚠️ Delete this room and its drawing for everyone? This cannot be undone.')) {
+        if (wsManager && wsManager.isSocketConnected()) {
+            wsManager.deleteRoom();
+        }
+    }
+}
+
 // ============ Initialize ============
 document.addEventListener('DOMContentLoaded', () => {
     initCanvas();
@@ -0,0 +1,101 @@
+// ============ Chat ============
+// Room chat in a sidebar. The server keeps the room's recent messages and
+// sends them with drawing-history when we join; new ones arrive as
+// chat-message. Join and leave notices are added locally from user-joined /
+// user-left. Messages from others that arrive while the sidebar is closed
+// count towards the unread badge.
+const MAX_CHAT_LENGTH = 1000;           // Matches the server (chat.js)
+
+let chatOpen = false;
+let chatUnread = 0;
+
+// ============ Messages ============
+// Whole history from the server (on join)
+function setChatHistory(messages) {
+    const list = document.getElementById('chatMessages');
+    list.innerHTML = '';
+    messages.forEach(renderChatMessage);
+    scrollChatToBottom();
+}
+
+function handleChatMessage(message) {
+    renderChatMessage(message);
+    scrollChatToBottom();
+    if (!chatOpen && message.userId !== currentUser.id) {
+        setChatUnread(chatUnread + 1);
+    }
+}
+
+function addChatNotice(text) {
+    const item = document.createElement('li');
+    item.className = 'chat-notice';
+    item.textContent = text;
+    document.getElementById('chatMessages').appendChild(item);
+    scrollChatToBottom();
+}
+
+function renderChatMessage(message) {
+    const item = document.createElement('li');
+    item.className = 'chat-message';
+    if (message.userId === currentUser.id) item.classList.add('own');
+
+    const header = document.createElement('div');
+    header.className = 'chat-message-header';
+
+    const author = document.createElement('span');
+    author.className = 'chat-author';
+    author.textContent = message.userName;
+    author.style.color = message.userColor;
+
+    const time = document.createElement('span');
+    time.className = 'chat-time';
+    time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const text = document.createElement('div');
+    text.className = 'chat-text';
+    text.textContent = message.text;
+
+    header.append(author, time);
+    item.append(header, text);
+    document.getElementById('chatMessages').appendChild(item);
+}
+
+function scrollChatToBottom() {
+    const list = document.getElementById('chatMessages');
+    list.scrollTop = list.scrollHeight;
+}
+
+// ============ Panel ============
+function toggleChatPanel() {
+    chatOpen = !chatOpen;
+    document.getElementById('chatPanel').style.display = chatOpen ? '' : 'none';
+    document.getElementById('chatToggleBtn').classList.toggle('active', chatOpen);
+    if (chatOpen) {
+        setCommentsPanelOpen(false);
+        setChatUnread(0);
+        scrollChatToBottom();
+        document.getElementById('chatInput').focus();
+    }
+}
+
+function setChatUnread(count) {
+    chatUnread = count;
+    const badge = document.getElementById('chatBadge');
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.style.display = count > 0 ? '' : 'none';
+}
+
+// ============ Sending ============
+function sendChatMessage(e) {
+    e.preventDefault();
+    const input = document.getElementById('chatInput');
+    const text = input.value.trim();
+    if (!text) return;
+
+    if (!wsManager || !wsManager.isSocketConnected()) {
+        alert('❌ Not connected to the server');
+        return;
+    }
+    wsManager.sendChatMessage(text.slice(0, MAX_CHAT_LENGTH));
+    input.value = '';
+}
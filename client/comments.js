@@ -0,0 +1,294 @@
+// ============ Comments ============
+// Click the board with the comment tool to pin a comment thread there; with
+// strokes selected, picking the comment tool pins the new thread to the
+// first of them instead (the pin then follows the stroke). Pins sit in the
+// cursors overlay and open the thread: replies, resolve and reopen.
+// Everyone in the room can comment, viewers included.
+//
+// Threads are part of the room document (add-comment, reply-comment and
+// resolve-comment operations), so they arrive in order with everything else
+// and late joiners get them with drawing-history.
+const MAX_COMMENT_LENGTH = 2000;        // Matches the server (document.js)
+
+let boardComments = [];                 // Threads, oldest first
+let openThreadId = null;                // Thread shown in the popover
+let commentDraft = null;                // { x, y, strokeId } while writing a new thread
+let commentFilter = 'open';             // 'open' | 'resolved' | 'all' (pins and list)
+
+// ============ Comment State ============
+function findComment(threadId) {
+    return boardComments.find(thread => thread.threadId === threadId) || null;
+}
+
+function setBoardComments(threads) {
+    boardComments = (threads || []).map(thread => ({ ...thread, replies: thread.replies.slice() }));
+    if (openThreadId && !findComment(openThreadId)) openThreadId = null;
+    renderComments();
+}
+
+function applyCommentOp(op) {
+    if (op.type === 'add-comment') {
+        boardComments.push({ ...op.thread, replies: op.thread.replies.slice() });
+        // The thread we just wrote replaces our draft
+        if (op.userId === currentUser.id && commentDraft) {
+            commentDraft = null;
+            openThreadId = op.thread.threadId;
+        }
+    } else if (op.type === 'reply-comment') {
+        const thread = findComment(op.threadId);
+        if (thread) thread.replies.push(op.reply);
+    } else if (op.type === 'resolve-comment') {
+        const thread = findComment(op.threadId);
+        if (thread) thread.resolved = op.resolved;
+    }
+    renderComments();
+}
+
+function matchesCommentFilter(thread) {
+    if (commentFilter === 'open') return !thread.resolved;
+    if (commentFilter === 'resolved') return thread.resolved;
+    return true;
+}
+
+// World point a thread is pinned to: the top-right corner of its stroke while
+// that is on the board, otherwise where it was dropped
+function commentAnchor(thread) {
+    const stroke = thread.strokeId ? findBoardStroke(thread.strokeId) : null;
+    const bounds = stroke ? getStrokeBounds(displayedStroke(stroke)) : null;
+    return bounds ? { x: bounds.x + bounds.width, y: bounds.y } : { x: thread.x, y: thread.y };
+}
+
+// ============ Creating ============
+function commentPointerDown(pos) {
+    startCommentDraft(pos.x, pos.y);
+}
+
+function startCommentDraft(x, y, strokeId) {
+    commentDraft = { x, y, strokeId };
+    openThreadId = null;
+    renderComments();
+    document.getElementById('commentInput').focus();
+}
+
+// Pin a new thread to a selected stroke
+function startCommentOnStroke(stroke) {
+    const bounds = getStrokeBounds(stroke);
+    if (!bounds) return;
+    startCommentDraft(bounds.x + bounds.width, bounds.y, stroke.strokeId);
+}
+
+function submitComment(e) {
+    e.preventDefault();
+    const input = document.getElementById('commentInput');
+    const text = input.value.trim();
+    if (!text) return;
+    if (!wsManager || !wsManager.isSocketConnected()) {
+        alert('❌ Not connected to the server');
+        return;
+    }
+
+    if (commentDraft) {
+        wsManager.addComment({
+            threadId: `c-${Date.now()}-${Math.floor(Math.random()*100000)}`,
+            x: commentDraft.x,
+            y: commentDraft.y,
+            strokeId: commentDraft.strokeId,
+            text: text.slice(0, MAX_COMMENT_LENGTH)
+        });
+    } else if (openThreadId) {
+        wsManager.replyComment({ threadId: openThreadId, text: text.slice(0, MAX_COMMENT_LENGTH) });
+    }
+    input.value = '';
+}
+
+function toggleCommentResolved() {
+    const thread = findComment(openThreadId);
+    if (!thread || !wsManager || !wsManager.isSocketConnected()) return;
+    wsManager.resolveComment({ threadId: thread.threadId, resolved: !thread.resolved });
+}
+
+// ============ Pins ============
+function openCommentThread(threadId) {
+    commentDraft = null;
+    openThreadId = threadId;
+    renderComments();
+}
+
+function closeCommentPopover() {
+    commentDraft = null;
+    openThreadId = null;
+    renderComments();
+}
+
+// Pins are screen-positioned; call after any viewport or board change
+function renderCommentPins() {
+    const container = document.getElementById('cursorsContainer');
+    container.querySelectorAll('.comment-pin').forEach(pin => pin.remove());
+
+    boardComments.forEach((thread, index) => {
+        if (!matchesCommentFilter(thread) && thread.threadId !== openThreadId) return;
+        const anchor = commentAnchor(thread);
+        const screen = worldToScreen(anchor.x, anchor.y);
+
+        const pin = document.createElement('button');
+        pin.className = 'comment-pin';
+        pin.classList.toggle('resolved', thread.resolved);
+        pin.classList.toggle('open', thread.threadId === openThreadId);
+        pin.style.left = `${screen.x}px`;
+        pin.style.top = `${screen.y}px`;
+        pin.style.borderColor = thread.userColor;
+        pin.textContent = String(index + 1);
+        pin.title = `${thread.userName}: ${thread.replies[0].text}`;
+        pin.onclick = () => openCommentThread(thread.threadId);
+        container.appendChild(pin);
+    });
+
+    if (commentDraft) {
+        const screen = worldToScreen(commentDraft.x, commentDraft.y);
+        const pin = document.createElement('div');
+        pin.className = 'comment-pin open draft';
+        pin.style.left = `${screen.x}px`;
+        pin.style.top = `${screen.y}px`;
+        pin.textContent = '+';
+        container.appendChild(pin);
+    }
+}
+
+// ============ Thread Popover ============
+function renderCommentPopover() {
+    const popover = document.getElementById('commentPopover');
+    const thread = findComment(openThreadId);
+    if (!thread && !commentDraft) {
+        popover.style.display = 'none';
+        return;
+    }
+
+    const anchor = thread ? commentAnchor(thread) : commentDraft;
+    const screen = worldToScreen(anchor.x, anchor.y);
+    popover.style.display = '';
+    popover.style.left = `${Math.max(0, Math.min(screen.x + 18, canvas.width - popover.offsetWidth))}px`;
+    popover.style.top = `${Math.max(0, Math.min(screen.y, canvas.height - popover.offsetHeight))}px`;
+
+    document.getElementById('commentTitle').textContent = thread
+        ? `#${boardComments.indexOf(thread) + 1}${thread.resolved ? ' · Resolved' : ''}`
+        : 'New comment';
+    const resolveBtn = document.getElementById('commentResolveBtn');
+    resolveBtn.style.display = thread ? '' : 'none';
+    resolveBtn.textContent = thread && thread.resolved ? '↺ Reopen' : '✔ Resolve';
+
+    const list = document.getElementById('commentReplies');
+    list.innerHTML = '';
+    (thread ? thread.replies : []).forEach((reply) => {
+        const item = document.createElement('li');
+        item.className = 'comment-reply';
+
+        const author = document.createElement('span');
+        author.className = 'chat-author';
+        author.textContent = reply.userName;
+        author.style.color = reply.userColor;
+
+        const time = document.createElement('span');
+        time.className = 'chat-time';
+        time.textContent = new Date(reply.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+        const text = document.createElement('div');
+        text.className = 'chat-text';
+        text.textContent = reply.text;
+
+        item.append(author, ' ', time, text);
+        list.appendChild(item);
+    });
+    list.scrollTop = list.scrollHeight;
+
+    document.getElementById('commentInput').placeholder = thread ? 'Reply...' : 'Write a comment...';
+}
+
+// ============ List View ============
+function setCommentFilter(filter) {
+    commentFilter = filter;
+    renderComments();
+}
+
+function toggleCommentsPanel() {
+    setCommentsPanelOpen(document.getElementById('commentsPanel').style.display === 'none');
+}
+
+// The list shares the left side with the chat sidebar; only one is open
+function setCommentsPanelOpen(open) {
+    if (open && chatOpen) toggleChatPanel();
+    document.getElementById('commentsPanel').style.display = open ? '' : 'none';
+    document.getElementById('commentsToggleBtn').classList.toggle('active', open);
+}
+
+function renderCommentsList() {
+    const list = document.getElementById('commentsList');
+    list.innerHTML = '';
+
+    const threads = boardComments.filter(matchesCommentFilter);
+    threads.forEach((thread) => {
+        const item = document.createElement('li');
+        item.className = 'comment-item';
+        item.classList.toggle('resolved', thread.resolved);
+        item.classList.toggle('active', thread.threadId === openThreadId);
+        item.onclick = () => showCommentThread(thread.threadId);
+
+        const number = document.createElement('span');
+        number.className = 'comment-number';
+        number.textContent = `#${boardComments.indexOf(thread) + 1}`;
+
+        const author = document.createElement('span');
+        author.className = 'chat-author';
+        author.textContent = thread.userName;
+        author.style.color = thread.userColor;
+
+        const text = document.createElement('div');
+        text.className = 'comment-preview';
+        text.textContent = thread.replies[0].text;
+
+        const replies = thread.replies.length - 1;
+        const meta = document.createElement('div');
+        meta.className = 'chat-time';
+        meta.textContent = `${replies} ${replies === 1 ? 'reply' : 'replies'}${thread.resolved ? ' · resolved' : ''}`;
+
+        item.append(number, ' ', author, text, meta);
+        list.appendChild(item);
+    });
+
+    if (threads.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'chat-notice';
+        empty.textContent = commentFilter === 'resolved' ? 'No resolved comments' : 'No comments';
+        list.appendChild(empty);
+    }
+
+    const openCount = boardComments.filter(thread => !thread.resolved).length;
+    document.getElementById('commentsCount').textContent = String(openCount);
+}
+
+// Center the view on a thread and open it
+function showCommentThread(threadId) {
+    const thread = findComment(threadId);
+    if (!thread) return;
+    const anchor = commentAnchor(thread);
+    setViewport(anchor.x - canvas.width / 2 / viewport.scale, anchor.y - canvas.height / 2 / viewport.scale, viewport.scale);
+    openCommentThread(threadId);
+}
+
+function renderComments() {
+    renderCommentPins();
+    renderCommentPopover();
+    renderCommentsList();
+}
+
+// ============ Initialize ============
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('commentInput').addEventListener('keydown', (e) => {
+        // Enter sends, Shift+Enter starts a new line
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            e.target.form.requestSubmit();
+        } else if (e.key === 'Escape') {
+            closeCommentPopover();
+        }
+    });
+});
@@ -0,0 +1,231 @@
+// ============ Connectors ============
+// The connector tool draws arrows. Pressing on a rectangle or circle attaches
+// that end to it (by strokeId), and so does releasing on one. Attached ends
+// are routed to the shape's outline every time the board is drawn, so moving
+// or resizing the shape re-routes the arrow for everyone, including while it
+// is being dragged with the select tool. Routing and heads match the server's
+// SVG export (server/connectors.js).
+const CONNECTOR_HEADS = ['none', 'arrow', 'dot'];
+const CONNECTABLE_TOOLS = ['rectangle', 'circle'];
+
+const connectorOptions = { routing: 'straight', startHead: 'none', endHead: 'arrow' };
+let connectorDraft = null;              // { start, startId } while dragging
+
+// ============ Options ============
+function setConnectorRouting(routing) {
+    connectorOptions.routing = routing;
+}
+
+function setConnectorHead(end, head) {
+    if (!CONNECTOR_HEADS.includes(head)) return;
+    connectorOptions[end === 'start' ? 'startHead' : 'endHead'] = head;
+}
+
+// ============ Shapes ============
+// Current version of a shape a connector end is attached to (follows select
+// tool previews), or null if it is gone
+function findConnectorShape(strokeId) {
+    if (strokeId === undefined) return null;
+    const shape = findBoardStroke(strokeId);
+    if (!shape || !CONNECTABLE_TOOLS.includes(shape.tool)) return null;
+    return displayedStroke(shape);
+}
+
+// Top-most visible rectangle or circle containing a world point
+function connectableShapeAt(point) {
+    const tolerance = SELECTION_HIT_TOLERANCE / viewport.scale;
+    for (let i = boardStrokes.length - 1; i >= 0; i--) {
+        const stroke = displayedStroke(boardStrokes[i]);
+        if (!CONNECTABLE_TOOLS.includes(stroke.tool)) continue;
+        if (!findBoardLayer(strokeLayerId(stroke)).visible) continue;
+        if (shapeContainsPoint(stroke, point, tolerance)) return stroke;
+    }
+    return null;
+}
+
+function shapeContainsPoint(shape, [x, y], tolerance) {
+    const [fromX, fromY] = shape.points[0];
+    const [toX, toY] = shape.points[shape.points.length - 1];
+    if (shape.tool === 'circle') {
+        return Math.hypot(x - fromX, y - fromY) <= Math.hypot(toX - fromX, toY - fromY) + tolerance;
+    }
+    const [lx, ly] = rotatePoint([x, y], [(fromX + toX) / 2, (fromY + toY) / 2], -(shape.rotation || 0));
+    return lx >= Math.min(fromX, toX) - tolerance && lx <= Math.max(fromX, toX) + tolerance &&
+        ly >= Math.min(fromY, toY) - tolerance && ly <= Math.max(fromY, toY) + tolerance;
+}
+
+// ============ Routing ============
+function shapeCenter(shape) {
+    const [fromX, fromY] = shape.points[0];
+    const [toX, toY] = shape.points[shape.points.length - 1];
+    return shape.tool === 'circle' ? [fromX, fromY] : [(fromX + toX) / 2, (fromY + toY) / 2];
+}
+
+// Where a ray from the shape's center in direction [dx, dy] leaves its outline
+function shapeOutlinePoint(shape, [dx, dy]) {
+    const [cx, cy] = shapeCenter(shape);
+    const length = Math.hypot(dx, dy) || 1;
+    const [ux, uy] = [dx / length, dy / length];
+    const [fromX, fromY] = shape.points[0];
+    const [toX, toY] = shape.points[shape.points.length - 1];
+
+    if (shape.tool === 'circle') {
+        const radius = Math.hypot(toX - fromX, toY - fromY);
+        return [cx + ux * radius, cy + uy * radius];
+    }
+
+    // Rectangle: intersect in its own (unrotated) frame
+    const rotation = shape.rotation || 0;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const lx = ux * cos + uy * sin;
+    const ly = -ux * sin + uy * cos;
+    const halfWidth = Math.abs(toX - fromX) / 2;
+    const halfHeight = Math.abs(toY - fromY) / 2;
+    const t = Math.min(lx ? halfWidth / Math.abs(lx) : Infinity, ly ? halfHeight / Math.abs(ly) : Infinity);
+    return [cx + ux * t, cy + uy * t];
+}
+
+// Points a connector is drawn through: center to center for straight ones;
+// elbow ones leave and enter horizontally or vertically and turn halfway
+function routeConnector(stroke) {
+    const { connector } = stroke;
+    const startShape = findConnectorShape(connector.startId);
+    const endShape = findConnectorShape(connector.endId);
+    const startRef = startShape ? shapeCenter(startShape) : stroke.points[0];
+    const endRef = endShape ? shapeCenter(endShape) : stroke.points[stroke.points.length - 1];
+
+    let dx = endRef[0] - startRef[0];
+    let dy = endRef[1] - startRef[1];
+    if (dx === 0 && dy === 0) dx = 1;
+
+    if (connector.routing !== 'elbow') {
+        const start = startShape ? shapeOutlinePoint(startShape, [dx, dy]) : startRef;
+        const end = endShape ? shapeOutlinePoint(endShape, [-dx, -dy]) : endRef;
+        return [start, end];
+    }
+
+    const horizontal = Math.abs(dx) >= Math.abs(dy);
+    const direction = horizontal ? [Math.sign(dx), 0] : [0, Math.sign(dy)];
+    const start = startShape ? shapeOutlinePoint(startShape, direction) : startRef;
+    const end = endShape ? shapeOutlinePoint(endShape, [-direction[0], -direction[1]]) : endRef;
+    if (horizontal) {
+        const middle = (start[0] + end[0]) / 2;
+        return [start, [middle, start[1]], [middle, end[1]], end];
+    }
+    const middle = (start[1] + end[1]) / 2;
+    return [start, [start[0], middle], [end[0], middle], end];
+}
+
+// ============ Rendering ============
+function connectorHeadSize(width) {
+    return Math.max(8, width * 3);
+}
+
+// Arrow or dot at the end of `points`, pointing away from the point before it
+function drawConnectorHead(context, points, head, width) {
+    if (head === 'none' || points.length < 2) return;
+    const [tipX, tipY] = points[points.length - 1];
+    let index = points.length - 2;
+    // Skip points on top of the tip (zero-length elbow segments)
+    while (index > 0 && points[index][0] === tipX && points[index][1] === tipY) index--;
+    const [fromX, fromY] = points[index];
+    const size = connectorHeadSize(width);
+
+    context.beginPath();
+    if (head === 'dot') {
+        context.arc(tipX, tipY, size / 2, 0, 2 * Math.PI);
+    } else {
+        const length = Math.hypot(tipX - fromX, tipY - fromY) || 1;
+        const ux = (tipX - fromX) / length;
+        const uy = (tipY - fromY) / length;
+        const baseX = tipX - ux * size;
+        const baseY = tipY - uy * size;
+        context.moveTo(tipX, tipY);
+        context.lineTo(baseX - uy * size / 2, baseY + ux * size / 2);
+        context.lineTo(baseX + uy * size / 2, baseY - ux * size / 2);
+        context.closePath();
+    }
+    context.fill();
+}
+
+function drawConnector(context, stroke) {
+    const points = routeConnector(stroke);
+    const { color, width } = stroke.style;
+
+    context.save();
+    context.strokeStyle = color;
+    context.fillStyle = color;
+    context.lineWidth = width;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    context.moveTo(points[0][0], points[0][1]);
+    for (let i = 1; i < points.length; i++) {
+        context.lineTo(points[i][0], points[i][1]);
+    }
+    context.stroke();
+
+    drawConnectorHead(context, points.slice().reverse(), stroke.connector.startHead, width);
+    drawConnectorHead(context, points, stroke.connector.endHead, width);
+    context.restore();
+}
+
+// ============ Drawing ============
+function connectorPointerDown(pos) {
+    const shape = connectableShapeAt([pos.x, pos.y]);
+    connectorDraft = { start: [pos.x, pos.y], startId: shape ? shape.strokeId : undefined };
+    saveHistory();
+}
+
+function draftConnector(pos) {
+    const end = connectableShapeAt([pos.x, pos.y]);
+    // Releasing on the shape we started from does not attach to it twice
+    const endId = end && end.strokeId !== connectorDraft.startId ? end.strokeId : undefined;
+    return {
+        strokeId: `s-${Date.now()}-${Math.floor(Math.random()*100000)}`,
+        tool: 'connector',
+        style: { color: currentColor, width: currentStrokeWidth },
+        points: [connectorDraft.start, [pos.x, pos.y]],
+        connector: { ...connectorOptions, startId: connectorDraft.startId, endId },
+        layerId: activeLayerId
+    };
+}
+
+// Preview on the local layer, over the state saved when the drag started
+function connectorPointerMove(pos) {
+    if (!connectorDraft) return;
+    if (history.length > 0) {
+        ctx.putImageData(history[history.length - 1], 0, 0);
+    } else {
+        clearLayer(ctx);
+    }
+    drawConnector(ctx, draftConnector(pos));
+}
+
+function connectorPointerUp(pos) {
+    if (!connectorDraft) return;
+    const stroke = draftConnector(pos);
+    connectorDraft = null;
+
+    // A click without a drag draws nothing
+    const [[fromX, fromY], [toX, toY]] = stroke.points;
+    if (fromX === toX && fromY === toY) {
+        scheduleRender();
+        return;
+    }
+
+    if (wsManager && wsManager.isSocketConnected()) {
+        awaitOwnOp(stroke.strokeId);
+        wsManager.addConnector({
+            fromX, fromY, toX, toY,
+            color: stroke.style.color,
+            width: stroke.style.width,
+            tool: 'connector',
+            strokeId: stroke.strokeId,
+            layerId: stroke.layerId,
+            ...stroke.connector
+        });
+    }
+    saveHistory();
+}
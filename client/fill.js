@@ -0,0 +1,236 @@
+// ============ Fills ============
+// The fill color applies to new rectangles and circles (and to selected ones
+// with the select tool); "no fill" leaves them outlined only.
+//
+// The paint bucket flood-fills the area under the pointer as it is currently
+// shown, limited to the visible part of the board. The result is sent as a
+// fill stroke: a PNG mask of the filled pixels plus the world box it covers,
+// so everyone (late joiners, replay and exports included) sees exactly the
+// same area. The mask is painted in the stroke's color when drawn.
+const FILL_TOLERANCE = 32;                       // Max difference per color channel
+const MAX_FILL_IMAGE_LENGTH = 2 * 1024 * 1024;   // Matches the server (document.js)
+
+let currentFill = null;                          // Fill color for shapes, null for none
+const fillImages = new Map();                    // strokeId → { src, mask, alpha, color, tinted }
+
+// ============ Fill Color ============
+function changeFill(color) {
+    currentFill = color;
+    document.getElementById('fillPreview').style.background = color || 'transparent';
+    document.getElementById('noFillBtn').classList.toggle('active', !color);
+    applySelectionStyle({ fill: color });
+}
+
+// ============ Paint Bucket ============
+function bucketFill(pos) {
+    const screen = worldToScreen(pos.x, pos.y);
+    const seedX = Math.floor(screen.x);
+    const seedY = Math.floor(screen.y);
+    const { width, height } = canvas;
+    if (seedX < 0 || seedY < 0 || seedX >= width || seedY >= height) return;
+
+    // What is on screen: white background, the board, our unconfirmed strokes
+    const scratch = document.createElement('canvas');
+    scratch.width = width;
+    scratch.height = height;
+    const scratchCtx = scratch.getContext('2d');
+    scratchCtx.fillStyle = 'white';
+    scratchCtx.fillRect(0, 0, width, height);
+    scratchCtx.drawImage(remoteCanvas, 0, 0);
+    scratchCtx.drawImage(canvas, 0, 0);
+
+    const region = floodFillRegion(scratchCtx.getImageData(0, 0, width, height).data, width, height, seedX, seedY);
+    const mask = regionToMask(region);
+    const image = mask.toDataURL('image/png');
+    if (image.length > MAX_FILL_IMAGE_LENGTH) {
+        alert('❌ This area is too detailed to fill. Try zooming out or filling a smaller area.');
+        return;
+    }
+
+    const topLeft = screenToWorld(region.minX, region.minY);
+    const bottomRight = screenToWorld(region.maxX + 1, region.maxY + 1);
+    const color = currentFill || currentColor;
+    const stroke = {
+        strokeId: `s-${Date.now()}-${Math.floor(Math.random()*100000)}`,
+        tool: 'fill',
+        style: { color },
+        points: [[topLeft.x, topLeft.y], [bottomRight.x, bottomRight.y]],
+        image
+    };
+
+    if (wsManager && wsManager.isSocketConnected()) {
+        awaitOwnOp(stroke.strokeId);
+        wsManager.sendFill({
+            strokeId: stroke.strokeId,
+            x: topLeft.x,
+            y: topLeft.y,
+            width: bottomRight.x - topLeft.x,
+            height: bottomRight.y - topLeft.y,
+            color,
+            image,
+            layerId: activeLayerId
+        });
+    }
+
+    // Shown locally until the server's op arrives, like other strokes
+    cacheFillMask(stroke, mask);
+    drawStroke(ctx, stroke);
+}
+
+// Scanline flood fill from (seedX, seedY) over pixels close to the seed's
+// color. Returns the mask (1 = filled) and its bounding box.
+function floodFillRegion(pixels, width, height, seedX, seedY) {
+    const seed = (seedY * width + seedX) * 4;
+    const target = [pixels[seed], pixels[seed + 1], pixels[seed + 2], pixels[seed + 3]];
+    const matches = (index) => {
+        const offset = index * 4;
+        return Math.abs(pixels[offset] - target[0]) <= FILL_TOLERANCE &&
+            Math.abs(pixels[offset + 1] - target[1]) <= FILL_TOLERANCE &&
+            Math.abs(pixels[offset + 2] - target[2]) <= FILL_TOLERANCE &&
+            Math.abs(pixels[offset + 3] - target[3]) <= FILL_TOLERANCE;
+    };
+
+    const mask = new Uint8Array(width * height);
+    const region = { mask, width, height, minX: seedX, minY: seedY, maxX: seedX, maxY: seedY };
+    const stack = [[seedX, seedY]];
+
+    while (stack.length > 0) {
+        const [x, y] = stack.pop();
+        let left = x;
+        while (left > 0 && !mask[y * width + left - 1] && matches(y * width + left - 1)) left--;
+        let right = x;
+        while (right < width - 1 && !mask[y * width + right + 1] && matches(y * width + right + 1)) right++;
+
+        for (let i = left; i <= right; i++) mask[y * width + i] = 1;
+        region.minX = Math.min(region.minX, left);
+        region.maxX = Math.max(region.maxX, right);
+        region.minY = Math.min(region.minY, y);
+        region.maxY = Math.max(region.maxY, y);
+
+        // Queue one seed per run of fillable pixels on the rows above and below
+        [y - 1, y + 1].forEach((row) => {
+            if (row < 0 || row >= height) return;
+            let inRun = false;
+            for (let i = left; i <= right; i++) {
+                const index = row * width + i;
+                const fillable = !mask[index] && matches(index);
+                if (fillable && !inRun) stack.push([i, row]);
+                inRun = fillable;
+            }
+        });
+    }
+
+    return region;
+}
+
+// Canvas of the region (white where filled), grown by one pixel to cover
+// anti-aliased edges
+function regionToMask(region) {
+    const { mask, width } = region;
+    const minX = Math.max(0, region.minX - 1);
+    const minY = Math.max(0, region.minY - 1);
+    const maxX = Math.min(width - 1, region.maxX + 1);
+    const maxY = Math.min(region.height - 1, region.maxY + 1);
+    region.minX = minX;
+    region.minY = minY;
+    region.maxX = maxX;
+    region.maxY = maxY;
+
+    const imageWidth = maxX - minX + 1;
+    const imageHeight = maxY - minY + 1;
+    const output = document.createElement('canvas');
+    output.width = imageWidth;
+    output.height = imageHeight;
+    const outputCtx = output.getContext('2d');
+    const imageData = outputCtx.createImageData(imageWidth, imageHeight);
+
+    const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < region.height && mask[y * width + x];
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (!(filled(x, y) || filled(x - 1, y) || filled(x + 1, y) || filled(x, y - 1) || filled(x, y + 1))) continue;
+            const offset = ((y - minY) * imageWidth + (x - minX)) * 4;
+            imageData.data[offset] = 255;
+            imageData.data[offset + 1] = 255;
+            imageData.data[offset + 2] = 255;
+            imageData.data[offset + 3] = 255;
+        }
+    }
+
+    outputCtx.putImageData(imageData, 0, 0);
+    return output;
+}
+
+// ============ Rendering ============
+// Paint a fill stroke's mask in its color. Images decode asynchronously, so
+// the first draw only starts loading and the board re-renders once it is ready.
+function drawFill(context, stroke) {
+    const entry = getFillImage(stroke);
+    if (!entry.mask) return;
+
+    if (entry.color !== stroke.style.color) {
+        const tinted = document.createElement('canvas');
+        tinted.width = entry.mask.width;
+        tinted.height = entry.mask.height;
+        const tintedCtx = tinted.getContext('2d');
+        tintedCtx.drawImage(entry.mask, 0, 0);
+        tintedCtx.globalCompositeOperation = 'source-in';
+        tintedCtx.fillStyle = stroke.style.color;
+        tintedCtx.fillRect(0, 0, tinted.width, tinted.height);
+        entry.tinted = tinted;
+        entry.color = stroke.style.color;
+    }
+
+    const [[fromX, fromY], [toX, toY]] = stroke.points;
+    context.drawImage(entry.tinted, Math.min(fromX, toX), Math.min(fromY, toY), Math.abs(toX - fromX), Math.abs(toY - fromY));
+}
+
+function getFillImage(stroke) {
+    const entry = fillImages.get(stroke.strokeId);
+    if (entry && entry.src === stroke.image) return entry;
+
+    const image = new Image();
+    image.onload = () => {
+        // A newer version of the stroke may have replaced this one meanwhile
+        const current = fillImages.get(stroke.strokeId);
+        if (!current || current.src !== stroke.image) return;
+        const mask = document.createElement('canvas');
+        mask.width = image.naturalWidth;
+        mask.height = image.naturalHeight;
+        mask.getContext('2d').drawImage(image, 0, 0);
+        cacheFillMask(stroke, mask);
+        scheduleRender();
+    };
+    image.src = stroke.image;
+
+    const loading = { src: stroke.image, mask: null, alpha: null, color: null, tinted: null };
+    fillImages.set(stroke.strokeId, loading);
+    return loading;
+}
+
+function cacheFillMask(stroke, mask) {
+    fillImages.set(stroke.strokeId, {
+        src: stroke.image,
+        mask,
+        // Alpha channel for hit testing with the select tool
+        alpha: mask.getContext('2d').getImageData(0, 0, mask.width, mask.height).data,
+        color: null,
+        tinted: null
+    });
+}
+
+// Whether a world point lies on the filled part of a fill stroke
+function fillContainsPoint(stroke, [x, y]) {
+    const [[fromX, fromY], [toX, toY]] = stroke.points;
+    const left = Math.min(fromX, toX);
+    const top = Math.min(fromY, toY);
+    const boxWidth = Math.abs(toX - fromX);
+    const boxHeight = Math.abs(toY - fromY);
+    if (x < left || y < top || x > left + boxWidth || y > top + boxHeight) return false;
+
+    const entry = getFillImage(stroke);
+    if (!entry.alpha) return true;
+    const { width, height } = entry.mask;
+    const px = Math.min(width - 1, Math.floor((x - left) / boxWidth * width));
+    const py = Math.min(height - 1, Math.floor((y - top) / boxHeight * height));
+    return entry.alpha[(py * width + px) * 4 + 3] > 0;
+}
@@ -0,0 +1,192 @@
+// ============ Images ============
+// Images are put on the board with the image button, by dropping files on the
+// canvas or by pasting. The bytes are uploaded once (add-image) and stored by
+// the server; the image stroke it broadcasts only holds an imageId and the
+// world box the image is stretched over. Each client then fetches the image
+// from the room's image route and caches it by imageId.
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;    // Matches the server (images.js)
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+const IMAGE_MAX_VIEWPORT_SHARE = 0.8;       // New images fit in this much of the view
+const IMAGE_FALLBACK_SIZE = { width: 300, height: 150 };
+
+const boardImages = new Map();              // imageId → { image, ready, failed }
+const pendingImages = new Map();            // strokeId → image we are uploading
+
+// ============ Inserting ============
+function insertImageFile(file, at) {
+    if (!file || !canEditBoard() || !checkActiveLayer()) return;
+
+    if (!IMAGE_MIME_TYPES.includes(file.type)) {
+        alert('❌ Only PNG, JPEG and SVG images are supported');
+        return;
+    }
+    if (file.size > MAX_IMAGE_BYTES) {
+        alert(`❌ Image is too large (max ${MAX_IMAGE_BYTES / (1024 * 1024)} MB)`);
+        return;
+    }
+    if (!wsManager || !wsManager.isSocketConnected()) {
+        alert('❌ Not connected to the server');
+        return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = async () => {
+        const data = await file.arrayBuffer();
+        const stroke = placeImage(image, at);
+        awaitOwnOp(stroke.strokeId);
+        wsManager.addImage({
+            strokeId: stroke.strokeId,
+            x: stroke.points[0][0],
+            y: stroke.points[0][1],
+            width: stroke.points[1][0] - stroke.points[0][0],
+            height: stroke.points[1][1] - stroke.points[0][1],
+            data,
+            layerId: stroke.layerId
+        });
+
+        // Shown locally until the server's op arrives, like other strokes
+        pendingImages.set(stroke.strokeId, image);
+        drawStroke(ctx, stroke);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        alert('❌ This image could not be read');
+    };
+    image.src = url;
+}
+
+// Image stroke at its natural size (on screen), centered on `at` or the view,
+// shrunk to fit the view if needed
+function placeImage(image, at) {
+    let width = (image.naturalWidth || IMAGE_FALLBACK_SIZE.width) / viewport.scale;
+    let height = (image.naturalHeight || IMAGE_FALLBACK_SIZE.height) / viewport.scale;
+    const maxWidth = canvas.width * IMAGE_MAX_VIEWPORT_SHARE / viewport.scale;
+    const maxHeight = canvas.height * IMAGE_MAX_VIEWPORT_SHARE / viewport.scale;
+    const fit = Math.min(1, maxWidth / width, maxHeight / height);
+    width *= fit;
+    height *= fit;
+
+    const center = at || screenToWorld(canvas.width / 2, canvas.height / 2);
+    const x = center.x - width / 2;
+    const y = center.y - height / 2;
+    return {
+        strokeId: `s-${Date.now()}-${Math.floor(Math.random()*100000)}`,
+        tool: 'image',
+        style: {},
+        points: [[x, y], [x + width, y + height]],
+        layerId: activeLayerId
+    };
+}
+
+// The server refused our upload
+function handleImageError(data) {
+    console.warn(`⚠️ Image rejected: ${data.message}`);
+    if (data.strokeId) pendingImages.delete(data.strokeId);
+    awaitedOwnOps.clear();
+    scheduleRender();
+    alert(`❌ Could not add image: ${data.message}`);
+}
+
+// ============ Rendering ============
+// Images load asynchronously: until then (or if loading fails) a placeholder
+// box is drawn and the board re-renders once the image is ready.
+function drawImageStroke(context, stroke) {
+    const [[fromX, fromY], [toX, toY]] = stroke.points;
+    const x = Math.min(fromX, toX);
+    const y = Math.min(fromY, toY);
+    const width = Math.abs(toX - fromX);
+    const height = Math.abs(toY - fromY);
+
+    const image = stroke.imageId ? getBoardImage(stroke) : pendingImages.get(stroke.strokeId);
+    if (image) {
+        context.drawImage(image, x, y, width, height);
+        return;
+    }
+
+    context.save();
+    context.fillStyle = 'rgba(0, 0, 0, 0.05)';
+    context.strokeStyle = '#bbb';
+    context.lineWidth = 1 / viewport.scale;
+    context.setLineDash([6 / viewport.scale, 4 / viewport.scale]);
+    context.fillRect(x, y, width, height);
+    context.strokeRect(x, y, width, height);
+    context.restore();
+}
+
+// Loaded image for an image stroke, or null while it is not available
+function getBoardImage(stroke) {
+    const entry = boardImages.get(stroke.imageId);
+    if (entry) return entry.ready ? entry.image : null;
+
+    // Our own upload has landed: reuse what we already decoded
+    const pending = pendingImages.get(stroke.strokeId);
+    if (pending) {
+        pendingImages.delete(stroke.strokeId);
+        boardImages.set(stroke.imageId, { image: pending, ready: true, failed: false });
+        return pending;
+    }
+
+    loadBoardImage(stroke.imageId);
+    return null;
+}
+
+async function loadBoardImage(imageId) {
+    const entry = { image: new Image(), ready: false, failed: false };
+    boardImages.set(imageId, entry);
+
+    try {
+        const response = await fetch(`${SERVER_URL}/rooms/${encodeURIComponent(currentUser.roomId)}/images/${imageId}`, {
+            headers: roomAuthHeaders()
+        });
+        if (!response.ok) {
+            throw new Error(`Server responded with ${response.status}`);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        entry.image.onload = () => {
+            URL.revokeObjectURL(url);
+            entry.ready = true;
+            scheduleRender();
+        };
+        entry.image.onerror = () => {
+            URL.revokeObjectURL(url);
+            entry.failed = true;
+        };
+        entry.image.src = url;
+    } catch (error) {
+        console.error(`❌ Could not load image ${imageId}:`, error);
+        entry.failed = true;
+    }
+}
+
+// ============ Initialize ============
+function isImageFile(file) {
+    return file && IMAGE_MIME_TYPES.includes(file.type);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const container = document.querySelector('.canvas-container');
+
+    container.addEventListener('dragover', (e) => {
+        if (!canEditBoard() || !e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    container.addEventListener('drop', (e) => {
+        if (!canEditBoard()) return;
+        const file = Array.from(e.dataTransfer.files).find(isImageFile) || e.dataTransfer.files[0];
+        if (!file) return;
+        e.preventDefault();
+        insertImageFile(file, getEventPosition(e));
+    });
+
+    window.addEventListener('paste', (e) => {
+        if (isTypingTarget(e.target) || !canEditBoard()) return;
+        const file = Array.from(e.clipboardData.files).find(isImageFile);
+        if (!file) return;
+        e.preventDefault();
+        insertImageFile(file);
+    });
+});
@@ -0,0 +1,323 @@
+// ============ Layers ============
+// Every room has named layers shared by everyone, bottom to top in
+// boardLayers. New strokes go on our active layer (each user picks their
+// own). Hidden layers are not shown; locked layers cannot be drawn on or
+// edited, and only hosts lock or unlock them. Layer changes are room
+// operations like stroke changes, so everyone applies them in the same order.
+//
+// Each layer is drawn on its own offscreen canvas at the current viewport, so
+// an eraser only erases its own layer and remote strokes can still be drawn
+// incrementally. The layer canvases are then composited onto #remoteCanvas
+// with their opacity.
+const MAX_LAYERS = 20;                  // Matches the server (document.js)
+const MAX_LAYER_NAME_LENGTH = 40;
+
+let boardLayers = [];                   // { layerId, name, visible, locked, opacity }
+let activeLayerId = null;
+const layerCanvases = new Map();        // layerId → offscreen canvas
+let compositeScheduled = false;
+
+// ============ Layer State ============
+function findBoardLayer(layerId) {
+    return boardLayers.find(layer => layer.layerId === layerId) || null;
+}
+
+// Strokes on a missing layer (or drawn before layers existed) belong to the bottom one
+function strokeLayerId(stroke) {
+    return findBoardLayer(stroke.layerId) ? stroke.layerId : boardLayers[0].layerId;
+}
+
+function isStrokeEditable(stroke) {
+    const layer = findBoardLayer(strokeLayerId(stroke));
+    return layer.visible && !layer.locked;
+}
+
+function getActiveLayer() {
+    return findBoardLayer(activeLayerId);
+}
+
+// Whether new strokes can go on the active layer; explains why not
+function checkActiveLayer() {
+    const layer = getActiveLayer();
+    if (!layer) return false;
+    if (layer.locked) {
+        alert(`🔒 Layer "${layer.name}" is locked. Pick another layer to draw on.`);
+        return false;
+    }
+    if (!layer.visible) {
+        alert(`🙈 Layer "${layer.name}" is hidden. Show it or pick another layer to draw on.`);
+        return false;
+    }
+    return true;
+}
+
+// Full layer list (on join, resync and board import)
+function setBoardLayers(layers) {
+    boardLayers = layers.map(layer => ({ ...layer }));
+    if (!getActiveLayer()) activeLayerId = boardLayers[boardLayers.length - 1].layerId;
+    renderLayersPanel();
+}
+
+function applyLayerOp(op, isOwn) {
+    if (op.type === 'add-layer') {
+        boardLayers.push({ ...op.layer });
+        // A layer we added becomes the one we draw on
+        if (isOwn) activeLayerId = op.layer.layerId;
+    } else if (op.type === 'update-layer') {
+        const layer = findBoardLayer(op.layerId);
+        if (layer) Object.assign(layer, op.changes);
+    } else if (op.type === 'reorder-layers') {
+        boardLayers = op.layerIds.map(findBoardLayer).filter(Boolean);
+    }
+    renderLayersPanel();
+    renderBoard();
+}
+
+// ============ Rendering ============
+// Offscreen canvas of a layer, sized to the board and set to the viewport
+function getLayerContext(layerId) {
+    let layerCanvas = layerCanvases.get(layerId);
+    if (!layerCanvas) {
+        layerCanvas = document.createElement('canvas');
+        layerCanvases.set(layerId, layerCanvas);
+    }
+    if (layerCanvas.width !== remoteCanvas.width || layerCanvas.height !== remoteCanvas.height) {
+        layerCanvas.width = remoteCanvas.width;
+        layerCanvas.height = remoteCanvas.height;
+    }
+    const context = layerCanvas.getContext('2d');
+    applyViewportTransform(context);
+    return context;
+}
+
+// Redraw every layer from these strokes
+function renderLayers(strokes) {
+    layerCanvases.forEach((layerCanvas, layerId) => {
+        if (findBoardLayer(layerId)) {
+            clearLayer(layerCanvas.getContext('2d'));
+        } else {
+            layerCanvases.delete(layerId);
+        }
+    });
+    strokes.forEach(stroke => drawStroke(getLayerContext(strokeLayerId(stroke)), stroke));
+    compositeLayers();
+}
+
+// Add one stroke (or the new part of one) to its layer
+function drawOnLayer(stroke) {
+    drawStroke(getLayerContext(strokeLayerId(stroke)), stroke);
+    scheduleComposite();
+}
+
+// Redraw a world-space box of one layer from the strokes reaching into it,
+// leaving it as a full redraw would
+function redrawLayerRegion(layerId, region) {
+    const context = getLayerContext(layerId);
+    context.save();
+    clipToRegion(context, region);
+    displayedBoardStrokes().forEach(stroke => {
+        if (strokeLayerId(stroke) !== layerId) return;
+        const bounds = strokeReach(stroke);
+        if (!bounds || bounds.x > region.x + region.width || bounds.x + bounds.width < region.x ||
+            bounds.y > region.y + region.height || bounds.y + bounds.height < region.y) return;
+        drawStroke(context, stroke);
+    });
+    context.restore();
+    scheduleComposite();
+}
+
+// Bounding box of what a stroke paints or erases, kept until it grows
+const strokeReachCache = new WeakMap();
+
+function strokeReach(stroke) {
+    const cached = strokeReachCache.get(stroke);
+    if (cached && cached.count === stroke.points.length) return cached.bounds;
+
+    let bounds = getStrokeBounds(stroke);
+    if (stroke.tool === 'eraser' && stroke.points.length > 0) {
+        const half = stroke.style.width / 2;
+        const xs = stroke.points.map(([x]) => x);
+        const ys = stroke.points.map(([, y]) => y);
+        const minX = Math.min(...xs) - half;
+        const minY = Math.min(...ys) - half;
+        bounds = { x: minX, y: minY, width: Math.max(...xs) + half - minX, height: Math.max(...ys) + half - minY };
+    }
+    strokeReachCache.set(stroke, { count: stroke.points.length, bounds });
+    return bounds;
+}
+
+function compositeLayers() {
+    clearLayer(remoteCtx);
+    remoteCtx.save();
+    remoteCtx.setTransform(1, 0, 0, 1, 0, 0);
+    boardLayers.forEach((layer) => {
+        const layerCanvas = layerCanvases.get(layer.layerId);
+        if (!layer.visible || !layerCanvas) return;
+        remoteCtx.globalAlpha = layer.opacity;
+        remoteCtx.drawImage(layerCanvas, 0, 0);
+    });
+    remoteCtx.restore();
+
+    // Text others are typing sits above every layer
+    applyViewportTransform(remoteCtx);
+    renderTextEdits();
+}
+
+// Remote strokes arrive many times per frame; composite once per frame
+function scheduleComposite() {
+    if (compositeScheduled) return;
+    compositeScheduled = true;
+    requestAnimationFrame(() => {
+        compositeScheduled = false;
+        compositeLayers();
+    });
+}
+
+// Draw strokes grouped by layer onto a context that already has the viewport
+// transform (replay). Uses one scratch canvas for all layers.
+function drawLayeredStrokes(context, strokes) {
+    const scratch = document.createElement('canvas');
+    scratch.width = context.canvas.width;
+    scratch.height = context.canvas.height;
+    const scratchCtx = scratch.getContext('2d');
+
+    boardLayers.forEach((layer) => {
+        if (!layer.visible) return;
+        const layerStrokes = strokes.filter(stroke => strokeLayerId(stroke) === layer.layerId);
+        if (layerStrokes.length === 0) return;
+
+        clearLayer(scratchCtx);
+        applyViewportTransform(scratchCtx);
+        layerStrokes.forEach(stroke => drawStroke(scratchCtx, stroke));
+
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.globalAlpha = layer.opacity;
+        context.drawImage(scratch, 0, 0);
+        context.restore();
+    });
+}
+
+// ============ Layers Panel ============
+// Top layer first, like most drawing apps
+function renderLayersPanel() {
+    const list = document.getElementById('layersList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const canEdit = canEditBoard();
+    const isHost = currentUser.role === 'host';
+
+    boardLayers.slice().reverse().forEach((layer) => {
+        const index = boardLayers.indexOf(layer);
+        const row = document.createElement('li');
+        row.className = 'layer-row';
+        row.classList.toggle('active', layer.layerId === activeLayerId);
+        row.classList.toggle('hidden-layer', !layer.visible);
+        row.onclick = () => setActiveLayer(layer.layerId);
+
+        const visibleBtn = layerButton(layer.visible ? '👁️' : '🙈', layer.visible ? 'Hide layer' : 'Show layer', !canEdit,
+            () => updateLayer(layer.layerId, { visible: !layer.visible }));
+        const lockBtn = layerButton(layer.locked ? '🔒' : '🔓', isHost ? (layer.locked ? 'Unlock layer' : 'Lock layer') : 'Only the host can lock layers',
+            !canEdit || !isHost, () => updateLayer(layer.layerId, { locked: !layer.locked }));
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name;
+        name.title = canEdit ? 'Double-click to rename' : layer.name;
+        name.ondblclick = () => renameLayer(layer.layerId);
+
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.className = 'layer-opacity';
+        opacity.min = '0';
+        opacity.max = '100';
+        opacity.value = String(Math.round(layer.opacity * 100));
+        opacity.title = `Opacity ${opacity.value}%`;
+        opacity.disabled = !canEdit;
+        opacity.onclick = e => e.stopPropagation();
+        // Preview while dragging, send once released
+        opacity.oninput = () => {
+            layer.opacity = opacity.value / 100;
+            compositeLayers();
+        };
+        opacity.onchange = () => updateLayer(layer.layerId, { opacity: opacity.value / 100 });
+
+        const upBtn = layerButton('▲', 'Move up', !canEdit || index === boardLayers.length - 1, () => moveLayer(layer.layerId, 1));
+        const downBtn = layerButton('▼', 'Move down', !canEdit || index === 0, () => moveLayer(layer.layerId, -1));
+
+        row.append(visibleBtn, lockBtn, name, opacity, upBtn, downBtn);
+        list.appendChild(row);
+    });
+
+    const addBtn = document.getElementById('addLayerBtn');
+    if (addBtn) addBtn.disabled = !canEdit || boardLayers.length >= MAX_LAYERS;
+
+    const active = getActiveLayer();
+    const layerDisplay = document.getElementById('layerDisplay');
+    if (layerDisplay) layerDisplay.textContent = active ? active.name : '...';
+}
+
+function layerButton(label, title, disabled, action) {
+    const button = document.createElement('button');
+    button.className = 'layer-btn';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = disabled;
+    button.onclick = (e) => {
+        e.stopPropagation();
+        action();
+    };
+    return button;
+}
+
+function toggleLayersPanel() {
+    const panel = document.getElementById('layersPanel');
+    const hidden = panel.style.display === 'none';
+    panel.style.display = hidden ? '' : 'none';
+    document.getElementById('layersToggleBtn').classList.toggle('active', hidden);
+}
+
+// ============ Layer Actions ============
+function setActiveLayer(layerId) {
+    activeLayerId = layerId;
+    renderLayersPanel();
+}
+
+function addLayer() {
+    if (!canEditBoard() || !wsManager || !wsManager.isSocketConnected()) return;
+    if (boardLayers.length >= MAX_LAYERS) {
+        alert(`❌ A board can have at most ${MAX_LAYERS} layers`);
+        return;
+    }
+    wsManager.addLayer({
+        layerId: `l-${Date.now()}-${Math.floor(Math.random()*100000)}`,
+        name: `Layer ${boardLayers.length + 1}`
+    });
+}
+
+function renameLayer(layerId) {
+    const layer = findBoardLayer(layerId);
+    if (!layer || !canEditBoard()) return;
+    const name = prompt('Layer name:', layer.name);
+    if (name === null) return;
+    const trimmed = name.trim().slice(0, MAX_LAYER_NAME_LENGTH);
+    if (trimmed && trimmed !== layer.name) updateLayer(layerId, { name: trimmed });
+}
+
+function updateLayer(layerId, changes) {
+    if (!canEditBoard() || !wsManager || !wsManager.isSocketConnected()) return;
+    wsManager.updateLayer({ layerId, ...changes });
+}
+
+// Move a layer one step up (1) or down (-1)
+function moveLayer(layerId, direction) {
+    const index = boardLayers.findIndex(layer => layer.layerId === layerId);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= boardLayers.length) return;
+    if (!canEditBoard() || !wsManager || !wsManager.isSocketConnected()) return;
+
+    const layerIds = boardLayers.map(layer => layer.layerId);
+    [layerIds[index], layerIds[target]] = [layerIds[target], layerIds[index]];
+    wsManager.reorderLayers(layerIds);
+}
@@ -1,3 +1,6 @@
+// Server (same as canvas.js)
+const SERVER_URL = 'https://realtimecanvas.onrender.com'; // Update with your actual Render URL
+
 // Generate random room ID
 function generateRoomId() {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -32,6 +35,7 @@ function createRoom() {
     const userName = document.getElementById('userName').value.trim();
     const roomName = document.getElementById('createRoomName').value.trim();
     const capacity = document.getElementById('createCapacity').value;
+    const password = document.getElementById('createPassword').value;
 
     // Validation
     if (!userName) {
@@ -44,12 +48,19 @@ function createRoom() {
         return;
     }
 
+    const capacityValue = parseInt(capacity, 10);
+    if (!(capacityValue >= 2 && capacityValue <= 20)) {
+        alert('❌ Room capacity must be between 2 and 20');
+        return;
+    }
+
     // Generate Room ID
     const roomId = generateRoomId();
 
     // Display Room ID
     const displayElement = document.getElementById('createRoomId');
-    displayElement.innerHTML = `✅ Room Created!<br>ID: <strong>${roomId}</strong><br>Capacity: ${capacity}`;
+    displayElement.innerHTML = `✅ Room Created!<br>ID: <strong>${roomId}</strong><br>Capacity: ${capacity}` +
+        (password ? '<br>🔒 Password protected' : '');
 
     // Store in localStorage
     localStorage.setItem('userName', userName);
@@ -58,6 +69,14 @@ function createRoom() {
     localStorage.setItem('roomCapacity', capacity);
     localStorage.setItem('isHost', 'true');
 
+    // The server hashes the password when the room is created; the host
+    // token it sends back proves host identity from then on
+    if (password) {
+        localStorage.setItem('roomPassword', password);
+    } else {
+        localStorage.removeItem('roomPassword');
+    }
+
     console.log(`✅ Room Created: ${roomName} (ID: ${roomId}, Capacity: ${capacity}) by ${userName}`);
 
     // Auto-redirect after 1.5 seconds
@@ -66,10 +85,30 @@ function createRoom() {
     }, 1500);
 }
 
+// Why a room cannot be joined, or null if it can (or the server could not be
+// asked; the canvas page reports problems when it connects)
+async function checkRoom(roomId, password, isHost) {
+    try {
+        const response = await fetch(`${SERVER_URL}/api/v1/rooms/${encodeURIComponent(roomId)}`);
+        if (response.status === 404) return '❌ Room not found';
+        if (!response.ok) return null;
+
+        const room = await response.json();
+        if (isHost) return null;
+        if (room.full) return '❌ This room is full';
+        if (room.passwordProtected && !password) return '🔒 This room is password protected, please enter its password';
+        return null;
+    } catch (error) {
+        console.warn('Could not check the room before joining:', error);
+        return null;
+    }
+}
+
 // Join Room
-function joinRoom() {
+async function joinRoom() {
     const userName = document.getElementById('userName').value.trim();
     const roomId = document.getElementById('joinRoomId').value.trim();
+    const password = document.getElementById('joinPassword').value;
 
     // Validation
     if (!userName) {
@@ -88,10 +127,25 @@ function joinRoom() {
         return;
     }
 
+    // Rejoin as host if we created this room earlier in this browser
+    const isHost = !!localStorage.getItem(`hostToken:${roomId}`);
+
+    const problem = await checkRoom(roomId, password, isHost);
+    if (problem) {
+        alert(problem);
+        return;
+    }
+
     // Store in localStorage
     localStorage.setItem('userName', userName);
     localStorage.setItem('roomId', roomId);
-    localStorage.setItem('isHost', 'false');
+    localStorage.setItem('isHost', isHost ? 'true' : 'false');
+
+    if (password) {
+        localStorage.setItem('roomPassword', password);
+    } else {
+        localStorage.removeItem('roomPassword');
+    }
 
     console.log(`✅ Joining Room: ${roomId} as ${userName}`);
 
@@ -122,4 +176,12 @@ document.addEventListener('DOMContentLoaded', function() {
     document.getElementById('joinRoomId').addEventListener('keypress', function(e) {
         if (e.key === 'Enter') joinRoom();
     });
+
+    document.getElementById('createPassword').addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') createRoom();
+    });
+
+    document.getElementById('joinPassword').addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') joinRoom();
+    });
 });
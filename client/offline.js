@@ -0,0 +1,161 @@
+// ============ Offline Drawing ============
+// Brush, eraser and shape strokes drawn while we are not in the room (the
+// connection dropped, or we are still rejoining) are queued in IndexedDB, so
+// they also survive a reload. Once we are back they are sent in the order
+// they were drawn, one offline-strokes batch at a time. The server skips
+// strokeIds it already has, so a batch cut short by another drop is simply
+// sent again, and confirms each batch with offline-strokes-synced.
+//
+// Strokes drawn while older ones are still queued are queued behind them,
+// so the room gets them in order. The status bar shows how many are waiting.
+const OFFLINE_DB_NAME = 'canvas-offline';
+const OFFLINE_STORE = 'strokes';
+const OFFLINE_BATCH_SIZE = 50;          // Matches the server (protocol.js)
+const OFFLINE_RETRY_DELAY = 1000;       // After the server rate limited a batch
+
+let offlineDb = null;                   // Promise of the IDBDatabase (null if unavailable)
+let unsyncedStrokes = [];               // [{ id, stroke }] for this room, oldest first
+let offlineBatch = null;                // strokeIds sent and not confirmed yet
+
+// ============ Storage ============
+function openOfflineDb() {
+    if (!offlineDb && window.indexedDB) {
+        offlineDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(OFFLINE_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('roomId', 'roomId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDb;
+}
+
+// Run one request against the stroke store; resolves with its result
+async function offlineRequest(mode, makeRequest) {
+    const db = await openOfflineDb();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(OFFLINE_STORE, mode).objectStore(OFFLINE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Strokes left over from an earlier visit (reload, or the tab was closed offline)
+async function loadOfflineStrokes() {
+    try {
+        const records = await offlineRequest('readonly', store => store.index('roomId').getAll(currentUser.roomId));
+        // Older than anything drawn since the page loaded
+        const queued = new Set(unsyncedStrokes.map(entry => entry.stroke.strokeId));
+        const earlier = (records || [])
+            .filter(record => !queued.has(record.stroke.strokeId))
+            .map(record => ({ id: record.id, stroke: record.stroke }));
+        unsyncedStrokes = [...earlier, ...unsyncedStrokes];
+    } catch (err) {
+        console.error('❌ Could not read offline strokes:', err);
+    }
+    renderUnsyncedCount();
+    scheduleRender();
+    flushOfflineStrokes();
+}
+
+// ============ Queue ============
+// Whether new strokes have to wait in the queue instead of going out live
+function shouldQueueStrokes() {
+    return !roomJoined || !wsManager.isSocketConnected() || unsyncedStrokes.length > 0;
+}
+
+async function queueOfflineStroke(stroke) {
+    const entry = { id: null, stroke };
+    unsyncedStrokes.push(entry);
+    renderUnsyncedCount();
+    try {
+        entry.id = await offlineRequest('readwrite', store => store.add({ roomId: currentUser.roomId, stroke, queuedAt: Date.now() }));
+        // Confirmed (or undone) before it was even stored
+        if (entry.id !== null && !unsyncedStrokes.includes(entry)) forgetStoredStroke(entry);
+    } catch (err) {
+        // Still sent from memory, just not kept across a reload
+        console.error('❌ Could not store offline stroke:', err);
+    }
+    flushOfflineStrokes();
+}
+
+function forgetOfflineStrokes(strokeIds) {
+    const ids = new Set(strokeIds);
+    const done = unsyncedStrokes.filter(entry => ids.has(entry.stroke.strokeId));
+    unsyncedStrokes = unsyncedStrokes.filter(entry => !ids.has(entry.stroke.strokeId));
+    done.forEach(forgetStoredStroke);
+    renderUnsyncedCount();
+}
+
+function forgetStoredStroke(entry) {
+    if (entry.id === null) return;
+    offlineRequest('readwrite', store => store.delete(entry.id)).catch((err) => {
+        console.error('❌ Could not remove synced stroke:', err);
+    });
+}
+
+// Queued strokes the board does not have yet, drawn with it (see renderBoard)
+function unsyncedBoardStrokes() {
+    return unsyncedStrokes
+        .map(entry => entry.stroke)
+        .filter(stroke => !findBoardStroke(stroke.strokeId));
+}
+
+// Undo while offline takes back our newest queued stroke (if it is not on its way)
+function undoOfflineStroke() {
+    const entry = unsyncedStrokes[unsyncedStrokes.length - 1];
+    if (!entry || (offlineBatch && offlineBatch.includes(entry.stroke.strokeId))) return false;
+    forgetOfflineStrokes([entry.stroke.strokeId]);
+    scheduleRender();
+    return true;
+}
+
+// ============ Sync ============
+function flushOfflineStrokes() {
+    if (offlineBatch || unsyncedStrokes.length === 0) return;
+    if (!roomJoined || !wsManager.isSocketConnected() || !canEditBoard()) return;
+
+    const strokes = unsyncedStrokes.slice(0, OFFLINE_BATCH_SIZE).map(entry => entry.stroke);
+    offlineBatch = strokes.map(stroke => stroke.strokeId);
+    wsManager.sendOfflineStrokes(strokes);
+}
+
+function handleOfflineStrokesSynced(data) {
+    offlineBatch = null;
+    forgetOfflineStrokes(data.strokeIds);
+    flushOfflineStrokes();
+}
+
+// The server refused the batch in flight: 'permission' (we may no longer
+// draw: nothing queued can be sent), 'RATE_LIMITED' (try again shortly) or
+// 'INVALID_PAYLOAD' (the batch is dropped)
+function handleOfflineStrokesRefused(reason) {
+    if (reason === 'RATE_LIMITED') {
+        offlineBatch = null;
+        setTimeout(flushOfflineStrokes, OFFLINE_RETRY_DELAY);
+        return;
+    }
+
+    const dropped = reason === 'permission' ? unsyncedStrokes.map(entry => entry.stroke.strokeId) : offlineBatch || [];
+    offlineBatch = null;
+    forgetOfflineStrokes(dropped);
+    scheduleRender();
+    flushOfflineStrokes();
+}
+
+// A batch sent just before a drop may never be confirmed; send it again
+function resetOfflineBatch() {
+    offlineBatch = null;
+}
+
+function renderUnsyncedCount() {
+    const count = unsyncedStrokes.length;
+    wsManager.setStatusNote(count > 0 ? `${count} unsynced stroke${count === 1 ? '' : 's'}` : null);
+}
+
+// ============ Initialize ============
+document.addEventListener('DOMContentLoaded', loadOfflineStrokes);
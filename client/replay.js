@@ -0,0 +1,381 @@
+// ============ Replay ============
+// Plays back how the board was built. Opening replay takes a snapshot of the
+// room document; each stroke appears at its replay time, worked out from the
+// stroke timestamps with long idle gaps shortened (same rules as the server's
+// animated SVG export). Replay draws on its own canvas above the live layers,
+// so operations from other users keep arriving underneath while it is open.
+const replayCanvas = document.getElementById('replayCanvas');
+const replayCtx = replayCanvas.getContext('2d');
+
+const REPLAY_MAX_GAP = 2000;        // Idle gaps longer than this are shortened (ms)
+const REPLAY_MAX_FRAMES = 120;      // Frame sequence export
+const REPLAY_FRAME_MAX_SIZE = 1600; // Longest side of an exported frame (px)
+
+const replay = {
+    active: false,
+    playing: false,
+    strokes: [],      // Snapshot of boardStrokes, in history order
+    times: [],        // Replay time (ms) at which each stroke appears
+    duration: 0,
+    position: 0,      // Current replay time (ms)
+    speed: 1,
+    userId: '',       // Only show this user's strokes ('' = everyone)
+    lastTick: 0
+};
+
+// Replay time for each stroke: timestamp order, gaps capped at REPLAY_MAX_GAP
+function buildReplayTimeline(strokes) {
+    const order = strokes.map((stroke, index) => index)
+        .sort((a, b) => (strokes[a].timestamp || 0) - (strokes[b].timestamp || 0));
+    const times = new Array(strokes.length);
+    let time = 0;
+    let previous = null;
+
+    order.forEach((index) => {
+        const timestamp = strokes[index].timestamp || 0;
+        if (previous !== null) {
+            time += Math.min(Math.max(timestamp - previous, 0), REPLAY_MAX_GAP);
+        }
+        times[index] = time;
+        previous = timestamp;
+    });
+
+    return times;
+}
+
+function isReplayStrokeVisible(index, position) {
+    const stroke = replay.strokes[index];
+    return replay.times[index] <= position && (!replay.userId || stroke.userId === replay.userId);
+}
+
+// ============ Replay Mode ============
+function toggleReplay() {
+    if (replay.active) {
+        closeReplay();
+    } else {
+        openReplay();
+    }
+}
+
+function openReplay() {
+    replay.strokes = boardStrokes.map(stroke => ({ ...stroke, points: stroke.points.slice() }));
+    replay.times = buildReplayTimeline(replay.strokes);
+    replay.duration = replay.times.reduce((longest, time) => Math.max(longest, time), 0);
+    replay.position = 0;
+    replay.active = true;
+
+    if (isDrawing) {
+        isDrawing = false;
+        renderBoard();
+    }
+
+    fillReplayUserFilter();
+    document.getElementById('replayScrubber').max = replay.duration;
+    document.getElementById('replayBar').style.display = '';
+    document.getElementById('replayBtn').classList.add('active');
+    replayCanvas.style.display = '';
+    applyPermissions();
+
+    console.log(`🎬 Replay opened: ${replay.strokes.length} strokes, ${formatReplayTime(replay.duration)}`);
+    renderReplayFrame();
+    playReplay();
+}
+
+function closeReplay() {
+    pauseReplay();
+    replay.active = false;
+    replay.strokes = [];
+    replay.times = [];
+
+    document.getElementById('replayBar').style.display = 'none';
+    document.getElementById('replayBtn').classList.remove('active');
+    replayCanvas.style.display = 'none';
+    applyPermissions();
+}
+
+function fillReplayUserFilter() {
+    const select = document.getElementById('replayUserFilter');
+    const users = new Map();
+    replay.strokes.forEach((stroke) => {
+        if (stroke.userId && !users.has(stroke.userId)) {
+            users.set(stroke.userId, stroke.userName || 'Unknown');
+        }
+    });
+
+    select.innerHTML = '';
+    const everyone = document.createElement('option');
+    everyone.value = '';
+    everyone.textContent = '👥 Everyone';
+    select.appendChild(everyone);
+
+    users.forEach((name, userId) => {
+        const option = document.createElement('option');
+        option.value = userId;
+        option.textContent = `👤 ${name}`;
+        select.appendChild(option);
+    });
+
+    replay.userId = '';
+}
+
+// ============ Playback ============
+function playReplay() {
+    if (!replay.active || replay.playing) return;
+
+    // Start over when play is pressed at the end
+    if (replay.position >= replay.duration) replay.position = 0;
+
+    replay.playing = true;
+    replay.lastTick = performance.now();
+    document.getElementById('replayPlayBtn').textContent = '⏸️';
+    requestAnimationFrame(replayTick);
+}
+
+function pauseReplay() {
+    replay.playing = false;
+    document.getElementById('replayPlayBtn').textContent = '▶️';
+}
+
+function toggleReplayPlayback() {
+    if (replay.playing) {
+        pauseReplay();
+    } else {
+        playReplay();
+    }
+}
+
+function replayTick(now) {
+    if (!replay.playing) return;
+
+    replay.position += (now - replay.lastTick) * replay.speed;
+    replay.lastTick = now;
+
+    if (replay.position >= replay.duration) {
+        replay.position = replay.duration;
+        renderReplayFrame();
+        pauseReplay();
+        return;
+    }
+
+    renderReplayFrame();
+    requestAnimationFrame(replayTick);
+}
+
+function seekReplay(position) {
+    replay.position = Math.min(replay.duration, Math.max(0, Number(position)));
+    renderReplayFrame();
+}
+
+function setReplaySpeed(speed) {
+    replay.speed = Number(speed) || 1;
+}
+
+function setReplayUserFilter(userId) {
+    replay.userId = userId;
+    renderReplayFrame();
+}
+
+function formatReplayTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// ============ Rendering ============
+// Draw the board as it was at the current replay position
+function renderReplayFrame() {
+    if (!replay.active) return;
+
+    if (replayCanvas.width !== canvas.width || replayCanvas.height !== canvas.height) {
+        replayCanvas.width = canvas.width;
+        replayCanvas.height = canvas.height;
+    }
+
+    clearLayer(replayCtx);
+    applyViewportTransform(replayCtx);
+
+    // Wall-clock time of the newest stroke on screen
+    let shownAt = null;
+    const shown = replay.strokes.filter((stroke, index) => isReplayStrokeVisible(index, replay.position));
+    shown.forEach((stroke) => {
+        if (stroke.timestamp && (shownAt === null || stroke.timestamp > shownAt)) {
+            shownAt = stroke.timestamp;
+        }
+    });
+    drawLayeredStrokes(replayCtx, shown);
+
+    document.getElementById('replayScrubber').value = replay.position;
+    document.getElementById('replayTime').textContent =
+        `${formatReplayTime(replay.position)} / ${formatReplayTime(replay.duration)}` +
+        (shownAt ? ` · ${new Date(shownAt).toLocaleTimeString()}` : '');
+}
+
+// ============ Export ============
+async function downloadReplaySvg() {
+    try {
+        const params = new URLSearchParams({ animated: '', speed: replay.speed });
+        if (replay.userId) params.set('user', replay.userId);
+
+        const response = await fetch(`${SERVER_URL}/rooms/${encodeURIComponent(currentUser.roomId)}/export.svg?${params}`, {
+            headers: roomAuthHeaders()
+        });
+        if (!response.ok) {
+            throw new Error(`Server responded with ${response.status}`);
+        }
+
+        downloadBlob(await response.blob(), `timelapse-${currentUser.roomId}-${Date.now()}.svg`);
+        console.log('✅ Timelapse SVG downloaded');
+    } catch (error) {
+        console.error('❌ Timelapse export failed:', error);
+        alert('❌ Could not export timelapse SVG');
+    }
+}
+
+// Render evenly spaced frames of the replay (framed on the whole drawing)
+// and download them as PNGs in a zip file
+async function downloadReplayFrames() {
+    const visible = replay.strokes.filter((stroke, index) => isReplayStrokeVisible(index, Infinity));
+    const bounds = getBoardBounds(visible);
+    if (!bounds) {
+        alert('❌ Nothing to export yet');
+        return;
+    }
+
+    const status = document.getElementById('replayTime');
+    const padding = 20;
+    const scale = Math.min(1, REPLAY_FRAME_MAX_SIZE / Math.max(bounds.width + padding * 2, bounds.height + padding * 2));
+    const width = Math.ceil((bounds.width + padding * 2) * scale);
+    const height = Math.ceil((bounds.height + padding * 2) * scale);
+
+    // Strokes go on a transparent layer (the eraser clears it), then onto white
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    const layerCtx = layer.getContext('2d');
+    const frame = document.createElement('canvas');
+    frame.width = width;
+    frame.height = height;
+    const frameCtx = frame.getContext('2d');
+
+    // One frame per distinct replay time, thinned out to REPLAY_MAX_FRAMES
+    const times = Array.from(new Set(replay.times.filter((time, index) => isReplayStrokeVisible(index, Infinity))))
+        .sort((a, b) => a - b);
+    const step = Math.max(1, times.length / REPLAY_MAX_FRAMES);
+    const frameTimes = [];
+    for (let i = 0; i < times.length; i += step) frameTimes.push(times[Math.floor(i)]);
+    if (frameTimes[frameTimes.length - 1] !== times[times.length - 1]) frameTimes.push(times[times.length - 1]);
+
+    const files = [];
+    for (let i = 0; i < frameTimes.length; i++) {
+        status.textContent = `Rendering frame ${i + 1}/${frameTimes.length}...`;
+
+        clearLayer(layerCtx);
+        layerCtx.setTransform(scale, 0, 0, scale, (padding - bounds.x) * scale, (padding - bounds.y) * scale);
+        replay.strokes.forEach((stroke, index) => {
+            if (isReplayStrokeVisible(index, frameTimes[i])) drawStroke(layerCtx, stroke);
+        });
+
+        frameCtx.fillStyle = 'white';
+        frameCtx.fillRect(0, 0, width, height);
+        frameCtx.drawImage(layer, 0, 0);
+
+        const blob = await new Promise(resolve => frame.toBlob(resolve, 'image/png'));
+        files.push({
+            name: `frame-${String(i + 1).padStart(4, '0')}.png`,
+            data: new Uint8Array(await blob.arrayBuffer())
+        });
+    }
+
+    downloadBlob(buildZip(files), `timelapse-${currentUser.roomId}-${Date.now()}.zip`);
+    renderReplayFrame();
+    console.log(`✅ ${files.length} replay frames downloaded`);
+}
+
+function downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ============ Zip (stored, no compression) ============
+// PNGs are already compressed, so frames are stored as-is
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, name);
+
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// ============ Initialize ============
+document.addEventListener('DOMContentLoaded', () => {
+    // Zoom and pan keep working on top of the replay
+    replayCanvas.addEventListener('wheel', handleWheel, { passive: false });
+    replayCanvas.addEventListener('pointerdown', handlePointerDown);
+    replayCanvas.addEventListener('pointermove', handlePointerMove);
+    replayCanvas.addEventListener('pointerup', handlePointerUp);
+    replayCanvas.addEventListener('pointercancel', handlePointerUp);
+});
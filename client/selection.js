@@ -0,0 +1,488 @@
+// ============ Select Tool ============
+// Click a stroke (Shift adds/removes) or drag a marquee to select strokes,
+// then drag to move, drag a corner handle to scale (Shift keeps proportions)
+// or the round handle to rotate (Shift snaps to 15°). Color and size changes
+// apply to the selection; Delete removes it, Escape deselects.
+//
+// Edits are sent as whole new versions of the strokes (update-strokes) or as
+// ids to remove (delete-strokes). The server turns them into operations and
+// keeps them on our undo stack. Until our own update comes back, the edited
+// versions stay in selection.preview so the board does not jump back.
+const selection = {
+    ids: new Set(),
+    drag: null,       // { mode, start, current, bounds, originals, handle, additive }
+    preview: null     // strokeId → edited stroke shown instead of the board's copy
+};
+
+const SELECTION_HANDLE_SIZE = 8;      // Screen pixels
+const SELECTION_ROTATE_OFFSET = 24;   // Rotate handle distance above the box (screen pixels)
+const SELECTION_HIT_TOLERANCE = 6;    // Extra reach when clicking strokes (screen pixels)
+const MIN_SCALE = 0.05;
+
+// ============ Geometry ============
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+function rotatePoint([x, y], [cx, cy], angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [cx + (x - cx) * cos - (y - cy) * sin, cy + (x - cx) * sin + (y - cy) * cos];
+}
+
+function hitTestStroke(stroke, point, tolerance) {
+    const { points } = stroke;
+
+    if (stroke.tool === 'fill') return fillContainsPoint(stroke, point);
+
+    if (stroke.tool === 'image') {
+        const [[fromX, fromY], [toX, toY]] = points;
+        return point[0] >= Math.min(fromX, toX) - tolerance && point[0] <= Math.max(fromX, toX) + tolerance &&
+            point[1] >= Math.min(fromY, toY) - tolerance && point[1] <= Math.max(fromY, toY) + tolerance;
+    }
+
+    if (stroke.tool === 'text') {
+        const box = getTextBox(stroke);
+        return point[0] >= box.x - tolerance && point[0] <= box.x + box.width + tolerance &&
+            point[1] >= box.y - tolerance && point[1] <= box.y + box.height + tolerance;
+    }
+
+    const reach = stroke.style.width / 2 + tolerance;
+
+    if (stroke.tool === 'connector') {
+        const route = routeConnector(stroke);
+        return route.some((corner, i) => i > 0 && distanceToSegment(point, route[i - 1], corner) <= reach);
+    }
+
+    if (stroke.tool === 'circle') {
+        const [cx, cy] = points[0];
+        const [ex, ey] = points[points.length - 1];
+        const distance = Math.hypot(point[0] - cx, point[1] - cy);
+        const radius = Math.hypot(ex - cx, ey - cy);
+        // Filled shapes can be picked anywhere inside
+        return Math.abs(distance - radius) <= reach || (Boolean(stroke.style.fill) && distance <= radius);
+    }
+
+    if (stroke.tool === 'rectangle') {
+        const corners = getRectangleCorners(stroke);
+        if (corners.some((corner, i) => distanceToSegment(point, corner, corners[(i + 1) % 4]) <= reach)) return true;
+        if (!stroke.style.fill) return false;
+        const [x1, y1] = points[0];
+        const [x2, y2] = points[points.length - 1];
+        const [lx, ly] = rotatePoint(point, [(x1 + x2) / 2, (y1 + y2) / 2], -(stroke.rotation || 0));
+        return lx >= Math.min(x1, x2) && lx <= Math.max(x1, x2) && ly >= Math.min(y1, y2) && ly <= Math.max(y1, y2);
+    }
+
+    // Brush strokes and lines
+    if (points.length === 1) return Math.hypot(point[0] - points[0][0], point[1] - points[0][1]) <= reach;
+    for (let i = 1; i < points.length; i++) {
+        if (distanceToSegment(point, points[i - 1], points[i]) <= reach) return true;
+    }
+    return false;
+}
+
+// Eraser strokes and strokes on hidden or locked layers cannot be selected
+function isSelectable(stroke) {
+    return stroke.tool !== 'eraser' && isStrokeEditable(stroke);
+}
+
+// Top-most selectable stroke under a world point
+function strokeAt(point) {
+    const tolerance = SELECTION_HIT_TOLERANCE / viewport.scale;
+    for (let i = boardStrokes.length - 1; i >= 0; i--) {
+        const stroke = displayedStroke(boardStrokes[i]);
+        if (isSelectable(stroke) && hitTestStroke(stroke, point, tolerance)) return stroke;
+    }
+    return null;
+}
+
+// ============ Transforms ============
+// A transform is one of:
+//   { dx, dy }             move
+//   { anchor, sx, sy }     scale away from anchor
+//   { pivot, angle }       rotate around pivot
+function transformPoint(point, transform) {
+    if (transform.angle !== undefined) return rotatePoint(point, transform.pivot, transform.angle);
+    if (transform.sx !== undefined) {
+        const [ax, ay] = transform.anchor;
+        return [ax + (point[0] - ax) * transform.sx, ay + (point[1] - ay) * transform.sy];
+    }
+    return [point[0] + transform.dx, point[1] + transform.dy];
+}
+
+function transformStroke(stroke, transform) {
+    const edited = { ...stroke, style: { ...stroke.style } };
+    const [fromX, fromY] = stroke.points[0];
+    const [toX, toY] = stroke.points[stroke.points.length - 1];
+
+    if (stroke.tool === 'text') {
+        // Text keeps its box upright: move the box center, scale the font
+        const box = getTextBox(stroke);
+        const [cx, cy] = transformPoint([box.x + box.width / 2, box.y + box.height / 2], transform);
+        let scale = 1;
+        if (transform.sx !== undefined) scale = Math.sqrt(Math.abs(transform.sx * transform.sy));
+        edited.font = { ...stroke.font, size: Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, stroke.font.size * scale)) };
+        const ratio = edited.font.size / stroke.font.size;
+        edited.points = [[cx - box.width * ratio / 2, cy - box.height * ratio / 2]];
+    } else if ((stroke.tool === 'fill' || stroke.tool === 'image') && transform.angle !== undefined) {
+        // Bucket fills and images stay upright; rotating moves them around the pivot
+        const [cx, cy] = [(fromX + toX) / 2, (fromY + toY) / 2];
+        const [rx, ry] = transformPoint([cx, cy], transform);
+        edited.points = stroke.points.map(([x, y]) => [x + rx - cx, y + ry - cy]);
+    } else if (stroke.tool === 'circle') {
+        const center = transformPoint([fromX, fromY], transform);
+        let radius = Math.hypot(toX - fromX, toY - fromY);
+        if (transform.sx !== undefined) radius *= Math.sqrt(Math.abs(transform.sx * transform.sy));
+        edited.points = [center, [center[0] + radius, center[1]]];
+    } else if (stroke.tool === 'rectangle') {
+        // Rectangles keep their corners unrotated and carry a rotation instead
+        const [cx, cy] = transformPoint([(fromX + toX) / 2, (fromY + toY) / 2], transform);
+        let halfWidth = Math.abs(toX - fromX) / 2;
+        let halfHeight = Math.abs(toY - fromY) / 2;
+        let rotation = stroke.rotation || 0;
+
+        if (transform.sx !== undefined) {
+            // Scale along the rectangle's own axes (exact when it is not rotated)
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            halfWidth *= Math.hypot(transform.sx * cos, transform.sy * sin);
+            halfHeight *= Math.hypot(transform.sx * sin, transform.sy * cos);
+        }
+        if (transform.angle !== undefined) {
+            rotation = (rotation + transform.angle) % (2 * Math.PI);
+        }
+
+        edited.points = [[cx - halfWidth, cy - halfHeight], [cx + halfWidth, cy + halfHeight]];
+        if (rotation) {
+            edited.rotation = rotation;
+        } else {
+            delete edited.rotation;
+        }
+    } else {
+        // Brush points keep their pen pressure
+        edited.points = stroke.points.map(point => [...transformPoint(point, transform), ...point.slice(2)]);
+    }
+
+    return edited;
+}
+
+// ============ Selection State ============
+function displayedStroke(stroke) {
+    return (selection.preview && selection.preview.get(stroke.strokeId)) || stroke;
+}
+
+function getSelectedStrokes() {
+    return boardStrokes.filter(stroke => selection.ids.has(stroke.strokeId)).map(displayedStroke);
+}
+
+function getSelectionBounds() {
+    const strokes = getSelectedStrokes();
+    return strokes.length > 0 ? getBoardBounds(strokes) : null;
+}
+
+function clearSelection() {
+    if (selection.ids.size === 0 && !selection.drag) return;
+    selection.ids.clear();
+    selection.drag = null;
+    scheduleRender();
+}
+
+// Drop the edited versions (the server refused or replaced them)
+function discardSelectionPreview() {
+    selection.preview = null;
+    scheduleRender();
+}
+
+// Corner handles and the rotate handle in screen coordinates
+function getSelectionHandles(bounds) {
+    const topLeft = worldToScreen(bounds.x, bounds.y);
+    const bottomRight = worldToScreen(bounds.x + bounds.width, bounds.y + bounds.height);
+    return {
+        nw: [topLeft.x, topLeft.y],
+        ne: [bottomRight.x, topLeft.y],
+        se: [bottomRight.x, bottomRight.y],
+        sw: [topLeft.x, bottomRight.y],
+        rotate: [(topLeft.x + bottomRight.x) / 2, topLeft.y - SELECTION_ROTATE_OFFSET]
+    };
+}
+
+function handleAt(bounds, screenPoint) {
+    const handles = getSelectionHandles(bounds);
+    return Object.keys(handles).find(name =>
+        Math.abs(handles[name][0] - screenPoint.x) <= SELECTION_HANDLE_SIZE &&
+        Math.abs(handles[name][1] - screenPoint.y) <= SELECTION_HANDLE_SIZE
+    ) || null;
+}
+
+function isInsideBounds(bounds, [x, y]) {
+    return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+}
+
+// ============ Pointer Handling ============
+function selectionPointerDown(pos, e) {
+    const point = [pos.x, pos.y];
+    const bounds = getSelectionBounds();
+    const additive = e.shiftKey;
+    const handle = bounds ? handleAt(bounds, worldToScreen(pos.x, pos.y)) : null;
+
+    if (handle) {
+        startSelectionDrag(handle === 'rotate' ? 'rotate' : 'scale', point, bounds, handle);
+        return;
+    }
+
+    if (bounds && !additive && isInsideBounds(bounds, point)) {
+        startSelectionDrag('move', point, bounds);
+        return;
+    }
+
+    const stroke = strokeAt(point);
+    if (stroke) {
+        if (additive) {
+            if (selection.ids.has(stroke.strokeId)) {
+                selection.ids.delete(stroke.strokeId);
+            } else {
+                selection.ids.add(stroke.strokeId);
+            }
+            scheduleRender();
+            return;
+        }
+        selection.ids = new Set([stroke.strokeId]);
+        startSelectionDrag('move', point, getSelectionBounds());
+        return;
+    }
+
+    if (!additive) selection.ids.clear();
+    selection.drag = { mode: 'marquee', start: point, current: point, additive };
+    scheduleRender();
+}
+
+function startSelectionDrag(mode, point, bounds, handle) {
+    const originals = new Map();
+    getSelectedStrokes().forEach(stroke => originals.set(stroke.strokeId, stroke));
+    selection.drag = { mode, start: point, current: point, bounds, originals, handle };
+    scheduleRender();
+}
+
+function selectionPointerMove(pos, e) {
+    const drag = selection.drag;
+    if (!drag) {
+        updateSelectionCursor(pos);
+        return;
+    }
+
+    drag.current = [pos.x, pos.y];
+    if (drag.mode !== 'marquee') {
+        const transform = getDragTransform(drag, e.shiftKey);
+        selection.preview = new Map();
+        drag.originals.forEach((stroke, strokeId) => selection.preview.set(strokeId, transformStroke(stroke, transform)));
+    }
+    scheduleRender();
+}
+
+function selectionPointerUp() {
+    const drag = selection.drag;
+    if (!drag) return;
+    selection.drag = null;
+
+    if (drag.mode === 'marquee') {
+        const area = rectFromPoints(drag.start, drag.current);
+        boardStrokes.forEach((stroke) => {
+            if (!isSelectable(stroke)) return;
+            const bounds = getStrokeBounds(displayedStroke(stroke));
+            if (bounds && bounds.x >= area.x && bounds.y >= area.y &&
+                bounds.x + bounds.width <= area.x + area.width && bounds.y + bounds.height <= area.y + area.height) {
+                selection.ids.add(stroke.strokeId);
+            }
+        });
+        scheduleRender();
+        return;
+    }
+
+    const moved = drag.current[0] !== drag.start[0] || drag.current[1] !== drag.start[1];
+    if (!moved || !selection.preview) {
+        discardSelectionPreview();
+        return;
+    }
+
+    // Keep showing the edit until the server's update-strokes op arrives
+    sendStrokeUpdates(Array.from(selection.preview.values()));
+}
+
+function getDragTransform(drag, constrain) {
+    const [startX, startY] = drag.start;
+    const [x, y] = drag.current;
+    const { bounds } = drag;
+
+    if (drag.mode === 'move') {
+        return { dx: x - startX, dy: y - startY };
+    }
+
+    if (drag.mode === 'rotate') {
+        const pivot = [bounds.x + bounds.width / 2, bounds.y + bounds.height / 2];
+        let angle = Math.atan2(y - pivot[1], x - pivot[0]) - Math.atan2(startY - pivot[1], startX - pivot[0]);
+        if (constrain) angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12);
+        return { pivot, angle };
+    }
+
+    // Scale from the corner opposite the dragged handle
+    const anchorX = drag.handle.includes('w') ? bounds.x + bounds.width : bounds.x;
+    const anchorY = drag.handle.includes('n') ? bounds.y + bounds.height : bounds.y;
+    const cornerX = drag.handle.includes('w') ? bounds.x : bounds.x + bounds.width;
+    const cornerY = drag.handle.includes('n') ? bounds.y : bounds.y + bounds.height;
+    let sx = limitScale((x - anchorX) / (cornerX - anchorX || 1));
+    let sy = limitScale((y - anchorY) / (cornerY - anchorY || 1));
+    if (constrain) {
+        const uniform = Math.max(Math.abs(sx), Math.abs(sy));
+        sx = Math.sign(sx) * uniform;
+        sy = Math.sign(sy) * uniform;
+    }
+    return { anchor: [anchorX, anchorY], sx, sy };
+}
+
+function limitScale(scale) {
+    return Math.abs(scale) < MIN_SCALE ? (scale < 0 ? -MIN_SCALE : MIN_SCALE) : scale;
+}
+
+function rectFromPoints([x1, y1], [x2, y2]) {
+    return { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+}
+
+function updateSelectionCursor(pos) {
+    const bounds = getSelectionBounds();
+    const handle = bounds ? handleAt(bounds, worldToScreen(pos.x, pos.y)) : null;
+    if (handle === 'rotate') {
+        canvas.style.cursor = 'grab';
+    } else if (handle) {
+        canvas.style.cursor = handle === 'nw' || handle === 'se' ? 'nwse-resize' : 'nesw-resize';
+    } else if (bounds && isInsideBounds(bounds, [pos.x, pos.y])) {
+        canvas.style.cursor = 'move';
+    } else {
+        canvas.style.cursor = 'default';
+    }
+}
+
+// ============ Edits ============
+function sendStrokeUpdates(strokes) {
+    if (strokes.length === 0) return;
+    if (!wsManager || !wsManager.isSocketConnected()) {
+        discardSelectionPreview();
+        return;
+    }
+    wsManager.updateStrokes(strokes.map(stroke => ({
+        strokeId: stroke.strokeId,
+        style: stroke.style,
+        points: stroke.points,
+        rotation: stroke.rotation,
+        text: stroke.text,
+        font: stroke.font
+    })));
+}
+
+// Recolor or change the width of everything selected
+function applySelectionStyle(style) {
+    if (currentTool !== 'select' || selection.ids.size === 0) return;
+
+    const edited = getSelectedStrokes()
+        .filter(stroke => acceptsStyle(stroke, style))
+        .map((stroke) => {
+            const restyled = { ...stroke, style: { ...stroke.style, ...style } };
+            if (!restyled.style.fill) delete restyled.style.fill;
+            return restyled;
+        });
+    if (edited.length === 0) return;
+    selection.preview = new Map(edited.map(stroke => [stroke.strokeId, stroke]));
+    scheduleRender();
+    sendStrokeUpdates(edited);
+}
+
+// Text and bucket fills have no line width; only rectangles and circles fill;
+// images have no style at all
+function acceptsStyle(stroke, style) {
+    if (stroke.tool === 'eraser' || stroke.tool === 'image') return false;
+    if ('fill' in style) return stroke.tool === 'rectangle' || stroke.tool === 'circle';
+    if ('width' in style) return stroke.tool !== 'text' && stroke.tool !== 'fill';
+    return true;
+}
+
+function deleteSelection() {
+    if (selection.ids.size === 0) return;
+    if (wsManager && wsManager.isSocketConnected()) {
+        wsManager.deleteStrokes(Array.from(selection.ids));
+    }
+    clearSelection();
+}
+
+// ============ Rendering ============
+// Selection box, handles and marquee on the local layer (screen coordinates)
+function renderSelectionOverlay() {
+    if (currentTool !== 'select') return;
+
+    // Forget strokes that were removed from the board or whose layer was
+    // hidden or locked meanwhile
+    const present = new Set(boardStrokes.filter(isSelectable).map(stroke => stroke.strokeId));
+    selection.ids.forEach((strokeId) => {
+        if (!present.has(strokeId)) selection.ids.delete(strokeId);
+    });
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#667eea';
+    ctx.setLineDash([5, 4]);
+
+    const drag = selection.drag;
+    if (drag && drag.mode === 'marquee') {
+        const area = rectFromPoints(drag.start, drag.current);
+        const topLeft = worldToScreen(area.x, area.y);
+        ctx.fillStyle = 'rgba(102, 126, 234, 0.08)';
+        ctx.fillRect(topLeft.x, topLeft.y, area.width * viewport.scale, area.height * viewport.scale);
+        ctx.strokeRect(topLeft.x, topLeft.y, area.width * viewport.scale, area.height * viewport.scale);
+    }
+
+    const bounds = getSelectionBounds();
+    if (bounds) {
+        const handles = getSelectionHandles(bounds);
+        ctx.strokeRect(handles.nw[0], handles.nw[1], handles.se[0] - handles.nw[0], handles.se[1] - handles.nw[1]);
+
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(handles.rotate[0], handles.nw[1]);
+        ctx.lineTo(handles.rotate[0], handles.rotate[1]);
+        ctx.stroke();
+
+        ctx.fillStyle = 'white';
+        ['nw', 'ne', 'se', 'sw'].forEach((name) => {
+            const [x, y] = handles[name];
+            const half = SELECTION_HANDLE_SIZE / 2;
+            ctx.fillRect(x - half, y - half, SELECTION_HANDLE_SIZE, SELECTION_HANDLE_SIZE);
+            ctx.strokeRect(x - half, y - half, SELECTION_HANDLE_SIZE, SELECTION_HANDLE_SIZE);
+        });
+        ctx.beginPath();
+        ctx.arc(handles.rotate[0], handles.rotate[1], SELECTION_HANDLE_SIZE / 2 + 1, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+// ============ Keyboard ============
+function handleSelectionKeyDown(e) {
+    if (currentTool !== 'select' || isTypingTarget(e.target)) return;
+
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        deleteSelection();
+    } else if (e.key === 'Escape') {
+        clearSelection();
+    }
+}
+
+// ============ Initialize ============
+document.addEventListener('DOMContentLoaded', () => {
+    window.addEventListener('keydown', handleSelectionKeyDown);
+});
@@ -0,0 +1,262 @@
+// ============ Text Tool ============
+// Click the board with the text tool to place a text box, or double-click
+// existing text (with any tool) to edit it. Typing happens in a <textarea>
+// laid over the canvas and every change is relayed as a text-preview, so the
+// others watch the text being typed. Leaving the box (clicking elsewhere,
+// switching tools or Ctrl+Enter) saves it: add-text for a new box,
+// update-strokes for an edited one, delete-strokes if it was emptied.
+// Escape discards the changes.
+const MIN_FONT_SIZE = 4;
+const MAX_FONT_SIZE = 400;
+const MAX_TEXT_LENGTH = 2000;
+
+const textOptions = { size: 24, bold: false, italic: false };
+let textEditor = null;                  // { element, stroke, original }
+const remoteTextEdits = new Map();      // userId → text stroke they are typing
+
+// ============ Editor ============
+function openTextEditor(point, existing) {
+    closeTextEditor(true);
+
+    const stroke = existing
+        ? { ...existing, style: { ...existing.style }, font: { ...existing.font } }
+        : {
+            strokeId: `s-${Date.now()}-${Math.floor(Math.random()*100000)}`,
+            tool: 'text',
+            style: { color: currentColor },
+            points: [[point.x, point.y]],
+            text: '',
+            font: { ...textOptions },
+            layerId: activeLayerId
+        };
+
+    // Editing existing text picks up its style in the toolbar
+    if (existing) {
+        Object.assign(textOptions, existing.font);
+        updateTextOptionsDisplay();
+    }
+
+    const element = document.createElement('textarea');
+    element.className = 'text-editor';
+    element.value = stroke.text;
+    element.maxLength = MAX_TEXT_LENGTH;
+    element.spellcheck = false;
+    element.addEventListener('input', () => {
+        textEditor.stroke.text = element.value;
+        layoutTextEditor();
+        sendTextPreview();
+    });
+    element.addEventListener('keydown', handleTextEditorKeyDown);
+    element.addEventListener('blur', (e) => {
+        // Toolbar controls (size, bold, color...) apply to the open box
+        if (e.relatedTarget && e.relatedTarget.closest('.toolbar')) return;
+        closeTextEditor(true);
+    });
+    canvas.parentElement.appendChild(element);
+
+    textEditor = { element, stroke, original: existing || null };
+    layoutTextEditor();
+    scheduleRender();
+    element.focus();
+    sendTextPreview();
+}
+
+// Save (or discard) the open text box
+function closeTextEditor(save) {
+    if (!textEditor) return;
+    const { element, stroke, original } = textEditor;
+    textEditor = null;
+    element.remove();
+
+    if (wsManager && wsManager.isSocketConnected()) {
+        wsManager.sendTextPreview({ strokeId: stroke.strokeId });
+    }
+
+    const added = save ? saveText(stroke, original) : null;
+    renderBoard();
+    // Like other strokes, new text shows locally until the server's op arrives
+    if (added) drawStroke(ctx, added);
+}
+
+// Send the edit to the server; returns the stroke if it is a new one
+function saveText(stroke, original) {
+    if (!wsManager || !wsManager.isSocketConnected()) return null;
+    const text = stroke.text.replace(/\s+$/, '');
+
+    // Removed by someone else while we were typing: save it as new text
+    if (original && !findBoardStroke(original.strokeId)) {
+        original = null;
+        stroke = { ...stroke, strokeId: `s-${Date.now()}-${Math.floor(Math.random()*100000)}` };
+    }
+
+    if (!original) {
+        if (!text) return null;
+        const [x, y] = stroke.points[0];
+        awaitOwnOp(stroke.strokeId);
+        wsManager.addText({ strokeId: stroke.strokeId, x, y, text, color: stroke.style.color, ...stroke.font, layerId: stroke.layerId });
+        return { ...stroke, text };
+    }
+
+    if (!text) {
+        wsManager.deleteStrokes([original.strokeId]);
+        return null;
+    }
+
+    const edited = { ...stroke, text };
+    const unchanged = edited.text === original.text && edited.style.color === original.style.color &&
+        edited.font.size === original.font.size && edited.font.bold === original.font.bold &&
+        edited.font.italic === original.font.italic;
+    if (unchanged) return null;
+
+    // Shown through the select tool's preview until our update comes back
+    selection.preview = new Map([[edited.strokeId, edited]]);
+    sendStrokeUpdates([edited]);
+    return null;
+}
+
+// Place the textarea over the text box at the current zoom
+function layoutTextEditor() {
+    if (!textEditor) return;
+    const { element, stroke } = textEditor;
+    const [x, y] = stroke.points[0];
+    const screen = worldToScreen(x, y);
+    const size = stroke.font.size * viewport.scale;
+    const box = getTextBox({ ...stroke, text: stroke.text || ' ' });
+
+    element.style.left = `${screen.x}px`;
+    element.style.top = `${screen.y}px`;
+    element.style.font = getTextFont({ ...stroke.font, size });
+    element.style.lineHeight = String(TEXT_LINE_HEIGHT);
+    element.style.color = stroke.style.color;
+    // Leave room for the next character so the text does not wrap
+    element.style.width = `${box.width * viewport.scale + size}px`;
+    element.style.height = `${box.height * viewport.scale}px`;
+}
+
+function handleTextEditorKeyDown(e) {
+    // Keep Space, Delete etc. for the text instead of panning or deleting
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeTextEditor(false);
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        closeTextEditor(true);
+    }
+}
+
+function sendTextPreview() {
+    if (!textEditor || !wsManager || !wsManager.isSocketConnected()) return;
+    const { stroke } = textEditor;
+    const [x, y] = stroke.points[0];
+    wsManager.sendTextPreview({ strokeId: stroke.strokeId, x, y, text: stroke.text, color: stroke.style.color, ...stroke.font });
+}
+
+// ============ Pointer Handling ============
+// Text tool click: edit the text under the pointer or start a new box
+function textPointerDown(pos, e) {
+    // Keep the focus in the textarea we are about to open
+    e.preventDefault();
+    openTextEditor(pos, textStrokeAt([pos.x, pos.y]));
+}
+
+function handleTextDoubleClick(e) {
+    if (!canEditBoard()) return;
+    const pos = getEventPosition(e);
+    const stroke = textStrokeAt([pos.x, pos.y]);
+    if (stroke) openTextEditor(pos, stroke);
+}
+
+// Top-most text stroke under a world point
+function textStrokeAt(point) {
+    const tolerance = SELECTION_HIT_TOLERANCE / viewport.scale;
+    for (let i = boardStrokes.length - 1; i >= 0; i--) {
+        const stroke = displayedStroke(boardStrokes[i]);
+        if (stroke.tool === 'text' && isStrokeEditable(stroke) && hitTestStroke(stroke, point, tolerance)) return stroke;
+    }
+    return null;
+}
+
+// ============ Text Options ============
+function setTextSize(value) {
+    const size = parseInt(value, 10);
+    if (!Number.isFinite(size)) return;
+    textOptions.size = Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, size));
+    applyTextOptions();
+}
+
+function toggleTextBold() {
+    textOptions.bold = !textOptions.bold;
+    applyTextOptions();
+}
+
+function toggleTextItalic() {
+    textOptions.italic = !textOptions.italic;
+    applyTextOptions();
+}
+
+function applyTextColor(color) {
+    if (!textEditor) return;
+    textEditor.stroke.style.color = color;
+    layoutTextEditor();
+    sendTextPreview();
+    textEditor.element.focus();
+}
+
+function applyTextOptions() {
+    updateTextOptionsDisplay();
+    if (!textEditor) return;
+    textEditor.stroke.font = { ...textOptions };
+    layoutTextEditor();
+    sendTextPreview();
+    textEditor.element.focus();
+}
+
+function updateTextOptionsDisplay() {
+    document.getElementById('fontSize').value = textOptions.size;
+    document.getElementById('textBoldBtn').classList.toggle('active', textOptions.bold);
+    document.getElementById('textItalicBtn').classList.toggle('active', textOptions.italic);
+}
+
+// ============ Remote Typing ============
+function handleRemoteTextPreview(data) {
+    if (data.text === undefined) {
+        remoteTextEdits.delete(data.userId);
+    } else {
+        remoteTextEdits.set(data.userId, {
+            strokeId: data.strokeId,
+            tool: 'text',
+            style: { color: data.color },
+            points: [[data.x, data.y]],
+            text: data.text,
+            font: { size: data.size, bold: data.bold, italic: data.italic }
+        });
+    }
+    scheduleRender();
+}
+
+function removeRemoteTextEdit(userId) {
+    if (remoteTextEdits.delete(userId)) scheduleRender();
+}
+
+// Text boxes open in an editor are drawn by renderTextEdits() instead
+function isTextBeingEdited(strokeId) {
+    if (textEditor && textEditor.stroke.strokeId === strokeId) return true;
+    for (const stroke of remoteTextEdits.values()) {
+        if (stroke.strokeId === strokeId) return true;
+    }
+    return false;
+}
+
+function renderTextEdits() {
+    remoteTextEdits.forEach((stroke) => {
+        if (stroke.text) drawStroke(remoteCtx, stroke);
+    });
+    layoutTextEditor();
+}
+
+// ============ Initialize ============
+document.addEventListener('DOMContentLoaded', () => {
+    canvas.addEventListener('dblclick', handleTextDoubleClick);
+});
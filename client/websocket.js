@@ -7,6 +7,8 @@ class WebSocketManager {
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 3000;
         this.callbacks = {};
+        this.statusNote = null;     // Shown after the connection state (see setStatusNote)
+        this.strokeEncoding = 'json';   // Of stroke-append points, agreed at join ('session')
     }
 
     // Connect to server
@@ -91,14 +93,39 @@ class WebSocketManager {
         this.socket.on('users-list', (data) => this.emit('users-list', data));
         this.socket.on('user-joined', (data) => this.emit('user-joined', data));
         this.socket.on('user-left', (data) => this.emit('user-left', data));
+        this.socket.on('user-status', (data) => this.emit('user-status', data));
+        this.socket.on('session', (data) => {
+            this.strokeEncoding = data.strokeEncoding || 'json';
+            this.emit('session', data);
+        });
         this.socket.on('room-error', (data) => this.emit('room-error', data));
+        this.socket.on('room-created', (data) => this.emit('room-created', data));
+        this.socket.on('room-deleted', (data) => this.emit('room-deleted', data));
+        this.socket.on('protocol-error', (data) => this.emit('protocol-error', data));
+        this.socket.on('chat-message', (data) => this.emit('chat-message', data));
+
+        // Permission events
+        this.socket.on('role-changed', (data) => this.emit('role-changed', data));
+        this.socket.on('board-locked', (data) => this.emit('board-locked', data));
+        this.socket.on('permission-denied', (data) => this.emit('permission-denied', data));
 
-        // Drawing events
-        this.socket.on('draw', (data) => this.emit('remote-draw', data));
-        this.socket.on('draw-line', (data) => this.emit('remote-draw-line', data));
-        this.socket.on('clear-canvas', () => this.emit('remote-clear-canvas'));
+        // Drawing events (sequence-numbered document operations)
+        this.socket.on('room-op', (op) => this.emit('room-op', op));
+        // Packed extend-stroke operations, handed on like any other
+        this.socket.on('stroke-append', (data) => this.emit('room-op', {
+            type: 'extend-stroke',
+            seq: data.seq,
+            timestamp: data.timestamp,
+            userId: data.userId,
+            strokeId: data.strokeId,
+            points: this.unpackPoints(data.points, data.stride)
+        }));
+        this.socket.on('text-preview', (data) => this.emit('text-preview', data));
+        this.socket.on('image-error', (data) => this.emit('image-error', data));
+        this.socket.on('offline-strokes-synced', (data) => this.emit('offline-strokes-synced', data));
+        this.socket.on('sync-ops', (data) => this.emit('sync-ops', data));
         this.socket.on('drawing-history', (data) => this.emit('drawing-history', data));
-        this.socket.on('full-history-update', (data) => this.emit('full-history-update', data));
+        this.socket.on('board-import-error', (data) => this.emit('board-import-error', data));
 
         // Cursor events
         this.socket.on('cursor-move', (data) => this.emit('remote-cursor-move', data));
@@ -115,14 +142,20 @@ class WebSocketManager {
         this.socket.on('pong', () => console.log('🏓 Pong'));
     }
 
-    // Join room
+    // Join room (offering binary stroke-append points)
     joinRoom(data) {
-        this.socket.emit('join-room', data);
+        this.socket.emit('join-room', { ...data, binaryStrokes: true });
+    }
+
+    // Leave for good (a plain disconnect keeps our seat for a while)
+    leaveRoom() {
+        this.socket.emit('leave-room');
     }
 
-    // Send drawing data
-    sendDraw(data) {
-        this.socket.emit('draw', data);
+    // Brush/eraser points of one frame, packed with `stride` values per point;
+    // the first batch of a stroke also carries its style
+    sendStrokeAppend(data, points, stride) {
+        this.socket.emit('stroke-append', { ...data, stride, points: this.packPoints(points, stride) });
     }
 
     // Send line data
@@ -130,11 +163,112 @@ class WebSocketManager {
         this.socket.emit('draw-line', data);
     }
 
+    // Whole strokes drawn while offline, oldest first
+    sendOfflineStrokes(strokes) {
+        this.socket.emit('offline-strokes', { strokes });
+    }
+
+    // Ask the server for operations missed since fromSeq
+    requestSync(fromSeq) {
+        this.socket.emit('sync-request', { fromSeq });
+    }
+
+    // Replace the room's drawing with a board file
+    importBoard(board) {
+        this.socket.emit('import-board', { board });
+    }
+
     // Clear canvas
     clearCanvas() {
         this.socket.emit('clear-canvas');
     }
 
+    // Delete room (host only)
+    deleteRoom() {
+        this.socket.emit('delete-room');
+    }
+
+    // Add a finished text box
+    addText(data) {
+        this.socket.emit('add-text', data);
+    }
+
+    // Chat message to everyone in the room
+    sendChatMessage(text) {
+        this.socket.emit('chat-message', { text });
+    }
+
+    // Comment threads: open one at a point or on a stroke, reply, resolve/reopen
+    addComment(data) {
+        this.socket.emit('add-comment', data);
+    }
+
+    replyComment(data) {
+        this.socket.emit('reply-comment', data);
+    }
+
+    resolveComment(data) {
+        this.socket.emit('resolve-comment', data);
+    }
+
+    // Arrow, with the strokeIds of the shapes its ends are attached to
+    addConnector(data) {
+        this.socket.emit('add-connector', data);
+    }
+
+    // Paint bucket result
+    sendFill(data) {
+        this.socket.emit('fill', data);
+    }
+
+    // Image upload: placement plus the file's bytes (an ArrayBuffer)
+    addImage(data) {
+        this.socket.emit('add-image', data);
+    }
+
+    // Text being typed; { strokeId } alone ends the preview
+    sendTextPreview(data) {
+        this.socket.emit('text-preview', data);
+    }
+
+    // Layers: add one on top, change one, or put them in a new order (bottom to top)
+    addLayer(data) {
+        this.socket.emit('add-layer', data);
+    }
+
+    updateLayer(data) {
+        this.socket.emit('update-layer', data);
+    }
+
+    reorderLayers(layerIds) {
+        this.socket.emit('reorder-layers', { layerIds });
+    }
+
+    // Replace strokes edited with the select tool
+    updateStrokes(strokes) {
+        this.socket.emit('update-strokes', { strokes });
+    }
+
+    // Remove strokes picked with the select tool
+    deleteStrokes(strokeIds) {
+        this.socket.emit('delete-strokes', { strokeIds });
+    }
+
+    // Lock or unlock the board (host only)
+    lockBoard(locked) {
+        this.socket.emit('lock-board', { locked });
+    }
+
+    // Change another participant's role (host only)
+    changeRole(userId, role) {
+        this.socket.emit('change-role', { userId, role });
+    }
+
+    // Remove a participant from the room (host only)
+    kickUser(userId) {
+        this.socket.emit('kick-user', { userId });
+    }
+
     // Send cursor position
     sendCursorMove(x, y) {
         this.socket.emit('cursor-move', { x, y });
@@ -157,6 +291,31 @@ class WebSocketManager {
         this.socket.emit('redo');
     }
 
+    // Points as a flat number list, or float32 bytes (little-endian) in binary
+    packPoints(points, stride) {
+        const values = [];
+        points.forEach(point => values.push(...point.slice(0, stride)));
+        if (this.strokeEncoding !== 'binary') return values;
+
+        const view = new DataView(new ArrayBuffer(values.length * 4));
+        values.forEach((value, i) => view.setFloat32(i * 4, value, true));
+        return view.buffer;
+    }
+
+    unpackPoints(packed, stride) {
+        let values = packed;
+        if (!Array.isArray(packed)) {
+            const bytes = ArrayBuffer.isView(packed) ? packed : new Uint8Array(packed);
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            values = [];
+            for (let i = 0; i < view.byteLength; i += 4) values.push(view.getFloat32(i, true));
+        }
+
+        const points = [];
+        for (let i = 0; i < values.length; i += stride) points.push(values.slice(i, i + stride));
+        return points;
+    }
+
     // Ping server
     ping() {
         this.socket.emit('ping');
@@ -181,16 +340,24 @@ class WebSocketManager {
     updateStatus(connected) {
         const statusDisplay = document.getElementById('statusDisplay');
         if (statusDisplay) {
+            const note = this.statusNote ? ` · ${this.statusNote}` : '';
             if (connected) {
-                statusDisplay.textContent = '✅ Connected';
+                statusDisplay.textContent = `✅ Connected${note}`;
                 statusDisplay.classList.remove('error');
             } else {
-                statusDisplay.textContent = '❌ Disconnected';
+                statusDisplay.textContent = `❌ Disconnected${note}`;
                 statusDisplay.classList.add('error');
             }
+            statusDisplay.classList.toggle('pending', !!this.statusNote);
         }
     }
 
+    // Extra status text, e.g. how many strokes are waiting to be sent (null clears it)
+    setStatusNote(note) {
+        this.statusNote = note;
+        this.updateStatus(this.isConnected);
+    }
+
     // Disconnect
     disconnect() {
         if (this.socket) {
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { validateStroke } = require('./document');
+const { validatePayload } = require('./protocol');
+
+// REST API (v1)
+//
+// JSON over HTTP for integrations, mounted at /api/v1 by server.js:
+//
+//   GET    /rooms                        every room, without live user
+//                                        counts                          (admin)
+//   POST   /rooms                        create a room → { room, hostToken, apiKey }
+//   GET    /rooms/:roomId                one room: whether it exists, is full
+//                                        or needs a password (no key needed)
+//   DELETE /rooms/:roomId                delete the room                   (key)
+//   GET    /rooms/:roomId/history        strokes and layers; ?since=<ms or
+//                                        ISO date> keeps strokes drawn after (key)
+//   POST   /rooms/:roomId/strokes        { strokes: [...] } drawn live     (key)
+//   POST   /rooms/:roomId/clear          clear the board                   (key)
+//   GET    /rooms/:roomId/events         live events as Server-Sent Events
+//                                        (see event-stream.js)  (key, or ?key=)
+//   GET    /rooms/:roomId/keys           list the room's API keys          (host)
+//   POST   /rooms/:roomId/keys           { name? } → a new API key         (host)
+//   DELETE /rooms/:roomId/keys/:keyId    revoke one                        (host)
+//
+// (key) takes `Authorization: Bearer <api key>`, (host) the room's host
+// token in X-Host-Token, (admin) the server's API_ADMIN_KEY as a bearer
+// token. Keys belong to one room (see auth.js) and act with
+// host rights in it, except that strokes still cannot go on locked layers;
+// what they draw is attributed to "api-<keyId>" under the key's name.
+// Errors are { error, code } with the HTTP status, like the other routes.
+
+// Strokes sent in one request
+const MAX_API_STROKES = 50;
+// What the API may draw: brush and eraser strokes, shapes and text
+const API_TOOLS = ['brush', 'eraser', 'line', 'rectangle', 'circle', 'text'];
+const ROOM_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// ============ Request Bodies ============
+// Same field types as socket events (see protocol.js)
+const API_SCHEMAS = {
+    createRoom: {
+        roomName: { type: 'string', min: 1, max: 50 },
+        capacity: { type: 'integer', min: 2, max: 20, optional: true },
+        password: { type: 'string', min: 1, max: 128, optional: true },
+        // Name of the room's first API key
+        keyName: { type: 'string', min: 1, max: 30, optional: true }
+    },
+    addStrokes: {
+        strokes: { type: 'array', min: 1, max: MAX_API_STROKES, items: { type: 'object' } }
+    },
+    createKey: {
+        name: { type: 'string', min: 1, max: 30, optional: true }
+    }
+};
+
+// The first problem with a request body, or null
+function validateBody(schema, body) {
+    const problem = validatePayload(API_SCHEMAS[schema], [body]);
+    if (problem) return problem;
+    if (schema !== 'addStrokes') return null;
+
+    for (const [index, stroke] of body.strokes.entries()) {
+        const where = `stroke ${index + 1}`;
+        if (!API_TOOLS.includes(stroke.tool)) {
+            return `${where} has tool "${stroke.tool}", the API can only draw ${API_TOOLS.join(', ')}`;
+        }
+        const strokeProblem = validateStroke(stroke, where);
+        if (strokeProblem) return strokeProblem;
+    }
+    return null;
+}
+
+// ?since= as epoch milliseconds or an ISO date; null when absent, NaN if
+// it is neither
+function parseSince(value) {
+    if (value === undefined) return null;
+    if (typeof value !== 'string') return NaN;
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// ============ Helpers ============
+// Same format as the ids the landing page makes up
+function generateRoomId() {
+    let roomId = '';
+    for (let i = 0; i < 12; i++) {
+        roomId += ROOM_ID_CHARS.charAt(crypto.randomInt(ROOM_ID_CHARS.length));
+    }
+    return roomId;
+}
+
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// What anyone may know about a room (a room, or a doc from the store)
+function roomSummary(room) {
+    return {
+        roomId: room.roomId,
+        roomName: room.roomName,
+        capacity: room.capacity,
+        locked: !!room.locked,
+        passwordProtected: !!room.passwordHash,
+        createdAt: new Date(room.createdAt).toISOString(),
+        lastActiveAt: new Date(room.lastActiveAt).toISOString()
+    };
+}
+
+function keySummary({ keyId, name, createdAt }) {
+    return { keyId, name, createdAt: new Date(createdAt).toISOString() };
+}
+
+function apiError(status, code, error) {
+    return { status, body: { error, code } };
+}
+
+module.exports = {
+    validateBody,
+    parseSince,
+    generateRoomId,
+    bearerToken,
+    roomSummary,
+    keySummary,
+    apiError
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// Room secrets
+//
+// Room passwords are stored as "salt:hash" using scrypt. Host tokens are random
+// values handed to the room creator once; only their SHA-256 hash is kept, so
+// a leaked snapshot does not let anyone act as host. API keys (see api.js)
+// work the same way: "rk_<keyId>_<secret>", with the keyId kept in the clear
+// so a key can be found and revoked.
+
+const SCRYPT_KEY_LENGTH = 32;
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+// ============ Passwords ============
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt);
+    return `${salt}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || !stored) return false;
+    const [salt, hash] = stored.split(':');
+    const key = await scrypt(password, salt);
+    return crypto.timingSafeEqual(key, Buffer.from(hash, 'hex'));
+}
+
+// ============ Tokens ============
+function createToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function verifyToken(token, storedHash) {
+    if (typeof token !== 'string' || !storedHash) return false;
+    const a = Buffer.from(hashToken(token), 'hex');
+    const b = Buffer.from(storedHash, 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ============ API Keys ============
+// A new key for a room: `apiKey` goes to the caller once, `entry` is what the
+// room keeps ({ keyId, name, keyHash, createdAt })
+function createApiKey(name) {
+    const keyId = crypto.randomBytes(4).toString('hex');
+    const apiKey = `rk_${keyId}_${createToken()}`;
+    return {
+        apiKey,
+        entry: { keyId, name, keyHash: hashToken(apiKey), createdAt: Date.now() }
+    };
+}
+
+// The room's entry for this key, or null
+function findApiKey(entries, apiKey) {
+    const match = typeof apiKey === 'string' ? /^rk_([0-9a-f]{8})_[0-9a-f]+$/.exec(apiKey) : null;
+    if (!match) return null;
+    const entry = (entries || []).find(candidate => candidate.keyId === match[1]);
+    return entry && verifyToken(apiKey, entry.keyHash) ? entry : null;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createToken,
+    hashToken,
+    verifyToken,
+    createApiKey,
+    findApiKey
+};
@@ -0,0 +1,181 @@
+// Portable board files
+//
+// A board file is a JSON snapshot of a room that can be downloaded and later
+// imported into the same or another room:
+//
+//   {
+//     format: 'realtimecanvas-board',
+//     version: 1,
+//     exportedAt: ISO date,
+//     room: { roomId, roomName, createdAt },
+//     canvas: { bounds: { x, y, width, height } },
+//     layers: [{ layerId, name, visible, locked, opacity }],
+//     strokes: [{ strokeId, userId, userName, tool, style, points, layerId, timestamp, rotation?, text?, font?, image?, imageId?, connector? }],
+//     images: { imageId: data URL }
+//   }
+//
+// Board images travel inline so the file is self-contained; `images` holds
+// those used by image strokes. Files without `layers` (saved before boards
+// had layers) are opened on a single default layer. Connectors stay attached
+// to the shapes they point at, since strokeIds are kept (or rewritten along
+// with them when a repeated id is replaced).
+
+const { MAX_LAYERS, copyLayer, createDefaultLayers, getLayers, validateLayer, validateStroke } = require('./document');
+const { getBounds } = require('./svg-export');
+const { checkImage, fromDataUrl } = require('./images');
+const { cleanConnector } = require('./connectors');
+
+const BOARD_FORMAT = 'realtimecanvas-board';
+const BOARD_VERSION = 1;
+
+// Import limits (the file size includes inline images)
+const MAX_BOARD_BYTES = 32 * 1024 * 1024;
+const MAX_BOARD_STROKES = 20000;
+const MAX_BOARD_POINTS = 500000;
+
+// ============ Export ============
+// `images` maps the imageIds used by the room's image strokes to data URLs
+function exportBoard(room, images = {}) {
+    return {
+        format: BOARD_FORMAT,
+        version: BOARD_VERSION,
+        exportedAt: new Date().toISOString(),
+        room: {
+            roomId: room.roomId,
+            roomName: room.roomName,
+            createdAt: room.createdAt
+        },
+        canvas: {
+            bounds: getBounds(room.drawingHistory)
+        },
+        layers: getLayers(room),
+        strokes: room.drawingHistory,
+        images
+    };
+}
+
+// ============ Import ============
+// Check an uploaded board and return clean copies of its layers and strokes
+// and the bytes of the images they use.
+// Returns { strokes, layers, images } on success (images: Map<imageId,
+// { buffer, type }>, with the type checkImage found in the bytes) or { error }
+// describing the first problem.
+function validateBoard(board, byteLength) {
+    if (byteLength > MAX_BOARD_BYTES) {
+        return { error: `Board file is too large (max ${MAX_BOARD_BYTES / (1024 * 1024)} MB)` };
+    }
+    if (!board || typeof board !== 'object' || board.format !== BOARD_FORMAT) {
+        return { error: 'Not a board file' };
+    }
+    if (!Number.isInteger(board.version) || board.version < 1 || board.version > BOARD_VERSION) {
+        return { error: `Unsupported board file version: ${board.version}` };
+    }
+    if (!Array.isArray(board.strokes)) {
+        return { error: 'Board file has no strokes list' };
+    }
+    if (board.strokes.length > MAX_BOARD_STROKES) {
+        return { error: `Board file has too many strokes (max ${MAX_BOARD_STROKES})` };
+    }
+
+    let layers = createDefaultLayers();
+    if (board.layers !== undefined) {
+        if (!Array.isArray(board.layers) || board.layers.length === 0 || board.layers.length > MAX_LAYERS) {
+            return { error: `Board file needs 1-${MAX_LAYERS} layers` };
+        }
+        for (let i = 0; i < board.layers.length; i++) {
+            const problem = validateLayer(board.layers[i], `layer ${i + 1}`);
+            if (problem) return { error: problem };
+        }
+        if (new Set(board.layers.map(layer => layer.layerId)).size !== board.layers.length) {
+            return { error: 'Board file has duplicate layer ids' };
+        }
+        layers = board.layers.map(copyLayer);
+    }
+    const layerIds = new Set(layers.map(layer => layer.layerId));
+
+    const boardImages = board.images && typeof board.images === 'object' ? board.images : {};
+    const images = new Map();
+
+    let totalPoints = 0;
+    const seenIds = new Set();
+    const renamedIds = new Map();  // id in the file → new id
+    const strokes = [];
+
+    for (let i = 0; i < board.strokes.length; i++) {
+        const stroke = board.strokes[i];
+        const problem = validateStroke(stroke, `stroke ${i + 1}`);
+        if (problem) return { error: problem };
+
+        totalPoints += stroke.points.length;
+        if (totalPoints > MAX_BOARD_POINTS) {
+            return { error: `Board file has too many points (max ${MAX_BOARD_POINTS})` };
+        }
+
+        // Keep ids unique within the room so undo/redo can target them
+        let strokeId = stroke.strokeId;
+        if (!strokeId || seenIds.has(strokeId)) {
+            strokeId = `s-import-${i}-${Math.floor(Math.random() * 100000)}`;
+            if (stroke.strokeId) renamedIds.set(stroke.strokeId, strokeId);
+        }
+        seenIds.add(strokeId);
+
+        const clean = {
+            strokeId,
+            userId: typeof stroke.userId === 'string' ? stroke.userId.slice(0, 64) : null,
+            userName: typeof stroke.userName === 'string' ? stroke.userName.slice(0, 30) : null,
+            tool: stroke.tool,
+            style: stroke.tool === 'image'
+                ? {}
+                : stroke.tool === 'text' || stroke.tool === 'fill'
+                    ? { color: stroke.style.color }
+                    : { color: stroke.style.color, width: stroke.style.width },
+            // Brush points keep their pen pressure
+            points: stroke.points.map(point => point.slice()),
+            // Strokes on unknown layers go to the bottom one
+            layerId: layerIds.has(stroke.layerId) ? stroke.layerId : layers[0].layerId,
+            timestamp: Number.isFinite(stroke.timestamp) ? stroke.timestamp : Date.now()
+        };
+        if (stroke.rotation) clean.rotation = stroke.rotation;
+        if (stroke.style.fill) clean.style.fill = stroke.style.fill;
+        if (stroke.tool === 'fill') clean.image = stroke.image;
+        if (stroke.tool === 'image') {
+            if (!images.has(stroke.imageId)) {
+                const buffer = Object.prototype.hasOwnProperty.call(boardImages, stroke.imageId)
+                    ? fromDataUrl(boardImages[stroke.imageId])
+                    : null;
+                if (!buffer) return { error: `stroke ${i + 1} uses a missing image` };
+                const checked = checkImage(buffer);
+                if (checked.error) return { error: `stroke ${i + 1}: ${checked.error}` };
+                images.set(stroke.imageId, { buffer, type: checked.type });
+            }
+            clean.imageId = stroke.imageId;
+        }
+        if (stroke.tool === 'text') {
+            clean.text = stroke.text;
+            clean.font = { size: stroke.font.size, bold: stroke.font.bold, italic: stroke.font.italic };
+        }
+        if (stroke.tool === 'connector') clean.connector = stroke.connector;
+        strokes.push(clean);
+    }
+
+    // Connectors follow the shapes they point at when those got a new id
+    // (the last stroke with a repeated id), and drop attachments to shapes
+    // that are not in the file
+    const byId = new Map(strokes.map(stroke => [stroke.strokeId, stroke]));
+    strokes.forEach((stroke) => {
+        if (!stroke.connector) return;
+        const connector = { ...stroke.connector };
+        ['startId', 'endId'].forEach((end) => {
+            if (renamedIds.has(connector[end])) connector[end] = renamedIds.get(connector[end]);
+        });
+        stroke.connector = cleanConnector(connector, id => byId.get(id));
+    });
+
+    return { strokes, layers, images };
+}
+
+module.exports = {
+    MAX_BOARD_BYTES,
+    exportBoard,
+    validateBoard
+};
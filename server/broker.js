@@ -0,0 +1,200 @@
+const net = require('net');
+const path = require('path');
+const { createStore, applyRecord } = require('./storage');
+const { writeFrame, readFrames } = require('./cluster');
+
+// Broker for running several server.js processes (see cluster.js)
+//
+//   node broker.js                                  (BROKER_PORT, default 4000)
+//   BROKER_ADDRESS=localhost:4000 PORT=3000 node server.js
+//   BROKER_ADDRESS=localhost:4000 PORT=3001 node server.js
+//
+// A local stand-in for Redis: it relays pub/sub channels between the
+// servers, hands out room claims (which server is a room's home) and keeps
+// the rooms. Servers send it their mutation records (BrokerStore in
+// storage.js); it applies them to its copy of each room, so a room can be
+// loaded by whichever server hosts it next, and persists them with its own
+// store (STORAGE_DRIVER, DATA_DIR and SNAPSHOT_INTERVAL_MS as for a server).
+//
+// Messages from a server:
+//   hello { nodeId }                  who is on this connection
+//   subscribe / unsubscribe { channel }
+//   publish { channel, message }      → message { channel, message } to the
+//                                       other subscribers
+//   claim { id, roomId, create }      → reply: home nodeId, or null
+//   release { roomId }
+//   record { record }                 one mutation record (see storage.js)
+//   load-room / list-rooms / save-image / load-image / list-images / image-usage /
+//   delete-image / delete-images { id, ... }
+//                                     → reply { id, result } or { id, error }
+//
+// When a server disconnects its claims are dropped and the others get
+// { type: 'node-down', nodeId } on the `nodes` channel.
+
+const PORT = parseInt(process.env.BROKER_PORT, 10) || 4000;
+const SNAPSHOT_INTERVAL = parseInt(process.env.SNAPSHOT_INTERVAL_MS, 10) || 60 * 1000;
+
+const store = createStore({
+    driver: process.env.STORAGE_DRIVER || 'file',
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
+});
+const docs = new Map();             // roomId → room doc
+const claims = new Map();           // roomId → nodeId hosting it
+const subscriptions = new Map();    // channel → Set<connection>
+const connections = new Set();
+let storeDirty = false;
+
+// ============ Rooms ============
+const STORE_REQUESTS = {
+    'load-room': ({ roomId }) => docs.get(roomId) || null,
+    'list-rooms': () => Array.from(docs.values(), roomMetadata),
+    'save-image': ({ roomId, imageId, buffer }) => store.saveImage(roomId, imageId, buffer),
+    'load-image': ({ roomId, imageId }) => store.loadImage(roomId, imageId),
+    'list-images': ({ roomId }) => store.listImages(roomId),
+    'image-usage': ({ roomId }) => store.imageUsage(roomId),
+    'delete-image': ({ roomId, imageId }) => store.deleteImage(roomId, imageId),
+    'delete-images': ({ roomId }) => store.deleteImages(roomId)
+};
+
+// A room doc without its drawing, layers, chat and comments
+function roomMetadata(doc) {
+    const metadata = { ...doc };
+    ['drawingHistory', 'layers', 'chatHistory', 'comments'].forEach(field => delete metadata[field]);
+    return metadata;
+}
+
+function claimRoom(connection, { roomId, create }) {
+    if (!claims.has(roomId) && (docs.has(roomId) || create)) {
+        claims.set(roomId, connection.nodeId);
+    }
+    return claims.get(roomId) || null;
+}
+
+function releaseRoom(connection, { roomId }) {
+    if (claims.get(roomId) === connection.nodeId) claims.delete(roomId);
+}
+
+function writeRecord(record) {
+    applyRecord(docs, record);
+    store.write(record);
+    storeDirty = true;
+}
+
+function snapshotDocs() {
+    if (!storeDirty) return Promise.resolve();
+    storeDirty = false;
+    return store.snapshot(Array.from(docs.values()));
+}
+
+// ============ Channels ============
+function publish(channel, message, from) {
+    (subscriptions.get(channel) || new Set()).forEach((connection) => {
+        if (connection !== from) writeFrame(connection.socket, { type: 'message', channel, message });
+    });
+}
+
+function unsubscribe(connection, channel) {
+    const subscribers = subscriptions.get(channel);
+    if (!subscribers) return;
+    subscribers.delete(connection);
+    if (subscribers.size === 0) subscriptions.delete(channel);
+}
+
+// ============ Connections ============
+async function reply(connection, id, answer) {
+    try {
+        writeFrame(connection.socket, { type: 'reply', id, result: await answer() });
+    } catch (err) {
+        console.error('Broker request failed:', err);
+        writeFrame(connection.socket, { type: 'reply', id, error: err.message });
+    }
+}
+
+function handleMessage(connection, message) {
+    switch (message.type) {
+        case 'hello':
+            connection.nodeId = message.nodeId;
+            console.log(`Node ${message.nodeId} connected`);
+            break;
+        case 'subscribe':
+            if (!subscriptions.has(message.channel)) subscriptions.set(message.channel, new Set());
+            subscriptions.get(message.channel).add(connection);
+            connection.channels.add(message.channel);
+            break;
+        case 'unsubscribe':
+            unsubscribe(connection, message.channel);
+            connection.channels.delete(message.channel);
+            break;
+        case 'publish':
+            publish(message.channel, message.message, connection);
+            break;
+        case 'claim':
+            reply(connection, message.id, () => claimRoom(connection, message));
+            break;
+        case 'release':
+            releaseRoom(connection, message);
+            break;
+        case 'record':
+            writeRecord(message.record);
+            break;
+        default:
+            if (STORE_REQUESTS[message.type]) {
+                reply(connection, message.id, () => STORE_REQUESTS[message.type](message));
+            } else {
+                console.warn(`Broker: unknown message type "${message.type}" ignored`);
+            }
+    }
+}
+
+// A server left: its rooms are free for whichever server their participants
+// reconnect through
+function dropConnection(connection) {
+    connections.delete(connection);
+    connection.channels.forEach(channel => unsubscribe(connection, channel));
+    claims.forEach((nodeId, roomId) => {
+        if (nodeId === connection.nodeId) claims.delete(roomId);
+    });
+    if (connection.nodeId) {
+        publish('nodes', { type: 'node-down', nodeId: connection.nodeId });
+        console.log(`Node ${connection.nodeId} disconnected`);
+    }
+}
+
+const broker = net.createServer((socket) => {
+    const connection = { socket, nodeId: null, channels: new Set() };
+    connections.add(connection);
+    readFrames(socket, message => handleMessage(connection, message));
+    socket.on('error', err => console.error('Broker connection error:', err.message));
+    socket.on('close', () => dropConnection(connection));
+});
+
+// ============ Broker Start ============
+store.load().then((loaded) => {
+    loaded.forEach(doc => docs.set(doc.roomId, doc));
+
+    setInterval(() => {
+        snapshotDocs().catch(err => console.error('Snapshot failed:', err));
+    }, SNAPSHOT_INTERVAL).unref();
+
+    broker.listen(PORT, () => {
+        console.log(`Broker listening on port ${PORT} (${docs.size} room(s) loaded)`);
+    });
+}).catch((err) => {
+    console.error('Failed to load room storage:', err);
+    process.exit(1);
+});
+
+// Graceful shutdown
+process.on('SIGTERM', () => {
+    console.log('Shutting down...');
+    connections.forEach(connection => connection.socket.destroy());
+    snapshotDocs()
+        .then(() => store.close())
+        .catch(err => console.error('Final snapshot failed:', err))
+        .then(() => {
+            broker.close(() => {
+                console.log('Broker closed');
+                process.exit(0);
+            });
+        });
+});
@@ -0,0 +1,68 @@
+// Brush strokes
+//
+// Brush points are [x, y], or [x, y, pressure] (0-1) when drawn with a pen.
+// A brush stroke is drawn as a chain of pieces: quadratic curves through the
+// midpoints between its points, using each point as a control point, so fast
+// strokes with few points still come out smooth. Each piece is stroked on its
+// own with the width at its control point, so pressure thickens and thins the
+// stroke along its length.
+//
+// Piece i (0-based) depends on points i..i+2 only. Appending points adds new
+// pieces and changes the old last piece, which ends at a midpoint rather than
+// at the last point once more points follow it.
+//
+// The client (canvas.js) draws brush strokes from the same pieces, and the SVG
+// export writes one path per piece.
+
+// Width at pressure 0 and 1, as a fraction of the stroke width; 0.5 (and no
+// pressure at all, e.g. from a mouse) is the stroke width itself
+const PRESSURE_MIN_SCALE = 0.25;
+const PRESSURE_MAX_SCALE = 1.75;
+
+function pressureWidth(width, pressure) {
+    if (pressure === undefined) return width;
+    return width * (PRESSURE_MIN_SCALE + (PRESSURE_MAX_SCALE - PRESSURE_MIN_SCALE) * pressure);
+}
+
+function midpoint(a, b) {
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+}
+
+// [{ from, control, to, pressure }] for the stroke's points. `control` is null
+// for straight pieces (a lone point or a two-point stroke).
+function brushPieces(points) {
+    if (points.length === 1) {
+        return [{ from: points[0], control: null, to: points[0], pressure: points[0][2] }];
+    }
+    if (points.length === 2) {
+        const [a, b] = points;
+        const pressure = a[2] === undefined || b[2] === undefined ? b[2] : (a[2] + b[2]) / 2;
+        return [{ from: a, control: null, to: b, pressure }];
+    }
+
+    const last = points.length - 3;
+    const pieces = [];
+    for (let i = 0; i <= last; i++) {
+        const control = points[i + 1];
+        pieces.push({
+            from: i === 0 ? points[0] : midpoint(points[i], control),
+            control,
+            to: i === last ? points[i + 2] : midpoint(control, points[i + 2]),
+            pressure: control[2]
+        });
+    }
+    return pieces;
+}
+
+// Widest the stroke gets, for bounds
+function maxBrushWidth(points, width) {
+    return points.reduce((widest, point) => Math.max(widest, pressureWidth(width, point[2])), 0);
+}
+
+module.exports = {
+    PRESSURE_MIN_SCALE,
+    PRESSURE_MAX_SCALE,
+    pressureWidth,
+    brushPieces,
+    maxBrushWidth
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Room chat
+//
+// Every room keeps its most recent chat messages in `chatHistory`, oldest
+// first. Messages are stored like room lifecycle events (a `chat` record, see
+// storage.js), so the history survives restarts, and new joiners receive it
+// with drawing-history. A message is:
+//
+//   { messageId, userId, userName, userColor, text, timestamp }
+//
+// Join and leave notices are shown by clients from user-joined / user-left
+// and are not stored.
+
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 200;
+const MAX_CHAT_LENGTH = 1000;
+
+function createChatMessage(socket, text) {
+    return {
+        messageId: `m-${crypto.randomBytes(8).toString('hex')}`,
+        userId: socket.userId,
+        userName: socket.userName,
+        userColor: socket.userColor,
+        text,
+        timestamp: Date.now()
+    };
+}
+
+// Append a message, dropping the oldest beyond CHAT_HISTORY_LIMIT
+function addChatMessage(doc, message) {
+    if (!doc.chatHistory) doc.chatHistory = [];
+    doc.chatHistory.push(message);
+    if (doc.chatHistory.length > CHAT_HISTORY_LIMIT) {
+        doc.chatHistory.splice(0, doc.chatHistory.length - CHAT_HISTORY_LIMIT);
+    }
+}
+
+module.exports = {
+    CHAT_HISTORY_LIMIT,
+    MAX_CHAT_LENGTH,
+    createChatMessage,
+    addChatMessage
+};
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const net = require('net');
+const v8 = require('v8');
+const { Adapter, ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Running several server processes
+//
+// A server on its own keeps every room in its `rooms` Map. To run several
+// behind a load balancer, each room gets a home node: the one process that
+// holds the room and runs its handlers, so sequence numbers, undo stacks and
+// sessions stay in one place. A participant connected to another node is a
+// RemoteSocket on the home node: their node passes each of their events on
+// (after the protocol checks) and the home node's replies and broadcasts
+// reach them through the Socket.IO adapter, which fans out to every node.
+// Every cluster implements the same interface:
+//
+//   nodeId                  -> this process's id
+//   adapter                 -> Socket.IO adapter class for the server
+//   broker                  -> BrokerClient for the broker store, or null
+//   start()                 -> Promise  resolved once connected
+//   claimRoom(roomId, create) -> Promise<nodeId|null>  the room's home node;
+//                              an unhosted room becomes ours if it exists
+//                              (or `create`), null if there is no such room
+//   releaseRoom(roomId)     -> stop hosting a room (it was deleted)
+//   sendToNode(nodeId, message) / onNodeMessage(handler)
+//   onNodeDown(handler)     -> another node left: handler(nodeId)
+//   onClose(handler)        -> we lost the cluster
+//   close()
+//
+// LocalCluster is the single process. BrokerCluster talks to broker.js, a
+// small in-repo stand-in for what Redis would do in production: pub/sub
+// channels (the adapter's, and one per node for forwarded events), the room
+// claims, and the rooms themselves (see BrokerStore in storage.js). It
+// releases a node's claims when the node disconnects, so its rooms move to
+// whichever node their participants reconnect through.
+
+// ============ Framing ============
+// Broker connections carry length-prefixed v8-serialized messages, so
+// Buffers (binary strokes, images) go through as they are
+function writeFrame(socket, message) {
+    const body = v8.serialize(message);
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(body.length);
+    socket.write(Buffer.concat([header, body]));
+}
+
+function readFrames(socket, onMessage) {
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        while (pending.length >= 4) {
+            const length = pending.readUInt32BE(0);
+            if (pending.length < 4 + length) break;
+            onMessage(v8.deserialize(pending.subarray(4, 4 + length)));
+            pending = pending.subarray(4 + length);
+        }
+    });
+}
+
+// ============ Broker Client ============
+// `address` is host:port. Messages written before the connection is up are
+// queued by the socket.
+class BrokerClient {
+    constructor(address, nodeId) {
+        const [host, port] = address.includes(':') ? address.split(':') : ['localhost', address];
+        this.socket = net.connect({ host: host || 'localhost', port: parseInt(port, 10) });
+        this.channels = new Map();      // channel → handler
+        this.requests = new Map();      // request id → { resolve, reject }
+        this.nextRequestId = 1;
+        this.closing = false;
+        this.closeHandler = null;
+
+        this.connected = new Promise((resolve, reject) => {
+            this.socket.once('connect', resolve);
+            this.socket.once('error', reject);
+        });
+        this.socket.on('error', (err) => {
+            this.lastError = err;
+        });
+        this.socket.on('close', () => {
+            this.requests.forEach(({ reject }) => reject(new Error('Broker connection closed')));
+            this.requests.clear();
+            if (!this.closing && this.closeHandler) this.closeHandler(this.lastError);
+        });
+        readFrames(this.socket, message => this.receive(message));
+
+        this.send({ type: 'hello', nodeId });
+    }
+
+    send(message) {
+        if (!this.socket.destroyed) writeFrame(this.socket, message);
+    }
+
+    subscribe(channel, handler) {
+        this.channels.set(channel, handler);
+        this.send({ type: 'subscribe', channel });
+    }
+
+    publish(channel, message) {
+        this.send({ type: 'publish', channel, message });
+    }
+
+    // A message the broker answers (claims, store reads and image writes)
+    request(message) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.send({ ...message, id });
+        });
+    }
+
+    receive(message) {
+        if (message.type === 'message') {
+            const handler = this.channels.get(message.channel);
+            if (handler) handler(message.message);
+            return;
+        }
+        if (message.type === 'reply') {
+            const request = this.requests.get(message.id);
+            if (!request) return;
+            this.requests.delete(message.id);
+            if (message.error) request.reject(new Error(message.error));
+            else request.resolve(message.result);
+        }
+    }
+
+    close() {
+        this.closing = true;
+        this.socket.end();
+    }
+}
+
+// ============ Socket.IO Adapter ============
+// Broadcasts, room joins/leaves and requests between nodes go through one
+// broker channel per namespace; responses to the node that asked
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, broker) {
+        super(nsp, {});
+        this.broker = broker;
+        this.channel = `socket.io#${nsp.name}`;
+        broker.subscribe(this.channel, message => this.onMessage(message));
+        broker.subscribe(`${this.channel}#${this.uid}`, response => this.onResponse(response));
+        // Announce ourselves (Socket.IO does not call init() on its own)
+        this.init();
+    }
+
+    doPublish(message) {
+        this.broker.publish(this.channel, message);
+        return Promise.resolve();
+    }
+
+    doPublishResponse(requesterUid, response) {
+        this.broker.publish(`${this.channel}#${requesterUid}`, response);
+        return Promise.resolve();
+    }
+}
+
+// ============ Remote Sockets ============
+// Stands in, on a room's home node, for a participant's socket connected to
+// another node. Handlers use it like a real socket: whatever they set on it
+// stays here, and what they send reaches the real socket through the adapter.
+class RemoteSocket {
+    constructor(io, id, nodeId) {
+        this.io = io;
+        this.id = id;               // The real socket's id
+        this.nodeId = nodeId;       // Node it is connected to
+        this.handlers = new Map();
+    }
+
+    on(event, handler) {
+        this.handlers.set(event, handler);
+    }
+
+    // An event passed on by the socket's node
+    receive(event, args) {
+        const handler = this.handlers.get(event);
+        if (handler) handler(...args);
+    }
+
+    emit(event, ...args) {
+        this.io.to(this.id).emit(event, ...args);
+    }
+
+    to(room) {
+        return this.io.to(room).except(this.id);
+    }
+
+    join(room) {
+        this.io.in(this.id).socketsJoin(room);
+    }
+
+    leave(room) {
+        this.io.in(this.id).socketsLeave(room);
+    }
+}
+
+// ============ Local Cluster ============
+// One process: every room is ours, and there is nobody to talk to
+class LocalCluster {
+    constructor(options = {}) {
+        this.nodeId = options.nodeId;
+        this.adapter = Adapter;
+        this.broker = null;
+    }
+
+    async start() {}
+
+    async claimRoom() {
+        return this.nodeId;
+    }
+
+    releaseRoom() {}
+
+    sendToNode() {}
+
+    onNodeMessage() {}
+
+    onNodeDown() {}
+
+    onClose() {}
+
+    async close() {}
+}
+
+// ============ Broker Cluster ============
+class BrokerCluster {
+    constructor(options = {}) {
+        this.nodeId = options.nodeId;
+        this.broker = new BrokerClient(options.brokerAddress, this.nodeId);
+        const broker = this.broker;
+        this.adapter = function (nsp) {
+            return new BrokerAdapter(nsp, broker);
+        };
+    }
+
+    start() {
+        return this.broker.connected;
+    }
+
+    claimRoom(roomId, create) {
+        return this.broker.request({ type: 'claim', roomId, create: !!create });
+    }
+
+    releaseRoom(roomId) {
+        this.broker.send({ type: 'release', roomId });
+    }
+
+    sendToNode(nodeId, message) {
+        this.broker.publish(`node#${nodeId}`, message);
+    }
+
+    onNodeMessage(handler) {
+        this.broker.subscribe(`node#${this.nodeId}`, handler);
+    }
+
+    onNodeDown(handler) {
+        this.broker.subscribe('nodes', (event) => {
+            if (event.type === 'node-down') handler(event.nodeId);
+        });
+    }
+
+    onClose(handler) {
+        this.broker.closeHandler = handler;
+    }
+
+    async close() {
+        this.broker.close();
+    }
+}
+
+// ============ Factory ============
+function createCluster(options = {}) {
+    const nodeId = options.nodeId || `n-${crypto.randomBytes(4).toString('hex')}`;
+
+    if (options.brokerAddress) {
+        return new BrokerCluster({ ...options, nodeId });
+    }
+
+    return new LocalCluster({ ...options, nodeId });
+}
+
+module.exports = {
+    LocalCluster,
+    BrokerCluster,
+    RemoteSocket,
+    createCluster,
+    writeFrame,
+    readFrames
+};
@@ -0,0 +1,154 @@
+// Connectors (arrows)
+//
+// A connector stroke has two points, where its ends were drawn, and
+//   connector: { routing, startHead, endHead, startId?, endId? }
+// An end with startId/endId is attached to that rectangle or circle: it is
+// routed to the shape's outline wherever the shape is now, so moving or
+// resizing the shape moves the connector with it. If the shape is gone the
+// end falls back to its drawn point.
+//
+// The client (client/connectors.js) routes and draws connectors the same way.
+
+const CONNECTOR_ROUTINGS = ['straight', 'elbow'];
+const CONNECTOR_HEADS = ['none', 'arrow', 'dot'];
+// Tools a connector end can attach to
+const CONNECTABLE_TOOLS = ['rectangle', 'circle'];
+
+function validateConnector(connector) {
+    if (!connector || typeof connector !== 'object') return 'has no connector settings';
+    if (!CONNECTOR_ROUTINGS.includes(connector.routing)) return `has an invalid routing (${CONNECTOR_ROUTINGS.join(', ')})`;
+    if (!CONNECTOR_HEADS.includes(connector.startHead) || !CONNECTOR_HEADS.includes(connector.endHead)) {
+        return `has an invalid head (${CONNECTOR_HEADS.join(', ')})`;
+    }
+    for (const end of ['startId', 'endId']) {
+        const id = connector[end];
+        if (id !== undefined && (typeof id !== 'string' || id.length === 0 || id.length > 64)) {
+            return `has an invalid ${end}`;
+        }
+    }
+    return null;
+}
+
+// Only keep attachments to shapes that can take them; `findShape` looks a
+// strokeId up in the same document
+function cleanConnector(connector, findShape) {
+    const clean = { routing: connector.routing, startHead: connector.startHead, endHead: connector.endHead };
+    ['startId', 'endId'].forEach((end) => {
+        const shape = connector[end] !== undefined ? findShape(connector[end]) : null;
+        if (shape && CONNECTABLE_TOOLS.includes(shape.tool)) clean[end] = connector[end];
+    });
+    return clean;
+}
+
+// ============ Routing ============
+function shapeCenter(shape) {
+    const [fromX, fromY] = shape.points[0];
+    const [toX, toY] = shape.points[shape.points.length - 1];
+    return shape.tool === 'circle' ? [fromX, fromY] : [(fromX + toX) / 2, (fromY + toY) / 2];
+}
+
+// Where a ray from the shape's center in direction [dx, dy] leaves its outline
+function shapeOutlinePoint(shape, [dx, dy]) {
+    const [cx, cy] = shapeCenter(shape);
+    const length = Math.hypot(dx, dy) || 1;
+    const [ux, uy] = [dx / length, dy / length];
+    const [fromX, fromY] = shape.points[0];
+    const [toX, toY] = shape.points[shape.points.length - 1];
+
+    if (shape.tool === 'circle') {
+        const radius = Math.hypot(toX - fromX, toY - fromY);
+        return [cx + ux * radius, cy + uy * radius];
+    }
+
+    // Rectangle: intersect in its own (unrotated) frame
+    const rotation = shape.rotation || 0;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const lx = ux * cos + uy * sin;
+    const ly = -ux * sin + uy * cos;
+    const halfWidth = Math.abs(toX - fromX) / 2;
+    const halfHeight = Math.abs(toY - fromY) / 2;
+    const t = Math.min(lx ? halfWidth / Math.abs(lx) : Infinity, ly ? halfHeight / Math.abs(ly) : Infinity);
+    return [cx + ux * t, cy + uy * t];
+}
+
+// Points the connector is drawn through. Straight connectors aim from shape
+// center to shape center; elbow connectors leave and enter their shapes
+// horizontally or vertically (whichever way the ends are further apart) and
+// turn twice halfway between them.
+function routeConnector(stroke, findShape) {
+    const { connector } = stroke;
+    const attached = (id) => {
+        const shape = id !== undefined ? findShape(id) : null;
+        return shape && CONNECTABLE_TOOLS.includes(shape.tool) && shape.points && shape.points.length > 0 ? shape : null;
+    };
+    const startShape = attached(connector.startId);
+    const endShape = attached(connector.endId);
+    const startRef = startShape ? shapeCenter(startShape) : stroke.points[0];
+    const endRef = endShape ? shapeCenter(endShape) : stroke.points[stroke.points.length - 1];
+
+    let dx = endRef[0] - startRef[0];
+    let dy = endRef[1] - startRef[1];
+    if (dx === 0 && dy === 0) dx = 1;
+
+    if (connector.routing !== 'elbow') {
+        const start = startShape ? shapeOutlinePoint(startShape, [dx, dy]) : startRef;
+        const end = endShape ? shapeOutlinePoint(endShape, [-dx, -dy]) : endRef;
+        return [start, end];
+    }
+
+    const horizontal = Math.abs(dx) >= Math.abs(dy);
+    const direction = horizontal ? [Math.sign(dx), 0] : [0, Math.sign(dy)];
+    const start = startShape ? shapeOutlinePoint(startShape, direction) : startRef;
+    const end = endShape ? shapeOutlinePoint(endShape, [-direction[0], -direction[1]]) : endRef;
+    if (horizontal) {
+        const middle = (start[0] + end[0]) / 2;
+        return [start, [middle, start[1]], [middle, end[1]], end];
+    }
+    const middle = (start[1] + end[1]) / 2;
+    return [start, [start[0], middle], [end[0], middle], end];
+}
+
+// ============ Heads ============
+function headSize(width) {
+    return Math.max(8, width * 3);
+}
+
+// Head at the end of `points` coming from the point before it:
+// { polygon: [[x, y], ...] } for arrows, { circle: [x, y, r] } for dots,
+// or null
+function connectorHead(points, head, width) {
+    if (head === 'none' || points.length < 2) return null;
+    const [tipX, tipY] = points[points.length - 1];
+    let index = points.length - 2;
+    // Skip points on top of the tip (zero-length elbow segments)
+    while (index > 0 && points[index][0] === tipX && points[index][1] === tipY) index--;
+    const [fromX, fromY] = points[index];
+    const size = headSize(width);
+
+    if (head === 'dot') return { circle: [tipX, tipY, size / 2] };
+
+    const length = Math.hypot(tipX - fromX, tipY - fromY) || 1;
+    const ux = (tipX - fromX) / length;
+    const uy = (tipY - fromY) / length;
+    const baseX = tipX - ux * size;
+    const baseY = tipY - uy * size;
+    return {
+        polygon: [
+            [tipX, tipY],
+            [baseX - uy * size / 2, baseY + ux * size / 2],
+            [baseX + uy * size / 2, baseY - ux * size / 2]
+        ]
+    };
+}
+
+module.exports = {
+    CONNECTOR_ROUTINGS,
+    CONNECTOR_HEADS,
+    CONNECTABLE_TOOLS,
+    validateConnector,
+    cleanConnector,
+    routeConnector,
+    connectorHead,
+    headSize
+};
@@ -0,0 +1,333 @@
+// Room document operations
+//
+// Every change to a room's drawingHistory, layers or comments is an operation stamped with a
+// room-wide sequence number. The server applies operations in order, clients
+// apply the same operations to their copy, and the file store replays them on
+// startup, so all three go through applyOp.
+//
+// Operation types:
+//   add-stroke       { stroke }              new stroke appended to history
+//   extend-stroke    { strokeId, points }    points appended to a stroke
+//   remove-strokes   { strokeIds }           strokes removed (undo)
+//   restore-strokes  { strokes }             strokes appended again (redo)
+//   update-strokes   { strokes }             strokes replaced in place by strokeId (select tool)
+//   replace-strokes  { strokes, layers? }    whole history (and layers) replaced (board import)
+//   clear            {}                      history emptied, layers kept
+//   add-layer        { layer }               new layer on top
+//   update-layer     { layerId, changes }    layer renamed, hidden/shown, locked/unlocked or faded
+//   reorder-layers   { layerIds }            layers put in this order
+//   add-comment      { thread }              new comment thread (pin)
+//   reply-comment    { threadId, reply }     reply appended to a thread
+//   resolve-comment  { threadId, resolved }  thread resolved or reopened
+//
+// Every operation also carries { seq, userId, timestamp }.
+//
+// Rectangles may carry `rotation` (radians, about their center); their points
+// are the unrotated corners. Other tools bake transforms into their points.
+//
+// Text strokes have a single point, the top-left corner of the text box, and
+// carry `text` (lines separated by "\n") and `font: { size, bold, italic }`.
+// Their style has a color but no width.
+//
+// Rectangles and circles may have `style.fill` (a color). Paint bucket fills
+// are `fill` strokes: two points giving the world box of `image`, a PNG data
+// URL whose opaque pixels mark the filled area; they are painted in
+// `style.color`, so recoloring a fill does not need a new image.
+//
+// Image strokes have two points giving the world box the image is drawn into
+// and an `imageId` (see images.js); their style is empty.
+//
+// Brush points may carry a third number, the pen pressure (0-1), see brush.js.
+//
+// Connector strokes (arrows) have two points and `connector` settings; their
+// ends may be attached to rectangles or circles by strokeId (see connectors.js).
+//
+// `layers` lists the room's layers bottom to top:
+//   { layerId, name, visible, locked, opacity }
+// Every stroke has a `layerId`. Strokes on a layer that does not exist (or
+// without one, drawn before rooms had layers) belong to the bottom layer.
+// Locked layers cannot be drawn on or edited. Hidden layers are left out of
+// the picture and of exports.
+//
+// `comments` lists the room's comment threads in the order they were opened:
+//   { threadId, x, y, strokeId?, userId, userName, userColor, createdAt,
+//     resolved, replies: [{ replyId, userId, userName, userColor, text, timestamp }] }
+// The first reply is the comment that opened the thread. A thread with a
+// strokeId is pinned to that stroke while it exists, otherwise at x/y.
+// Clearing the board or importing a board file keeps the comments.
+
+const { isImageId } = require('./images');
+const { validateConnector } = require('./connectors');
+
+// Tools a stroke can be drawn with
+const STROKE_TOOLS = ['brush', 'eraser', 'line', 'rectangle', 'circle', 'text', 'fill', 'image', 'connector'];
+const FILLABLE_TOOLS = ['rectangle', 'circle'];
+const MAX_STROKE_WIDTH = 200;
+const MAX_TEXT_LENGTH = 2000;
+const MIN_FONT_SIZE = 4;
+const MAX_FONT_SIZE = 400;
+const MAX_FILL_IMAGE_LENGTH = 2 * 1024 * 1024;
+const FILL_IMAGE_PREFIX = 'data:image/png;base64,';
+const MAX_LAYERS = 20;
+const MAX_LAYER_NAME_LENGTH = 40;
+const LAYER_FIELDS = ['name', 'visible', 'locked', 'opacity'];
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_COMMENT_THREADS = 500;
+const MAX_COMMENT_REPLIES = 200;
+
+function findStroke(history, strokeId, userId) {
+    // Strokes still being drawn sit at the end of the history
+    for (let i = history.length - 1; i >= 0; i--) {
+        const stroke = history[i];
+        if (stroke.strokeId === strokeId && (userId === undefined || stroke.userId === userId)) {
+            return stroke;
+        }
+    }
+    return null;
+}
+
+// ============ Layers ============
+function createDefaultLayers() {
+    return [{ layerId: 'layer-1', name: 'Layer 1', visible: true, locked: false, opacity: 1 }];
+}
+
+// Rooms saved before layers existed get the default layer on first use
+function getLayers(doc) {
+    if (!doc.layers) doc.layers = createDefaultLayers();
+    return doc.layers;
+}
+
+function findLayer(doc, layerId) {
+    return getLayers(doc).find(layer => layer.layerId === layerId) || null;
+}
+
+// Layer a stroke is drawn on (see `layers` above)
+function strokeLayer(doc, stroke) {
+    return findLayer(doc, stroke.layerId) || getLayers(doc)[0];
+}
+
+function copyLayer(layer) {
+    return { layerId: layer.layerId, name: layer.name, visible: layer.visible, locked: layer.locked, opacity: layer.opacity };
+}
+
+// ============ Comments ============
+// Rooms saved before comments existed start without any
+function getComments(doc) {
+    if (!doc.comments) doc.comments = [];
+    return doc.comments;
+}
+
+function findThread(doc, threadId) {
+    return getComments(doc).find(thread => thread.threadId === threadId) || null;
+}
+
+// Copy a thread so later replies never mutate one held by an op
+function copyThread(thread) {
+    return { ...thread, replies: thread.replies.slice() };
+}
+
+// Copy a stroke so later extend-stroke ops never mutate one held by an op
+function copyStroke(stroke) {
+    return { ...stroke, points: stroke.points.slice() };
+}
+
+// ============ Validation ============
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPoint(point) {
+    return Array.isArray(point) && point.length === 2 && isFiniteNumber(point[0]) && isFiniteNumber(point[1]);
+}
+
+// [x, y, pressure] (brush strokes only)
+function isPressurePoint(point) {
+    return Array.isArray(point) && point.length === 3 && isPoint(point.slice(0, 2)) &&
+        isFiniteNumber(point[2]) && point[2] >= 0 && point[2] <= 1;
+}
+
+function isColor(value) {
+    return typeof value === 'string' && value.length <= 32;
+}
+
+// Check a stroke received from a client; returns a problem description or null
+function validateStroke(stroke, where) {
+    if (!stroke || typeof stroke !== 'object') return `${where} is not an object`;
+    if (!STROKE_TOOLS.includes(stroke.tool)) return `${where} has unknown tool "${stroke.tool}"`;
+    if (!stroke.style || typeof stroke.style !== 'object') return `${where} has no style`;
+    if (stroke.tool !== 'image' && !isColor(stroke.style.color)) {
+        return `${where} has an invalid color`;
+    }
+    if (stroke.style.fill !== undefined && (!FILLABLE_TOOLS.includes(stroke.tool) || !isColor(stroke.style.fill))) {
+        return `${where} has an invalid fill`;
+    }
+    if (stroke.tool === 'connector') {
+        const problem = validateConnector(stroke.connector);
+        if (problem) return `${where} ${problem}`;
+        if (!Array.isArray(stroke.points) || stroke.points.length !== 2) return `${where} needs two points`;
+    }
+    if (stroke.tool === 'text') {
+        const problem = validateText(stroke);
+        if (problem) return `${where} ${problem}`;
+    } else if (stroke.tool === 'fill') {
+        const problem = validateFill(stroke);
+        if (problem) return `${where} ${problem}`;
+    } else if (stroke.tool === 'image') {
+        if (!isImageId(stroke.imageId)) return `${where} has an invalid imageId`;
+        if (!Array.isArray(stroke.points) || stroke.points.length !== 2) return `${where} needs two points`;
+    } else if (!isFiniteNumber(stroke.style.width) || stroke.style.width <= 0 || stroke.style.width > MAX_STROKE_WIDTH) {
+        return `${where} has an invalid width`;
+    }
+    const validPoint = stroke.tool === 'brush' ? point => isPoint(point) || isPressurePoint(point) : isPoint;
+    if (!Array.isArray(stroke.points) || stroke.points.length === 0 || !stroke.points.every(validPoint)) {
+        return `${where} has invalid points`;
+    }
+    if (stroke.strokeId !== undefined && (typeof stroke.strokeId !== 'string' || stroke.strokeId.length > 64)) {
+        return `${where} has an invalid strokeId`;
+    }
+    if (stroke.rotation !== undefined && !isFiniteNumber(stroke.rotation)) {
+        return `${where} has an invalid rotation`;
+    }
+    if (stroke.layerId !== undefined && (typeof stroke.layerId !== 'string' || stroke.layerId.length > 64)) {
+        return `${where} has an invalid layerId`;
+    }
+    return null;
+}
+
+// Full layer (board files); `changes` of an update-layer op are checked by
+// the socket protocol instead
+function validateLayer(layer, where) {
+    if (!layer || typeof layer !== 'object') return `${where} is not an object`;
+    if (typeof layer.layerId !== 'string' || layer.layerId.length === 0 || layer.layerId.length > 64) {
+        return `${where} has an invalid layerId`;
+    }
+    if (typeof layer.name !== 'string' || layer.name.length > MAX_LAYER_NAME_LENGTH) {
+        return `${where} has an invalid name (up to ${MAX_LAYER_NAME_LENGTH} characters)`;
+    }
+    if (typeof layer.visible !== 'boolean' || typeof layer.locked !== 'boolean') {
+        return `${where} has invalid visible/locked flags`;
+    }
+    if (!isFiniteNumber(layer.opacity) || layer.opacity < 0 || layer.opacity > 1) {
+        return `${where} has an invalid opacity (0-1)`;
+    }
+    return null;
+}
+
+function validateText(stroke) {
+    if (typeof stroke.text !== 'string' || stroke.text.length === 0 || stroke.text.length > MAX_TEXT_LENGTH) {
+        return `has invalid text (1-${MAX_TEXT_LENGTH} characters)`;
+    }
+    const { font } = stroke;
+    if (!font || typeof font !== 'object') return 'has no font';
+    if (!isFiniteNumber(font.size) || font.size < MIN_FONT_SIZE || font.size > MAX_FONT_SIZE) {
+        return `has an invalid font size (${MIN_FONT_SIZE}-${MAX_FONT_SIZE})`;
+    }
+    if (typeof font.bold !== 'boolean' || typeof font.italic !== 'boolean') {
+        return 'has invalid bold/italic flags';
+    }
+    return null;
+}
+
+function validateFill(stroke) {
+    const { image, points } = stroke;
+    if (typeof image !== 'string' || !image.startsWith(FILL_IMAGE_PREFIX) || image.length > MAX_FILL_IMAGE_LENGTH) {
+        return 'has an invalid image (PNG data URL up to 2 MB)';
+    }
+    if (!Array.isArray(points) || points.length !== 2) return 'needs two points';
+    return null;
+}
+
+function applyOp(doc, op) {
+    switch (op.type) {
+        case 'add-stroke':
+            doc.drawingHistory.push(copyStroke(op.stroke));
+            break;
+        case 'extend-stroke': {
+            const stroke = findStroke(doc.drawingHistory, op.strokeId);
+            if (stroke) stroke.points.push(...op.points);
+            break;
+        }
+        case 'remove-strokes':
+            doc.drawingHistory = doc.drawingHistory.filter(s => !op.strokeIds.includes(s.strokeId));
+            break;
+        case 'restore-strokes':
+            op.strokes.forEach(stroke => doc.drawingHistory.push(copyStroke(stroke)));
+            break;
+        case 'update-strokes': {
+            const updates = new Map(op.strokes.map(stroke => [stroke.strokeId, stroke]));
+            doc.drawingHistory = doc.drawingHistory.map(stroke =>
+                updates.has(stroke.strokeId) ? copyStroke(updates.get(stroke.strokeId)) : stroke
+            );
+            break;
+        }
+        case 'replace-strokes':
+            doc.drawingHistory = op.strokes.map(copyStroke);
+            if (op.layers) doc.layers = op.layers.map(copyLayer);
+            break;
+        case 'clear':
+            doc.drawingHistory = [];
+            break;
+        case 'add-layer':
+            getLayers(doc).push(copyLayer(op.layer));
+            break;
+        case 'update-layer': {
+            const layer = findLayer(doc, op.layerId);
+            if (layer) {
+                LAYER_FIELDS.forEach((field) => {
+                    if (op.changes[field] !== undefined) layer[field] = op.changes[field];
+                });
+            }
+            break;
+        }
+        case 'reorder-layers': {
+            const byId = new Map(getLayers(doc).map(layer => [layer.layerId, layer]));
+            doc.layers = op.layerIds.map(layerId => byId.get(layerId)).filter(Boolean);
+            break;
+        }
+        case 'add-comment':
+            getComments(doc).push(copyThread(op.thread));
+            break;
+        case 'reply-comment': {
+            const thread = findThread(doc, op.threadId);
+            if (thread) thread.replies.push(op.reply);
+            break;
+        }
+        case 'resolve-comment': {
+            const thread = findThread(doc, op.threadId);
+            if (thread) thread.resolved = op.resolved;
+            break;
+        }
+        default:
+            throw new Error(`Unknown operation type: ${op.type}`);
+    }
+
+    doc.seq = op.seq;
+}
+
+module.exports = {
+    STROKE_TOOLS,
+    MAX_STROKE_WIDTH,
+    MAX_TEXT_LENGTH,
+    MIN_FONT_SIZE,
+    MAX_FONT_SIZE,
+    MAX_FILL_IMAGE_LENGTH,
+    FILL_IMAGE_PREFIX,
+    FILLABLE_TOOLS,
+    MAX_LAYERS,
+    MAX_LAYER_NAME_LENGTH,
+    MAX_COMMENT_LENGTH,
+    MAX_COMMENT_THREADS,
+    MAX_COMMENT_REPLIES,
+    applyOp,
+    copyStroke,
+    copyLayer,
+    createDefaultLayers,
+    findLayer,
+    findStroke,
+    findThread,
+    getComments,
+    getLayers,
+    strokeLayer,
+    validateLayer,
+    validateStroke
+};
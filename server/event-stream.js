@@ -0,0 +1,68 @@
+// Live room event streams
+//
+// GET /api/v1/rooms/:roomId/events (see api.js) answers with a Server-Sent
+// Events stream of what happens in the room:
+//
+//   event: draw
+//   id: 42
+//   data: {"type":"draw","roomId":"…","at":1700000000000,"userId":"…",…}
+//
+// Event types: join, leave, draw (a stroke was added), clear, undo, redo and
+// room-deleted, after which the stream ends. Ids count up per server and are
+// only there for logging; missed events are not replayed on reconnect.
+// A comment line goes out every HEARTBEAT_INTERVAL so proxies keep idle
+// streams open.
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+const streams = new Map();     // roomId → Set<response>
+let nextEventId = 1;
+
+// Start streaming a room's events to an HTTP response
+function openStream(roomId, req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`: events of room ${roomId}\n\n`);
+
+    if (!streams.has(roomId)) streams.set(roomId, new Set());
+    streams.get(roomId).add(res);
+    req.on('close', () => {
+        const listeners = streams.get(roomId);
+        if (!listeners) return;
+        listeners.delete(res);
+        if (listeners.size === 0) streams.delete(roomId);
+    });
+}
+
+// Send an event ({ type, roomId, at, ... }) to the room's streams here
+function publishRoomEvent(event) {
+    const listeners = streams.get(event.roomId);
+    if (!listeners) return;
+
+    const message = `event: ${event.type}\nid: ${nextEventId++}\ndata: ${JSON.stringify(event)}\n\n`;
+    listeners.forEach(res => res.write(message));
+    if (event.type === 'room-deleted') {
+        listeners.forEach(res => res.end());
+        streams.delete(event.roomId);
+    }
+}
+
+// End every stream (the server is stopping)
+function closeAllStreams() {
+    streams.forEach(listeners => listeners.forEach(res => res.end()));
+    streams.clear();
+}
+
+setInterval(() => {
+    streams.forEach(listeners => listeners.forEach(res => res.write(': ping\n\n')));
+}, HEARTBEAT_INTERVAL).unref();
+
+module.exports = {
+    openStream,
+    publishRoomEvent,
+    closeAllStreams
+};
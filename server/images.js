@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Board images
+//
+// Images placed on a board are uploaded over the socket (add-image), stored
+// per room by the store (see storage.js) and served from
+// GET /rooms/:roomId/images/:imageId. Image strokes only refer to them by
+// imageId, so the document, its op log and snapshots stay small.
+//
+// An imageId is random hex plus an extension that gives the image type, e.g.
+// "3f9c...e1.png". Only PNG, JPEG and SVG are accepted, recognised by their
+// content rather than by what the client claims.
+
+const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    svg: 'image/svg+xml'
+};
+const IMAGE_ID_PATTERN = /^[0-9a-f]{24}\.(png|jpg|svg)$/;
+
+// Limits: one image, and everything stored for one room
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES, 10) || 4 * 1024 * 1024;
+const ROOM_IMAGE_QUOTA = parseInt(process.env.ROOM_IMAGE_QUOTA, 10) || 50 * 1024 * 1024;
+
+// Type from the first bytes of the file, or null if it is not supported
+function detectImageType(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+        return 'png';
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'jpg';
+    }
+    // SVG is text: look for the root element near the start
+    const head = buffer.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('<') && /<svg[\s>]/i.test(head)) {
+        return 'svg';
+    }
+    return null;
+}
+
+function createImageId(type) {
+    return `${crypto.randomBytes(12).toString('hex')}.${type}`;
+}
+
+function isImageId(imageId) {
+    return typeof imageId === 'string' && IMAGE_ID_PATTERN.test(imageId);
+}
+
+function imageContentType(imageId) {
+    return IMAGE_TYPES[imageId.split('.').pop()];
+}
+
+// Check an upload; returns { type } or { error }
+function checkImage(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        return { error: 'Image is empty' };
+    }
+    if (buffer.length > MAX_IMAGE_BYTES) {
+        return { error: `Image is too large (max ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB)` };
+    }
+    const type = detectImageType(buffer);
+    if (!type) {
+        return { error: 'Only PNG, JPEG and SVG images are supported' };
+    }
+    return { type };
+}
+
+// ============ Data URLs ============
+// Board files and SVG exports carry images inline
+function toDataUrl(imageId, buffer) {
+    return `data:${imageContentType(imageId)};base64,${buffer.toString('base64')}`;
+}
+
+function fromDataUrl(dataUrl) {
+    const match = typeof dataUrl === 'string' && dataUrl.match(/^data:image\/[\w.+-]+;base64,([A-Za-z0-9+/=]+)$/);
+    return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+module.exports = {
+    MAX_IMAGE_BYTES,
+    ROOM_IMAGE_QUOTA,
+    checkImage,
+    createImageId,
+    isImageId,
+    imageContentType,
+    toDataUrl,
+    fromDataUrl
+};
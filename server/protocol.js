@@ -0,0 +1,363 @@
+// Inbound socket protocol
+//
+// Every event a client sends passes through checkEvent() before its handler
+// runs. Events must be listed in EVENT_SCHEMAS, carry a payload matching the
+// schema (unknown fields are rejected), and stay within the per-socket rate
+// limit of their class. Anything else is dropped and the sender gets a
+// protocol-error:
+//
+//   { event, code: 'UNKNOWN_EVENT' | 'INVALID_PAYLOAD' | 'RATE_LIMITED', message }
+
+const {
+    MAX_STROKE_WIDTH, MAX_TEXT_LENGTH, MIN_FONT_SIZE, MAX_FONT_SIZE, MAX_FILL_IMAGE_LENGTH,
+    MAX_LAYERS, MAX_LAYER_NAME_LENGTH, MAX_COMMENT_LENGTH
+} = require('./document');
+const { MAX_IMAGE_BYTES } = require('./images');
+const { CONNECTOR_ROUTINGS, CONNECTOR_HEADS } = require('./connectors');
+const { MAX_CHAT_LENGTH } = require('./chat');
+
+// World coordinates are unbounded in principle; this only keeps them sane
+const MAX_COORDINATE = 10000000;
+// Points in one stroke-append batch; client/canvas.js sends batches of this
+// size and keeps a copy of the value
+const MAX_APPEND_POINTS = 256;
+// Strokes changed by one select tool edit
+const MAX_SELECTION = 5000;
+// Coalesced pointer positions sent with one draw segment
+const MAX_VIA_POINTS = 64;
+// Strokes drawn offline sent in one batch
+const MAX_OFFLINE_BATCH = 50;
+
+// ============ Field Types ============
+const coordinate = { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE };
+const color = { type: 'string', max: 32, pattern: /^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i };
+const strokeId = { type: 'string', max: 64, optional: true };
+const userId = { type: 'string', max: 64 };
+const fontSize = { type: 'number', min: MIN_FONT_SIZE, max: MAX_FONT_SIZE };
+const layerId = { type: 'string', min: 1, max: 64 };
+// Layer a new stroke goes on; the bottom layer when left out
+const strokeLayerId = { ...layerId, optional: true };
+const layerName = { type: 'string', min: 1, max: MAX_LAYER_NAME_LENGTH };
+const connectorHead = { type: 'string', oneOf: CONNECTOR_HEADS };
+const pressure = { type: 'number', min: 0, max: 1, optional: true };
+const threadId = { type: 'string', min: 1, max: 64 };
+const commentText = { type: 'string', min: 1, max: MAX_COMMENT_LENGTH };
+
+function segment(tools) {
+    return {
+        fromX: coordinate,
+        fromY: coordinate,
+        toX: coordinate,
+        toY: coordinate,
+        color,
+        width: { type: 'number', min: 0.1, max: MAX_STROKE_WIDTH },
+        tool: { type: 'string', oneOf: tools },
+        strokeId,
+        layerId: strokeLayerId
+    };
+}
+
+// ============ Schemas ============
+// null means the event carries no payload. `limit` names the rate limit class.
+const EVENT_SCHEMAS = {
+    'join-room': {
+        limit: 'join',
+        payload: {
+            roomId: { type: 'string', min: 1, max: 32, pattern: /^[A-Za-z0-9_-]+$/ },
+            roomName: { type: 'string', max: 50, optional: true },
+            userName: { type: 'string', min: 1, max: 30 },
+            userColor: color,
+            capacity: { type: 'integer', min: 2, max: 20, optional: true },
+            isHost: { type: 'boolean', optional: true },
+            password: { type: 'string', max: 128, optional: true },
+            hostToken: { type: 'string', max: 128, optional: true },
+            // Session from an earlier join, to resume it after a reconnect
+            participantId: { ...userId, optional: true },
+            sessionToken: { type: 'string', max: 128, optional: true },
+            // Client can send and receive stroke-append points as binary (see wire.js)
+            binaryStrokes: { type: 'boolean', optional: true }
+        }
+    },
+    'leave-room': { limit: 'action', payload: null },
+    // Per-segment brush/eraser streaming, kept for older clients (stroke-append
+    // replaces it). `via`: positions between from and to (coalesced pointer
+    // events), as [x, y] or [x, y, pressure]; pressures only count for the brush
+    'draw': {
+        limit: 'draw',
+        payload: {
+            ...segment(['brush', 'eraser']),
+            fromPressure: pressure,
+            toPressure: pressure,
+            via: { type: 'array', max: MAX_VIA_POINTS, optional: true, items: { type: 'point' } }
+        }
+    },
+    // Compact form of draw (see wire.js): a frame's worth of points, packed;
+    // tool, color and width only with a stroke's first batch
+    'stroke-append': {
+        limit: 'draw',
+        payload: {
+            strokeId: { type: 'string', min: 1, max: 64 },
+            stride: { type: 'integer', min: 2, max: 3 },
+            points: { type: 'packed', max: MAX_APPEND_POINTS * 3 },
+            tool: { type: 'string', oneOf: ['brush', 'eraser'], optional: true },
+            color: { ...color, optional: true },
+            width: { type: 'number', min: 0.1, max: MAX_STROKE_WIDTH, optional: true },
+            layerId: strokeLayerId
+        }
+    },
+    'draw-line': { limit: 'draw', payload: { ...segment(['line', 'rectangle', 'circle']), fill: { ...color, optional: true } } },
+    'fill': {
+        limit: 'action',
+        payload: {
+            strokeId: { type: 'string', min: 1, max: 64 },
+            x: coordinate,
+            y: coordinate,
+            width: { type: 'number', min: 0, max: MAX_COORDINATE },
+            height: { type: 'number', min: 0, max: MAX_COORDINATE },
+            color,
+            image: { type: 'string', max: MAX_FILL_IMAGE_LENGTH },
+            layerId: strokeLayerId
+        }
+    },
+    'add-text': {
+        limit: 'action',
+        payload: {
+            strokeId: { type: 'string', min: 1, max: 64 },
+            x: coordinate,
+            y: coordinate,
+            text: { type: 'string', min: 1, max: MAX_TEXT_LENGTH },
+            color,
+            size: fontSize,
+            bold: { type: 'boolean' },
+            italic: { type: 'boolean' },
+            layerId: strokeLayerId
+        }
+    },
+    // Arrow between two points; each end may be attached to a shape by strokeId
+    'add-connector': {
+        limit: 'action',
+        payload: {
+            ...segment(['connector']),
+            strokeId: { type: 'string', min: 1, max: 64 },
+            routing: { type: 'string', oneOf: CONNECTOR_ROUTINGS },
+            startHead: connectorHead,
+            endHead: connectorHead,
+            startId: { type: 'string', min: 1, max: 64, optional: true },
+            endId: { type: 'string', min: 1, max: 64, optional: true }
+        }
+    },
+    // Image bytes are checked by the handler (see images.js checkImage)
+    'add-image': {
+        limit: 'upload',
+        payload: {
+            strokeId: { type: 'string', min: 1, max: 64 },
+            x: coordinate,
+            y: coordinate,
+            width: { type: 'number', min: 0, max: MAX_COORDINATE },
+            height: { type: 'number', min: 0, max: MAX_COORDINATE },
+            data: { type: 'binary', max: MAX_IMAGE_BYTES },
+            layerId: strokeLayerId
+        }
+    },
+    // Text being typed, relayed to the others; without `text` the preview ends
+    'text-preview': {
+        limit: 'cursor',
+        payload: {
+            strokeId: { type: 'string', min: 1, max: 64 },
+            x: { ...coordinate, optional: true },
+            y: { ...coordinate, optional: true },
+            text: { type: 'string', max: MAX_TEXT_LENGTH, optional: true },
+            color: { ...color, optional: true },
+            size: { ...fontSize, optional: true },
+            bold: { type: 'boolean', optional: true },
+            italic: { type: 'boolean', optional: true }
+        }
+    },
+    'cursor-move': { limit: 'cursor', payload: { x: coordinate, y: coordinate } },
+    'chat-message': { limit: 'chat', payload: { text: { type: 'string', min: 1, max: MAX_CHAT_LENGTH } } },
+    // A comment pinned at x/y, or to a stroke
+    'add-comment': { limit: 'chat', payload: { threadId, x: coordinate, y: coordinate, strokeId, text: commentText } },
+    'reply-comment': { limit: 'chat', payload: { threadId, text: commentText } },
+    'resolve-comment': { limit: 'action', payload: { threadId, resolved: { type: 'boolean' } } },
+    // Each stroke is checked by the handler (see document.js validateStroke)
+    'update-strokes': { limit: 'action', payload: { strokes: { type: 'array', min: 1, max: MAX_SELECTION, items: { type: 'object' } } } },
+    'delete-strokes': { limit: 'action', payload: { strokeIds: { type: 'array', min: 1, max: MAX_SELECTION, items: { type: 'string', max: 64 } } } },
+    'offline-strokes': { limit: 'action', payload: { strokes: { type: 'array', min: 1, max: MAX_OFFLINE_BATCH, items: { type: 'object' } } } },
+    'add-layer': { limit: 'action', payload: { layerId, name: layerName } },
+    'update-layer': {
+        limit: 'action',
+        payload: {
+            layerId,
+            name: { ...layerName, optional: true },
+            visible: { type: 'boolean', optional: true },
+            locked: { type: 'boolean', optional: true },
+            opacity: { type: 'number', min: 0, max: 1, optional: true }
+        }
+    },
+    'reorder-layers': { limit: 'action', payload: { layerIds: { type: 'array', min: 1, max: MAX_LAYERS, items: layerId } } },
+    'undo': { limit: 'action', payload: null },
+    'redo': { limit: 'action', payload: null },
+    'clear-canvas': { limit: 'action', payload: null },
+    'sync-request': { limit: 'action', payload: { fromSeq: { type: 'integer', min: 0 } } },
+    'import-board': { limit: 'import', payload: { board: { type: 'object' } } },
+    'lock-board': { limit: 'action', payload: { locked: { type: 'boolean' } } },
+    'change-role': { limit: 'action', payload: { userId, role: { type: 'string', max: 16 } } },
+    'kick-user': { limit: 'action', payload: { userId } },
+    'delete-room': { limit: 'action', payload: null },
+    'ping': { limit: 'action', payload: null }
+};
+
+// ============ Rate Limits ============
+// Token buckets per socket and class: `rate` events per second on average,
+// bursts of up to `burst`. Override with RATE_LIMIT_<CLASS>=rate[,burst],
+// e.g. RATE_LIMIT_DRAW=100,200.
+const DEFAULT_RATE_LIMITS = {
+    join: { rate: 1, burst: 5 },
+    draw: { rate: 200, burst: 400 },
+    cursor: { rate: 120, burst: 240 },
+    action: { rate: 10, burst: 20 },
+    chat: { rate: 2, burst: 10 },
+    upload: { rate: 1, burst: 5 },
+    import: { rate: 0.2, burst: 2 }
+};
+
+function loadRateLimits(env) {
+    const limits = {};
+    Object.keys(DEFAULT_RATE_LIMITS).forEach((name) => {
+        const [rate, burst] = String(env[`RATE_LIMIT_${name.toUpperCase()}`] || '').split(',').map(parseFloat);
+        limits[name] = {
+            rate: rate > 0 ? rate : DEFAULT_RATE_LIMITS[name].rate,
+            burst: burst > 0 ? burst : (rate > 0 ? rate * 2 : DEFAULT_RATE_LIMITS[name].burst)
+        };
+    });
+    return limits;
+}
+
+const RATE_LIMITS = loadRateLimits(process.env);
+
+// Take one token from the socket's bucket for this class
+function takeToken(buckets, name, now) {
+    const limit = RATE_LIMITS[name];
+    let bucket = buckets.get(name);
+    if (!bucket) {
+        bucket = { tokens: limit.burst, updatedAt: now };
+        buckets.set(name, bucket);
+    }
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+}
+
+// ============ Validation ============
+function checkField(name, value, spec) {
+    if (value === undefined) {
+        return spec.optional ? null : `${name} is required`;
+    }
+
+    switch (spec.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+            if (spec.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`;
+            if (spec.min !== undefined && value < spec.min) return `${name} must be at least ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `${name} must be at most ${spec.max}`;
+            return null;
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string`;
+            if (spec.min !== undefined && value.length < spec.min) return `${name} is too short`;
+            if (spec.max !== undefined && value.length > spec.max) return `${name} is too long`;
+            if (spec.pattern && !spec.pattern.test(value)) return `${name} has an invalid format`;
+            if (spec.oneOf && !spec.oneOf.includes(value)) return `${name} must be one of ${spec.oneOf.join(', ')}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${name} must be true or false`;
+        case 'point': {
+            // [x, y] or [x, y, pressure]
+            if (!Array.isArray(value) || value.length < 2 || value.length > 3) return `${name} must be [x, y] or [x, y, pressure]`;
+            const [x, y, p] = value;
+            const problem = checkField(`${name}[0]`, x, coordinate) || checkField(`${name}[1]`, y, coordinate);
+            if (problem) return problem;
+            return value.length === 3 ? checkField(`${name}[2]`, p, pressure) : null;
+        }
+        case 'packed':
+            // Flat number list, or float32 bytes; `max` counts numbers
+            if (Buffer.isBuffer(value)) {
+                if (value.length % 4 !== 0) return `${name} must be whole float32 values`;
+                return spec.max !== undefined && value.length / 4 > spec.max ? `${name} is too large` : null;
+            }
+            if (!Array.isArray(value)) return `${name} must be a list of numbers or binary data`;
+            if (spec.max !== undefined && value.length > spec.max) return `${name} is too large`;
+            return value.every(item => typeof item === 'number' && Number.isFinite(item)) ? null : `${name} must only hold numbers`;
+        case 'binary':
+            if (!Buffer.isBuffer(value)) return `${name} must be binary data`;
+            if (spec.max !== undefined && value.length > spec.max) return `${name} is too large`;
+            return null;
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : `${name} must be an object`;
+        case 'array': {
+            if (!Array.isArray(value)) return `${name} must be a list`;
+            if (spec.min !== undefined && value.length < spec.min) return `${name} must have at least ${spec.min} items`;
+            if (spec.max !== undefined && value.length > spec.max) return `${name} must have at most ${spec.max} items`;
+            if (!spec.items) return null;
+            for (let i = 0; i < value.length; i++) {
+                const problem = checkField(`${name}[${i}]`, value[i], spec.items);
+                if (problem) return problem;
+            }
+            return null;
+        }
+        default:
+            return `${name} has an unknown schema type`;
+    }
+}
+
+function validatePayload(schema, args) {
+    if (schema === null) {
+        return args.length === 0 ? null : 'this event takes no payload';
+    }
+
+    const [payload] = args;
+    if (args.length !== 1 || !payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return 'payload must be a single object';
+    }
+
+    const unknown = Object.keys(payload).find(key => !Object.prototype.hasOwnProperty.call(schema, key));
+    if (unknown) return `unknown field "${unknown}"`;
+
+    for (const name of Object.keys(schema)) {
+        const problem = checkField(name, payload[name], schema[name]);
+        if (problem) return problem;
+    }
+    return null;
+}
+
+// Check one inbound packet. Returns null when it may be handled, otherwise
+// { code, message } for the protocol-error reply.
+function checkEvent(buckets, event, args, now = Date.now()) {
+    const spec = EVENT_SCHEMAS[event];
+    if (!spec) {
+        return { code: 'UNKNOWN_EVENT', message: `Unknown event "${event}"` };
+    }
+
+    if (!takeToken(buckets, spec.limit, now)) {
+        return { code: 'RATE_LIMITED', message: `Too many ${spec.limit} events, slow down` };
+    }
+
+    const problem = validatePayload(spec.payload, args);
+    if (problem) {
+        return { code: 'INVALID_PAYLOAD', message: `Invalid ${event}: ${problem}` };
+    }
+    return null;
+}
+
+module.exports = {
+    MAX_COORDINATE,
+    MAX_APPEND_POINTS,
+    EVENT_SCHEMAS,
+    RATE_LIMITS,
+    checkEvent,
+    validatePayload
+};
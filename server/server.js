@@ -1,16 +1,44 @@
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const { createStore } = require('./storage');
+const {
+    FILLABLE_TOOLS, MAX_LAYERS, MAX_COMMENT_THREADS, MAX_COMMENT_REPLIES, applyOp, copyStroke,
+    createDefaultLayers, findLayer, findStroke, findThread, getComments, getLayers, strokeLayer, validateStroke
+} = require('./document');
+const { renderSvg } = require('./svg-export');
+const { MAX_BOARD_BYTES, exportBoard, validateBoard } = require('./board-file');
+const { hashPassword, verifyPassword, createToken, hashToken, verifyToken, createApiKey, findApiKey } = require('./auth');
+const { checkEvent } = require('./protocol');
+const { validateBody, parseSince, generateRoomId, bearerToken, roomSummary, keySummary, apiError } = require('./api');
+const { ROOM_IMAGE_QUOTA, checkImage, createImageId, isImageId, imageContentType, toDataUrl } = require('./images');
+const { cleanConnector } = require('./connectors');
+const { MAX_CHAT_LENGTH, createChatMessage, addChatMessage } = require('./chat');
+const { decodePoints, encodeStrokeAppend, countInbound, countOutbound, getWireCounters, getWireStats } = require('./wire');
+const { createCluster, RemoteSocket } = require('./cluster');
+const { openStream, publishRoomEvent, closeAllStreams } = require('./event-stream');
+const { sendWebhook } = require('./webhooks');
+
+// Cluster (BROKER_ADDRESS=host:port makes this server one of several sharing
+// a broker, see cluster.js; otherwise it runs on its own)
+const cluster = createCluster({
+    brokerAddress: process.env.BROKER_ADDRESS,
+    nodeId: process.env.NODE_ID
+});
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIO(server, {
+    adapter: cluster.adapter,
     cors: {
         origin: ["*"], // Allow all origins for now; restrict to your Vercel domain in production: ["https://yourapp.vercel.app"]
         methods: ["GET", "POST"]
-    }
+    },
+    // Leave room for board file imports (and image uploads) on top of regular events
+    maxHttpBufferSize: MAX_BOARD_BYTES + 64 * 1024
 });
 
 // Middleware
@@ -20,29 +48,159 @@ app.use(express.static(path.join(__dirname, '../client')));
 // Room Management
 const rooms = new Map();
 
+// Room Storage (STORAGE_DRIVER=memory keeps rooms only until restart; in a
+// cluster the broker keeps them)
+const store = createStore({
+    driver: cluster.broker ? 'broker' : process.env.STORAGE_DRIVER || 'file',
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    broker: cluster.broker
+});
+const SNAPSHOT_INTERVAL = parseInt(process.env.SNAPSHOT_INTERVAL_MS, 10) || 60 * 1000;
+// Empty rooms are kept until deleted or idle for this long (0 = forever)
+const ROOM_TTL = (parseFloat(process.env.ROOM_TTL_HOURS) || 0) * 60 * 60 * 1000;
+let storeDirty = false;
+
+// Recent operations kept per room so clients can fill sequence gaps
+const OP_LOG_LIMIT = parseInt(process.env.OP_LOG_LIMIT, 10) || 5000;
+
+// How long a disconnected participant's seat is held for them (see Sessions)
+const SESSION_GRACE = parseInt(process.env.SESSION_GRACE_MS, 10) || 60 * 1000;
+
 // ============ Helper Functions ============
-function createRoom(roomId, roomName, capacity) {
+function createRoom(roomId, roomName, capacity, secrets = {}) {
     if (!rooms.has(roomId)) {
-        rooms.set(roomId, {
+        const room = {
             roomId,
             roomName,
             capacity,
+            passwordHash: secrets.passwordHash || null,   // Optional room password (scrypt)
+            hostTokenHash: secrets.hostTokenHash || null, // Proves who created the room
+            apiKeys: secrets.apiKeys || [],               // REST API keys (see api.js)
+            locked: false,             // Locked boards only accept drawing from hosts
             users: new Map(),
+            sessions: new Map(),       // Participant sessions (see Sessions)
             drawingHistory: [],
+            layers: createDefaultLayers(),
+            chatHistory: [],           // Recent chat messages (see chat.js)
+            comments: [],              // Comment threads (see document.js)
+            userUndoStacks: new Map(), // Per-user undo stacks (see Undo / Redo)
             userRedoStacks: new Map(), // Per-user redo stacks
-            createdAt: new Date()
-        });
+            pendingImageIds: new Set(), // Images being stored (see Images)
+            seq: 0,                    // Sequence number of the last operation
+            opLog: [],                 // Most recent operations (see OP_LOG_LIMIT)
+            createdAt: new Date(),
+            lastActiveAt: Date.now()
+        };
+        rooms.set(roomId, room);
+        persist({ type: 'create-room', room: serializeRoom(room) });
+        sendWebhook('room-created', { room: roomSummary(room) });
         console.log(`Room created: ${roomName} (${roomId})`);
     }
 }
 
-function addUserToRoom(roomId, userId, userName, userColor) {
+function restoreRoom(doc) {
+    rooms.set(doc.roomId, {
+        roomId: doc.roomId,
+        roomName: doc.roomName,
+        capacity: doc.capacity,
+        passwordHash: doc.passwordHash || null,
+        hostTokenHash: doc.hostTokenHash || null,
+        apiKeys: doc.apiKeys || [],
+        locked: !!doc.locked,
+        users: new Map(),
+        sessions: new Map(),
+        drawingHistory: doc.drawingHistory || [],
+        layers: doc.layers || createDefaultLayers(),
+        chatHistory: doc.chatHistory || [],
+        comments: doc.comments || [],
+        userUndoStacks: new Map(),
+        userRedoStacks: new Map(),
+        pendingImageIds: new Set(),
+        seq: doc.seq || 0,
+        opLog: [],
+        createdAt: new Date(doc.createdAt),
+        lastActiveAt: doc.lastActiveAt || Date.now()
+    });
+}
+
+function deleteRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (room) room.sessions.forEach(session => clearTimeout(session.expiryTimer));
+    if (rooms.delete(roomId)) {
+        persist({ type: 'delete-room', roomId });
+        emitRoomEvent(roomId, 'room-deleted');
+        cluster.releaseRoom(roomId);
+        store.deleteImages(roomId).catch((err) => {
+            console.error(`Failed to delete images of room ${roomId}:`, err);
+        });
+        console.log(`Room deleted: ${roomId}`);
+    }
+}
+
+// Delete a room hosted here and send everyone still inside back to the
+// landing page
+function closeRoom(roomId) {
+    deleteRoom(roomId);
+    io.to(roomId).emit('room-deleted', { roomId });
+    roomSockets(roomId).forEach(leaveRoomChannels);
+}
+
+// Persistent part of a room (users, sessions and undo/redo stacks only live
+// while the server runs)
+function serializeRoom(room) {
+    return {
+        roomId: room.roomId,
+        roomName: room.roomName,
+        capacity: room.capacity,
+        passwordHash: room.passwordHash,
+        hostTokenHash: room.hostTokenHash,
+        apiKeys: room.apiKeys,
+        locked: room.locked,
+        createdAt: room.createdAt,
+        lastActiveAt: room.lastActiveAt,
+        seq: room.seq,
+        drawingHistory: room.drawingHistory,
+        layers: room.layers,
+        chatHistory: room.chatHistory,
+        comments: room.comments
+    };
+}
+
+function persist(record) {
+    const at = Date.now();
+    if (record.roomId) {
+        const room = rooms.get(record.roomId);
+        if (room) room.lastActiveAt = at;
+    }
+    store.write({ ...record, at });
+    storeDirty = true;
+}
+
+function snapshotRooms() {
+    if (!storeDirty) return Promise.resolve();
+    storeDirty = false;
+    return store.snapshot(Array.from(rooms.values()).map(serializeRoom));
+}
+
+function sweepExpiredRooms() {
+    if (!ROOM_TTL) return;
+    const now = Date.now();
+    rooms.forEach((room, roomId) => {
+        if (room.users.size === 0 && now - room.lastActiveAt > ROOM_TTL) {
+            deleteRoom(roomId);
+        }
+    });
+}
+
+function addUserToRoom(roomId, userId, userName, userColor, role) {
     const room = rooms.get(roomId);
     if (room && room.users.size < room.capacity) {
         room.users.set(userId, {
             id: userId,
             name: userName,
             color: userColor,
+            role,
+            online: true,              // false while their seat is held (see Sessions)
             x: 0,
             y: 0
         });
@@ -61,297 +219,1635 @@ function removeUserFromRoom(roomId, userId) {
             console.log(`${user.name} left room ${roomId}`);
         }
 
-        // Delete room if empty
-        if (room.users.size === 0) {
-            rooms.delete(roomId);
-            console.log(`Room deleted: ${roomId}`);
+        // Empty rooms are kept (see ROOM_TTL); just mark when they went idle
+        if (room.users.size === 0) {
+            persist({ type: 'touch', roomId });
+            if (user) sendWebhook('room-emptied', { room: roomSummary(room) });
+        }
+    }
+}
+
+// ============ Stroke Document ============
+// drawingHistory is a list of whole strokes:
+// { strokeId, userId, userName, tool, style: { color, width }, points: [[x, y], ...], layerId, timestamp }
+// (brush points drawn with a pen are [x, y, pressure])
+// Brush/eraser strokes grow one point per segment; shapes hold their two corners.
+const FREEHAND_TOOLS = ['brush', 'eraser'];
+// Strokes clients may queue while offline (see 'offline-strokes')
+const OFFLINE_TOOLS = [...FREEHAND_TOOLS, 'line', 'rectangle', 'circle'];
+
+function generateStrokeId() {
+    return `s-${Date.now()}-${Math.floor(Math.random() * 100000)}`;
+}
+
+function createStroke(socket, { strokeId, tool, color, width, points, layerId }) {
+    return {
+        strokeId: strokeId || generateStrokeId(),
+        userId: socket.userId,
+        userName: socket.userName,
+        tool,
+        style: { color, width },
+        points,
+        layerId,
+        timestamp: Date.now()
+    };
+}
+
+// Undo, selection and connectors find strokes by id, so a new stroke may not
+// take an id the room already has, whoever drew it. Sends a protocol-error
+// and returns true if `strokeId` is taken.
+function rejectTakenStrokeId(socket, room, event, strokeId) {
+    if (!strokeId || !findStroke(room.drawingHistory, strokeId)) return false;
+    protocolError(socket, event, { code: 'INVALID_PAYLOAD', message: `Invalid ${event}: strokeId "${strokeId}" is already in use` });
+    return true;
+}
+
+// One message in a comment thread (the first one opens it)
+function createCommentReply(socket, text) {
+    return {
+        replyId: `r-${Date.now()}-${Math.floor(Math.random() * 100000)}`,
+        userId: socket.userId,
+        userName: socket.userName,
+        userColor: socket.userColor,
+        text,
+        timestamp: Date.now()
+    };
+}
+
+// ============ Operation Log ============
+// Apply a document operation, give it the next sequence number, store it and
+// send it to everyone in the room (including the sender, so every client sees
+// every sequence number and can spot gaps).
+function commitOp(room, op) {
+    op.seq = room.seq + 1;
+    op.timestamp = Date.now();
+    applyOp(room, op);
+
+    room.opLog.push(op);
+    if (room.opLog.length > OP_LOG_LIMIT) {
+        room.opLog.splice(0, room.opLog.length - OP_LOG_LIMIT);
+    }
+
+    persist({ type: 'op', roomId: room.roomId, op });
+    broadcastOp(room, op);
+
+    if (op.type === 'add-stroke') {
+        const { strokeId, tool, userName, layerId } = op.stroke;
+        emitRoomEvent(room.roomId, 'draw', { userId: op.userId, userName, strokeId, tool, layerId, seq: op.seq });
+    } else if (op.type === 'clear') {
+        emitRoomEvent(room.roomId, 'clear', { userId: op.userId, seq: op.seq });
+        sendWebhook('canvas-cleared', { room: roomSummary(room), userId: op.userId, seq: op.seq });
+    }
+    // Nobody can bring back the strokes of a cleared or replaced board
+    if (op.type === 'clear' || op.type === 'replace-strokes') {
+        releaseUnusedImages(room).catch((err) => {
+            console.error(`Failed to delete unused images of room ${room.roomId}:`, err);
+        });
+    }
+    return op;
+}
+
+// extend-stroke ops go out packed as stroke-append (see wire.js), binary to
+// sockets that asked for it; everything else as room-op
+function broadcastOp(room, op) {
+    const encoded = op.type === 'extend-stroke' ? encodeStrokeAppend(op) : null;
+    if (!encoded) {
+        io.to(room.roomId).emit('room-op', op);
+        return;
+    }
+
+    const channel = binaryChannel(room.roomId);
+    const members = roomSockets(room.roomId);
+    const binaryMembers = encoded.binary ? members.filter(member => member.binaryStrokes).length : 0;
+    if (binaryMembers > 0) {
+        io.to(room.roomId).except(channel).emit('stroke-append', encoded.json);
+        io.to(channel).emit('stroke-append', encoded.binary);
+    } else {
+        io.to(room.roomId).emit('stroke-append', encoded.json);
+    }
+    countOutbound(encoded, findStroke(room.drawingHistory, op.strokeId), op.points.length, members.length - binaryMembers, binaryMembers);
+}
+
+// Socket.IO rooms of a participant's socket: the room itself, plus its
+// binary channel if the socket takes binary stroke-append relays
+function binaryChannel(roomId) {
+    return `${roomId}#binary`;
+}
+
+function joinRoomChannels(socket, roomId) {
+    socket.join(roomId);
+    if (socket.binaryStrokes) socket.join(binaryChannel(roomId));
+    socket.roomId = roomId;
+}
+
+function leaveRoomChannels(socket) {
+    socket.leave(socket.roomId);
+    socket.leave(binaryChannel(socket.roomId));
+    socket.roomId = null;
+}
+
+// ============ Room Events ============
+// Activity for the room's event streams (see event-stream.js). It happens on
+// the room's home node; in a cluster the adapter takes it to the streams
+// open on the other nodes.
+function emitRoomEvent(roomId, type, data = {}) {
+    const event = { type, roomId, at: Date.now(), ...data };
+    publishRoomEvent(event);
+    if (cluster.broker) io.serverSideEmit('room-event', event);
+}
+
+io.on('room-event', publishRoomEvent);
+
+// ============ Wire Stats ============
+// Stroke batches are counted on the home node of their room (see wire.js),
+// so /stats asks every node for its counters and adds them up. Nodes that do
+// not answer within the adapter's timeout (5 s) are left out.
+io.on('wire-counters', reply => reply(getWireCounters()));
+
+async function clusterWireStats() {
+    const others = !cluster.broker ? [] : await new Promise((resolve) => {
+        io.serverSideEmit('wire-counters', (err, responses) => {
+            if (err) console.error('Could not collect wire stats from every node:', err.message);
+            resolve(responses || []);
+        });
+    });
+    return { ...getWireStats([getWireCounters(), ...others]), nodes: others.length + 1 };
+}
+
+// Operations from fromSeq onwards, or null if some are no longer retained
+function getOpsSince(room, fromSeq) {
+    if (fromSeq > room.seq) return [];
+    if (room.opLog.length === 0 || fromSeq < room.opLog[0].seq) return null;
+    return room.opLog.slice(fromSeq - room.opLog[0].seq);
+}
+
+// ============ Permissions ============
+// Roles live on the room.users entries:
+//   host   - everything, including clear, lock, import, roles, kick and delete
+//   editor - draw, undo and redo while the board is unlocked
+//   viewer - watch and move their cursor
+const ROLES = ['host', 'editor', 'viewer'];
+
+function getRole(room, userId) {
+    const user = room.users.get(userId);
+    return user ? user.role : null;
+}
+
+function canDraw(room, userId) {
+    const role = getRole(room, userId);
+    return role === 'host' || (role === 'editor' && !room.locked);
+}
+
+function isRoomHost(room, userId) {
+    return getRole(room, userId) === 'host';
+}
+
+function permissionDenied(socket, action, message) {
+    socket.emit('permission-denied', { action, message });
+}
+
+// ============ Layers ============
+// Layer a new stroke goes on: the one asked for, or the bottom layer. Tells
+// the sender and returns null if that layer is gone or locked.
+function drawingLayer(socket, room, layerId) {
+    const layer = layerId === undefined ? getLayers(room)[0] : findLayer(room, layerId);
+    if (!layer) {
+        permissionDenied(socket, 'draw', 'That layer no longer exists');
+        return null;
+    }
+    if (layer.locked) {
+        permissionDenied(socket, 'draw', `Layer "${layer.name}" is locked`);
+        return null;
+    }
+    return layer;
+}
+
+function isOnLockedLayer(room, stroke) {
+    return strokeLayer(room, stroke).locked;
+}
+
+// A stroke in progress stops growing once its layer is locked
+function rejectLockedExtension(socket, room, stroke) {
+    if (!isOnLockedLayer(room, stroke)) return false;
+    permissionDenied(socket, 'draw', `Layer "${strokeLayer(room, stroke).name}" is locked`);
+    return true;
+}
+
+// ============ Protocol Errors ============
+// Rate limit errors are reported at most once per second per socket so a
+// flooding client does not get flooded back
+const PROTOCOL_NOTICE_INTERVAL = 1000;
+
+function protocolError(socket, event, { code, message }) {
+    if (code === 'RATE_LIMITED') {
+        const now = Date.now();
+        if (now - (socket.lastRateLimitNotice || 0) < PROTOCOL_NOTICE_INTERVAL) return;
+        socket.lastRateLimitNotice = now;
+    }
+
+    console.log(`Protocol error from ${socket.id} (${code}): ${message}`);
+    socket.emit('protocol-error', { event, code, message });
+}
+
+// ============ Undo / Redo ============
+// Each user has their own undo and redo stacks of actions:
+//   { kind: 'draw', strokeIds, strokes? }   strokes they drew (strokes kept while undone)
+//   { kind: 'update', before, after }       strokes they edited with the select tool
+//   { kind: 'delete', strokes }             strokes they deleted with the select tool
+// Undo reverts the newest action and moves it to the redo stack; redo does the
+// opposite. Strokes on locked layers are left alone, and actions whose
+// strokes are all gone (cleared, deleted by someone else) or locked are skipped.
+const UNDO_LIMIT = 200;
+
+function pushUndo(room, userId, action) {
+    if (!room.userUndoStacks.has(userId)) room.userUndoStacks.set(userId, []);
+    const stack = room.userUndoStacks.get(userId);
+    stack.push(action);
+    if (stack.length > UNDO_LIMIT) stack.shift();
+
+    // A new action starts a new branch
+    room.userRedoStacks.delete(userId);
+}
+
+function resetUndoStacks(room) {
+    room.userUndoStacks = new Map();
+    room.userRedoStacks = new Map();
+}
+
+// Strokes (by id) currently in the room's history
+function existingStrokes(room, strokeIds) {
+    const ids = new Set(strokeIds);
+    return room.drawingHistory.filter(stroke => ids.has(stroke.strokeId));
+}
+
+function missingStrokes(room, strokes) {
+    const present = new Set(room.drawingHistory.map(stroke => stroke.strokeId));
+    return strokes.filter(stroke => !present.has(stroke.strokeId));
+}
+
+function unlockedStrokes(room, strokes) {
+    return strokes.filter(stroke => !isOnLockedLayer(room, stroke));
+}
+
+function removeStrokes(room, userId, strokes) {
+    commitOp(room, { type: 'remove-strokes', userId, strokeIds: strokes.map(stroke => stroke.strokeId) });
+    return strokes.map(copyStroke);
+}
+
+function updateStrokes(room, userId, versions) {
+    const current = unlockedStrokes(room, existingStrokes(room, versions.map(stroke => stroke.strokeId)));
+    const ids = new Set(current.map(stroke => stroke.strokeId));
+    const strokes = versions.filter(stroke => ids.has(stroke.strokeId));
+    if (strokes.length > 0) commitOp(room, { type: 'update-strokes', userId, strokes });
+    return strokes.length > 0;
+}
+
+// Revert an action (undo) or apply it again (redo). Returns the action to put
+// on the opposite stack, or null if none of its strokes could be changed.
+function replayAction(room, userId, action, direction) {
+    if (action.kind === 'draw') {
+        if (direction === 'undo') {
+            const strokes = unlockedStrokes(room, existingStrokes(room, action.strokeIds));
+            if (strokes.length === 0) return null;
+            return { kind: 'draw', strokeIds: action.strokeIds, strokes: removeStrokes(room, userId, strokes) };
+        }
+        const strokes = unlockedStrokes(room, missingStrokes(room, action.strokes));
+        if (strokes.length === 0) return null;
+        commitOp(room, { type: 'restore-strokes', userId, strokes });
+        return { kind: 'draw', strokeIds: action.strokeIds };
+    }
+
+    if (action.kind === 'update') {
+        const versions = direction === 'undo' ? action.before : action.after;
+        return updateStrokes(room, userId, versions) ? action : null;
+    }
+
+    if (action.kind === 'delete') {
+        if (direction === 'undo') {
+            const strokes = unlockedStrokes(room, missingStrokes(room, action.strokes));
+            if (strokes.length === 0) return null;
+            commitOp(room, { type: 'restore-strokes', userId, strokes });
+            return action;
+        }
+        const strokes = unlockedStrokes(room, existingStrokes(room, action.strokes.map(stroke => stroke.strokeId)));
+        if (strokes.length === 0) return null;
+        return { kind: 'delete', strokes: removeStrokes(room, userId, strokes) };
+    }
+
+    return null;
+}
+
+// Pop actions from one stack until one applies, then push it on the other
+function stepHistory(room, userId, direction) {
+    const from = direction === 'undo' ? room.userUndoStacks : room.userRedoStacks;
+    const to = direction === 'undo' ? room.userRedoStacks : room.userUndoStacks;
+    const stack = from.get(userId) || [];
+
+    while (stack.length > 0) {
+        const result = replayAction(room, userId, stack.pop(), direction);
+        if (result) {
+            if (!to.has(userId)) to.set(userId, []);
+            to.get(userId).push(result);
+            emitRoomEvent(room.roomId, direction, { userId, kind: result.kind, seq: room.seq });
+            return result;
+        }
+    }
+    return null;
+}
+
+// ============ Room Access ============
+const DEFAULT_CAPACITY = 5;
+
+function roomError(socket, code, message) {
+    socket.emit('room-error', { code, message });
+}
+
+// Decide whether a join-room request may enter, creating the room for a new
+// host. Emits room-error and returns null when the request is refused.
+async function authorizeJoin(socket, data) {
+    const { roomId, roomName, capacity, isHost, password, hostToken } = data;
+
+    if (isHost && !rooms.has(roomId)) {
+        // First host to arrive creates the room and receives its host token
+        const issuedToken = createToken();
+        const passwordHash = password ? await hashPassword(String(password)) : null;
+
+        if (!rooms.has(roomId)) {
+            createRoom(roomId, roomName || 'Room', capacity || DEFAULT_CAPACITY, { passwordHash, hostTokenHash: hashToken(issuedToken) });
+            socket.emit('room-created', { roomId, hostToken: issuedToken });
+            return { room: rooms.get(roomId), isHost: true };
+        }
+    }
+
+    const room = rooms.get(roomId);
+    if (!room) {
+        roomError(socket, 'ROOM_NOT_FOUND', 'ERROR: Room not found');
+        return null;
+    }
+
+    if (isHost) {
+        if (!verifyToken(hostToken, room.hostTokenHash)) {
+            console.log(`Rejected host claim for room ${roomId} from ${socket.id}`);
+            roomError(socket, 'FORGED_HOST', 'ERROR: You are not the host of this room');
+            return null;
+        }
+        return { room, isHost: true };
+    }
+
+    if (room.passwordHash) {
+        if (!password) {
+            roomError(socket, 'PASSWORD_REQUIRED', 'ERROR: This room is password protected');
+            return null;
+        }
+        if (!(await verifyPassword(String(password), room.passwordHash))) {
+            roomError(socket, 'WRONG_PASSWORD', 'ERROR: Wrong room password');
+            return null;
+        }
+        // The room may have been deleted while the password was checked
+        if (!rooms.has(roomId)) {
+            roomError(socket, 'ROOM_NOT_FOUND', 'ERROR: Room not found');
+            return null;
+        }
+    }
+
+    return { room, isHost: false };
+}
+
+// Same checks for HTTP routes: protected rooms need the password or host token
+// in the X-Room-Password / X-Host-Token header. Rooms hosted by another node
+// are read from the shared store.
+async function authorizeRoomRequest(req, res) {
+    const room = rooms.get(req.params.roomId) || (store.loadRoom ? await store.loadRoom(req.params.roomId) : null);
+    if (!room) {
+        res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+        return null;
+    }
+
+    if (!room.passwordHash || verifyToken(req.get('X-Host-Token'), room.hostTokenHash)) {
+        return room;
+    }
+
+    const password = req.get('X-Room-Password');
+    if (!password) {
+        res.status(401).json({ error: 'This room is password protected', code: 'PASSWORD_REQUIRED' });
+        return null;
+    }
+    if (!(await verifyPassword(password, room.passwordHash))) {
+        res.status(403).json({ error: 'Wrong room password', code: 'WRONG_PASSWORD' });
+        return null;
+    }
+    return room;
+}
+
+// ============ Sessions ============
+// Participants are known by a participant ID (`u-<hex>`), not by their socket:
+// Socket.IO gives every reconnect a new socket id. The first join issues the
+// ID and a session token ('session' event); the client keeps both for its tab
+// and sends them with join-room when it reconnects, getting back the same seat
+// with its role, color and undo/redo stacks.
+//
+// room.sessions: participantId → { tokenHash, socketId, expiryTimer }
+//
+// When a socket drops, its participant stays in room.users marked offline
+// (user-status) and keeps their seat for SESSION_GRACE; after that they are
+// removed (user-left). leave-room and kicks end the session right away.
+function createParticipantId() {
+    return `u-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function startSession(room, socket, userId) {
+    const sessionToken = createToken();
+    room.sessions.set(userId, { tokenHash: hashToken(sessionToken), socketId: socket.id, expiryTimer: null });
+    return sessionToken;
+}
+
+// The session a join-room request may resume, if its token matches
+function findSession(room, participantId, sessionToken) {
+    const session = participantId ? room.sessions.get(participantId) : null;
+    return session && verifyToken(sessionToken, session.tokenHash) ? session : null;
+}
+
+// Attach a session to a new socket. A socket still holding it (another tab,
+// or a dropped connection the server has not noticed yet) is sent away.
+function resumeSession(room, socket, userId) {
+    const session = room.sessions.get(userId);
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+
+    const previous = session.socketId && findSocket(session.socketId);
+    if (previous && previous !== socket && previous.roomId === room.roomId) {
+        leaveRoomChannels(previous);
+        roomError(previous, 'SESSION_REPLACED', 'You joined this room from another window');
+    }
+    session.socketId = socket.id;
+    room.users.get(userId).online = true;
+}
+
+// The participant's socket dropped: hold their seat for SESSION_GRACE
+function suspendSession(room, socket) {
+    const session = room.sessions.get(socket.userId);
+    const user = room.users.get(socket.userId);
+    if (!session || !user || session.socketId !== socket.id) return;
+
+    session.socketId = null;
+    session.expiryTimer = setTimeout(() => endSession(room, socket.userId), SESSION_GRACE);
+    user.online = false;
+    io.to(room.roomId).emit('user-status', {
+        userId: socket.userId,
+        online: false,
+        users: getRoomUsers(room.roomId)
+    });
+    console.log(`${user.name} went offline in room ${room.roomId}`);
+}
+
+// Remove a participant for good: their seat, undo history and session
+function endSession(room, userId) {
+    const session = room.sessions.get(userId);
+    const user = room.users.get(userId);
+    if (session) clearTimeout(session.expiryTimer);
+    room.sessions.delete(userId);
+    room.userUndoStacks.delete(userId);
+    room.userRedoStacks.delete(userId);
+    removeUserFromRoom(room.roomId, userId);
+
+    io.to(room.roomId).emit('user-left', {
+        userId,
+        users: getRoomUsers(room.roomId)
+    });
+    if (user) emitRoomEvent(room.roomId, 'leave', { userId, userName: user.name, users: room.users.size });
+}
+
+// ============ Images ============
+// Data URLs of the images used by these strokes, for exports
+async function loadStrokeImages(roomId, strokes) {
+    const imageIds = new Set(strokes.filter(stroke => stroke.tool === 'image').map(stroke => stroke.imageId));
+    const images = {};
+    await Promise.all(Array.from(imageIds).map(async (imageId) => {
+        const buffer = await store.loadImage(roomId, imageId);
+        if (buffer) images[imageId] = toDataUrl(imageId, buffer);
+    }));
+    return images;
+}
+
+// A room keeps the images used by strokes on the board or on someone's undo
+// or redo stack, and those being stored right now
+function usedImageIds(room) {
+    const used = new Set(room.pendingImageIds);
+    const addStrokes = strokes => (strokes || []).forEach((stroke) => {
+        if (stroke.tool === 'image') used.add(stroke.imageId);
+    });
+    addStrokes(room.drawingHistory);
+    [room.userUndoStacks, room.userRedoStacks].forEach(stacks => stacks.forEach(stack => stack.forEach((action) => {
+        addStrokes(action.strokes);
+        addStrokes(action.before);
+        addStrokes(action.after);
+    })));
+    return used;
+}
+
+// Delete the room's stored images it no longer uses
+async function releaseUnusedImages(room) {
+    const stored = await store.listImages(room.roomId);
+    const used = usedImageIds(room);
+    await Promise.all(stored.filter(imageId => !used.has(imageId)).map(imageId => store.deleteImage(room.roomId, imageId)));
+}
+
+// An image stored for a stroke that was not added after all
+function discardImage(roomId, imageId) {
+    store.deleteImage(roomId, imageId).catch((err) => {
+        console.error(`Failed to delete image ${imageId} of room ${roomId}:`, err);
+    });
+}
+
+// Whether `bytes` more image data fits in the room's quota. Images the room
+// no longer uses (undone, deleted or cleared) are deleted first, so they do
+// not count.
+async function hasImageQuota(room, bytes) {
+    await releaseUnusedImages(room);
+    return (await store.imageUsage(room.roomId)) + bytes <= ROOM_IMAGE_QUOTA;
+}
+
+function getRoomUsers(roomId) {
+    const room = rooms.get(roomId);
+    if (room) {
+        return Array.from(room.users.values());
+    }
+    return [];
+}
+
+// ============ Cluster ============
+// Each room is hosted by one node (see cluster.js). Participants connected to
+// another node are RemoteSockets here: their node passes their events on,
+// socket.homeNode on the real socket says where to. REST API calls for a
+// room are passed on the same way (see REST API).
+//
+// Messages between nodes:
+//   { type: 'event', socketId, nodeId, event, args }
+//   { type: 'api-call', callId, nodeId, roomId, operation, params }
+//   { type: 'api-result', callId, result }
+const remoteSockets = new Map();   // socket id → RemoteSocket
+
+function findSocket(socketId) {
+    return io.sockets.sockets.get(socketId) || remoteSockets.get(socketId) || null;
+}
+
+// Participant sockets of a room hosted here, wherever they are connected
+function roomSockets(roomId) {
+    const local = Array.from(io.sockets.adapter.rooms.get(roomId) || [], id => io.sockets.sockets.get(id));
+    const remote = Array.from(remoteSockets.values()).filter(socket => socket.roomId === roomId);
+    return [...local.filter(Boolean), ...remote];
+}
+
+// The node hosting a room (null if there is no such room). A room that
+// becomes ours is loaded from the shared store, if there is one.
+async function findHomeNode(roomId, create) {
+    const home = await cluster.claimRoom(roomId, create);
+    if (home === cluster.nodeId && !rooms.has(roomId) && store.loadRoom) {
+        const doc = await store.loadRoom(roomId);
+        if (doc && !rooms.has(roomId)) restoreRoom(doc);
+    }
+    return home;
+}
+
+function sendToHomeNode(socket, event, args) {
+    cluster.sendToNode(socket.homeNode, { type: 'event', socketId: socket.id, nodeId: cluster.nodeId, event, args });
+}
+
+// Socket middleware: events for a room hosted elsewhere go to its home node
+// instead of the handlers here. join-room picks the home.
+async function routeEvent(socket, [event, ...args], next) {
+    if (event === 'join-room') {
+        const home = await findHomeNode(args[0].roomId, !!args[0].isHost) || cluster.nodeId;
+        // Switching rooms: the previous home sees this socket go
+        if (socket.homeNode && socket.homeNode !== home && socket.homeNode !== cluster.nodeId) {
+            sendToHomeNode(socket, 'disconnect', []);
+        }
+        socket.homeNode = home;
+    }
+
+    if (!socket.homeNode || socket.homeNode === cluster.nodeId) {
+        next();
+        return;
+    }
+    sendToHomeNode(socket, event, args);
+}
+
+// An event of a participant connected to another node
+function receiveRemoteEvent({ socketId, nodeId, event, args }) {
+    let socket = remoteSockets.get(socketId);
+    if (!socket) {
+        if (event === 'disconnect') return;
+        socket = new RemoteSocket(io, socketId, nodeId);
+        remoteSockets.set(socketId, socket);
+        handleParticipantEvents(socket);
+    }
+    socket.receive(event, args);
+    if (event === 'disconnect') remoteSockets.delete(socketId);
+}
+
+cluster.onNodeMessage((message) => {
+    if (message.type === 'api-call') {
+        const result = runApiOperation(message.roomId, message.operation, message.params);
+        cluster.sendToNode(message.nodeId, { type: 'api-result', callId: message.callId, result });
+    } else if (message.type === 'api-result') {
+        finishApiCall(message.callId, message.result);
+    } else {
+        receiveRemoteEvent(message);
+    }
+});
+
+cluster.onNodeDown((nodeId) => {
+    // Its participants dropped: their seats are held as usual
+    remoteSockets.forEach((socket, socketId) => {
+        if (socket.nodeId !== nodeId) return;
+        socket.receive('disconnect', []);
+        remoteSockets.delete(socketId);
+    });
+    // Ours in rooms it hosted reconnect (closing the transport, not the
+    // socket, so the client retries) and rejoin wherever the room is now
+    io.sockets.sockets.forEach((socket) => {
+        if (socket.homeNode === nodeId) socket.conn.close();
+    });
+    console.log(`Node ${nodeId} left the cluster`);
+});
+
+// Without the broker this node cannot reach its rooms' other participants
+cluster.onClose((err) => {
+    console.error('Lost the connection to the broker', err || '');
+    process.exit(1);
+});
+
+// ============ Socket.IO Events ============
+io.on('connection', (socket) => {
+    console.log(`New connection: ${socket.id}`);
+
+    // Validate and rate limit every inbound event before its handler runs
+    const rateBuckets = new Map();
+    socket.use(([event, ...args], next) => {
+        const problem = checkEvent(rateBuckets, event, args);
+        if (problem) {
+            protocolError(socket, event, problem);
+            return;
+        }
+        next();
+    });
+
+    socket.use((packet, next) => {
+        routeEvent(socket, packet, next).catch((err) => {
+            console.error(`Could not route ${packet[0]} from ${socket.id}:`, err);
+        });
+    });
+    socket.on('disconnect', () => {
+        if (socket.homeNode && socket.homeNode !== cluster.nodeId) sendToHomeNode(socket, 'disconnect', []);
+    });
+
+    handleParticipantEvents(socket);
+});
+
+// Room events of one participant: `socket` is their socket, or a RemoteSocket
+// if they are connected to another node
+function handleParticipantEvents(socket) {
+    // User joins room
+    socket.on('join-room', async (data) => {
+        const { roomId, userName, userColor, participantId, sessionToken } = data;
+
+        // Create room if it doesn't exist and user is host; check password / host token
+        const access = await authorizeJoin(socket, data);
+        if (!access) return;
+        const { room, isHost } = access;
+
+        // Binary stroke-append relays if the client offers them (see wire.js)
+        socket.binaryStrokes = !!data.binaryStrokes;
+        const strokeEncoding = socket.binaryStrokes ? 'binary' : 'json';
+
+        // A reconnecting participant gets their seat back (see Sessions)
+        const resumed = !!findSession(room, participantId, sessionToken);
+        let userId = participantId;
+        if (resumed) {
+            resumeSession(room, socket, userId);
+            const user = room.users.get(userId);
+            user.name = userName;
+            // Hosts prove their role again with the host token
+            if (isHost) user.role = 'host';
+            socket.emit('session', { roomId, userId, strokeEncoding });
+        } else {
+            if (room.users.size >= room.capacity) {
+                roomError(socket, 'ROOM_FULL', 'ERROR: Room is full');
+                return;
+            }
+
+            // Add user to room (the creator is host, everyone else starts as editor)
+            userId = createParticipantId();
+            addUserToRoom(roomId, userId, userName, userColor, isHost ? 'host' : 'editor');
+            socket.emit('session', { roomId, userId, sessionToken: startSession(room, socket, userId), strokeEncoding });
+        }
+
+        // Join socket to room
+        const user = room.users.get(userId);
+        joinRoomChannels(socket, roomId);
+        socket.userId = userId;
+        socket.userName = user.name;
+        socket.userColor = user.color;
+
+        // Send current users to new user
+        const users = getRoomUsers(roomId);
+        socket.emit('users-list', { users });
+
+        // Notify others that user joined (or is back)
+        if (resumed) {
+            socket.to(roomId).emit('user-status', { userId: user.id, online: true, users });
+        } else {
+            socket.to(roomId).emit('user-joined', {
+                userId: user.id,
+                userName: user.name,
+                userColor: user.color,
+                role: user.role,
+                users: users
+            });
+            emitRoomEvent(roomId, 'join', { userId: user.id, userName: user.name, role: user.role, users: users.length });
+        }
+
+        // Send the lock state, the current document and the sequence number it
+        // is at, and the recent chat
+        socket.emit('board-locked', { locked: room.locked });
+        socket.emit('drawing-history', {
+            history: room.drawingHistory,
+            layers: getLayers(room),
+            comments: getComments(room),
+            seq: room.seq,
+            chat: room.chatHistory
+        });
+
+        console.log(`Room ${roomId} has ${room.users.size} user(s)`);
+    });
+
+    // Drawing events - each segment extends the stroke it belongs to
+    socket.on('draw', (data) => {
+        if (!socket.roomId) return;
+
+        const { fromX, fromY, toX, toY, color, width, tool, strokeId, layerId } = data;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'draw', 'You cannot draw on this board');
+            return;
+        }
+
+        // Pen pressure is kept on brush points only (see brush.js)
+        const point = (x, y, pressure) => (tool === 'brush' && pressure !== undefined ? [x, y, pressure] : [x, y]);
+        const points = [
+            ...(data.via || []).map(([x, y, pressure]) => point(x, y, pressure)),
+            point(toX, toY, data.toPressure)
+        ];
+
+        const existing = strokeId ? findStroke(room.drawingHistory, strokeId, socket.userId) : null;
+        if (existing) {
+            // Only a brush/eraser stroke of the same tool grows (as with stroke-append)
+            if (!FREEHAND_TOOLS.includes(existing.tool) || existing.tool !== tool) {
+                protocolError(socket, 'draw', { code: 'INVALID_PAYLOAD', message: `Invalid draw: stroke "${strokeId}" is not a ${tool} stroke` });
+                return;
+            }
+            if (rejectLockedExtension(socket, room, existing)) return;
+            commitOp(room, {
+                type: 'extend-stroke',
+                userId: socket.userId,
+                strokeId,
+                points
+            });
+        } else {
+            if (rejectTakenStrokeId(socket, room, 'draw', strokeId)) return;
+            const layer = drawingLayer(socket, room, layerId);
+            if (!layer) return;
+
+            const op = commitOp(room, {
+                type: 'add-stroke',
+                userId: socket.userId,
+                stroke: createStroke(socket, {
+                    strokeId, tool, color, width,
+                    points: [point(fromX, fromY, data.fromPressure), ...points],
+                    layerId: layer.layerId
+                })
+            });
+
+            // A new stroke is one undo step (and clears this user's redo stack)
+            pushUndo(room, socket.userId, { kind: 'draw', strokeIds: [op.stroke.strokeId] });
+        }
+    });
+
+    // Stroke append event - compact brush/eraser streaming (see wire.js): a
+    // frame's worth of points; the first batch of a stroke brings its style
+    socket.on('stroke-append', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'draw', 'You cannot draw on this board');
+            return;
+        }
+
+        const { strokeId, stride } = data;
+        const existing = findStroke(room.drawingHistory, strokeId, socket.userId);
+        if (!existing && rejectTakenStrokeId(socket, room, 'stroke-append', strokeId)) return;
+        const tool = existing ? existing.tool : data.tool;
+        if (!FREEHAND_TOOLS.includes(tool) || (!existing && (data.color === undefined || data.width === undefined))) {
+            protocolError(socket, 'stroke-append', { code: 'INVALID_PAYLOAD', message: 'Invalid stroke-append: not a brush or eraser stroke, or a new stroke without tool, color and width' });
+            return;
+        }
+        // Pressure is kept on brush points only (see brush.js)
+        const points = stride === 3 && tool !== 'brush' ? null : decodePoints(data.points, stride);
+        if (!points) {
+            protocolError(socket, 'stroke-append', { code: 'INVALID_PAYLOAD', message: 'Invalid stroke-append: points must be whole, in-range points' });
+            return;
+        }
+
+        if (existing) {
+            if (rejectLockedExtension(socket, room, existing)) return;
+            commitOp(room, { type: 'extend-stroke', userId: socket.userId, strokeId, points });
+        } else {
+            const layer = drawingLayer(socket, room, data.layerId);
+            if (!layer) return;
+
+            commitOp(room, {
+                type: 'add-stroke',
+                userId: socket.userId,
+                stroke: createStroke(socket, { strokeId, tool, color: data.color, width: data.width, points, layerId: layer.layerId })
+            });
+            pushUndo(room, socket.userId, { kind: 'draw', strokeIds: [strokeId] });
+        }
+        countInbound(data, findStroke(room.drawingHistory, strokeId), points.length);
+    });
+
+    // Draw line event (shapes: line, rectangle, circle)
+    socket.on('draw-line', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'draw', 'You cannot draw on this board');
+            return;
+        }
+
+        const { fromX, fromY, toX, toY, color, width, tool, strokeId, fill, layerId } = data;
+        if (rejectTakenStrokeId(socket, room, 'draw-line', strokeId)) return;
+        const layer = drawingLayer(socket, room, layerId);
+        if (!layer) return;
+
+        // A shape is a stroke with two points: start and end of the drag
+        const stroke = createStroke(socket, {
+            strokeId, tool, color, width,
+            points: [[fromX, fromY], [toX, toY]],
+            layerId: layer.layerId
+        });
+        if (fill && FILLABLE_TOOLS.includes(tool)) stroke.style.fill = fill;
+
+        commitOp(room, { type: 'add-stroke', userId: socket.userId, stroke });
+        pushUndo(room, socket.userId, { kind: 'draw', strokeIds: [stroke.strokeId] });
+    });
+
+    // Offline strokes - brush, eraser and shape strokes drawn while
+    // disconnected, sent in order once back in the room. Strokes the room
+    // already has are skipped, so a batch cut short by another drop can be
+    // sent again; a stroke whose start went out live before the connection
+    // dropped gets the points it is missing.
+    socket.on('offline-strokes', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'offline-strokes', 'You can no longer draw on this board, so strokes drawn offline were dropped');
+            return;
+        }
+
+        for (const [index, incoming] of data.strokes.entries()) {
+            const problem = validateStroke(incoming, `stroke ${index + 1}`)
+                || (OFFLINE_TOOLS.includes(incoming.tool) ? null : `stroke ${index + 1} cannot be drawn offline`)
+                || (incoming.strokeId ? null : `stroke ${index + 1} has no strokeId`);
+            if (problem) {
+                protocolError(socket, 'offline-strokes', { code: 'INVALID_PAYLOAD', message: `Invalid offline-strokes: ${problem}` });
+                return;
+            }
+        }
+
+        data.strokes.forEach((incoming) => {
+            const { tool, style } = incoming;
+            let strokeId = incoming.strokeId;
+            // Someone else drew a stroke with this id meanwhile: ours takes an id
+            // made from both, so a resent batch finds it again
+            const other = findStroke(room.drawingHistory, strokeId);
+            if (other && other.userId !== socket.userId) {
+                strokeId = `s-offline-${crypto.createHash('sha256').update(`${socket.userId}:${strokeId}`).digest('hex').slice(0, 24)}`;
+            }
+
+            const existing = findStroke(room.drawingHistory, strokeId, socket.userId);
+            if (existing) {
+                const missing = incoming.points.length - existing.points.length;
+                if (existing.tool === tool && FREEHAND_TOOLS.includes(tool) && missing > 0 && !isOnLockedLayer(room, existing)) {
+                    commitOp(room, {
+                        type: 'extend-stroke',
+                        userId: socket.userId,
+                        strokeId,
+                        points: incoming.points.slice(-missing).map(point => point.slice())
+                    });
+                }
+                return;
+            }
+            if (rejectTakenStrokeId(socket, room, 'offline-strokes', strokeId)) return;
+
+            const layer = drawingLayer(socket, room, incoming.layerId);
+            if (!layer) return;
+
+            const stroke = createStroke(socket, {
+                strokeId, tool,
+                color: style.color,
+                width: style.width,
+                points: incoming.points.map(point => point.slice()),
+                layerId: layer.layerId
+            });
+            if (style.fill !== undefined) stroke.style.fill = style.fill;
+
+            commitOp(room, { type: 'add-stroke', userId: socket.userId, stroke });
+            pushUndo(room, socket.userId, { kind: 'draw', strokeIds: [stroke.strokeId] });
+        });
+
+        // Lets the client drop the batch from its queue, including strokes
+        // refused above (e.g. on a layer locked meanwhile)
+        socket.emit('offline-strokes-synced', { strokeIds: data.strokes.map(stroke => stroke.strokeId) });
+    });
+
+    // Add connector event - an arrow, possibly attached to shapes
+    socket.on('add-connector', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'draw', 'You cannot draw on this board');
+            return;
+        }
+
+        const { fromX, fromY, toX, toY, color, width, strokeId, layerId } = data;
+        if (rejectTakenStrokeId(socket, room, 'add-connector', strokeId)) return;
+        const layer = drawingLayer(socket, room, layerId);
+        if (!layer) return;
+
+        const stroke = createStroke(socket, {
+            strokeId, tool: 'connector', color, width,
+            points: [[fromX, fromY], [toX, toY]],
+            layerId: layer.layerId
+        });
+        // Ends attached to shapes that are gone (or are not shapes) are left free
+        stroke.connector = cleanConnector(data, id => findStroke(room.drawingHistory, id));
+
+        commitOp(room, { type: 'add-stroke', userId: socket.userId, stroke });
+        pushUndo(room, socket.userId, { kind: 'draw', strokeIds: [stroke.strokeId] });
+    });
+
+    // Fill event - paint bucket result, a mask image over a world box
+    socket.on('fill', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'draw', 'You cannot draw on this board');
+            return;
+        }
+
+        const { strokeId, x, y, width, height, color, image, layerId } = data;
+        if (rejectTakenStrokeId(socket, room, 'fill', strokeId)) return;
+        const layer = drawingLayer(socket, room, layerId);
+        if (!layer) return;
+
+        const stroke = createStroke(socket, {
+            strokeId, tool: 'fill', color,
+            points: [[x, y], [x + width, y + height]],
+            layerId: layer.layerId
+        });
+        stroke.style = { color };
+        stroke.image = image;
+
+        const problem = validateStroke(stroke, 'stroke');
+        if (problem) {
+            protocolError(socket, 'fill', { code: 'INVALID_PAYLOAD', message: `Invalid fill: ${problem}` });
+            return;
+        }
+
+        commitOp(room, { type: 'add-stroke', userId: socket.userId, stroke });
+        pushUndo(room, socket.userId, { kind: 'draw', strokeIds: [stroke.strokeId] });
+    });
+
+    // Add text event - a finished text box from the text tool
+    socket.on('add-text', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'draw', 'You cannot draw on this board');
+            return;
+        }
+
+        const { strokeId, x, y, text, color, size, bold, italic, layerId } = data;
+        if (rejectTakenStrokeId(socket, room, 'add-text', strokeId)) return;
+        const layer = drawingLayer(socket, room, layerId);
+        if (!layer) return;
+
+        const stroke = createStroke(socket, { strokeId, tool: 'text', color, points: [[x, y]], layerId: layer.layerId });
+        stroke.style = { color };
+        stroke.text = text;
+        stroke.font = { size, bold, italic };
+
+        commitOp(room, { type: 'add-stroke', userId: socket.userId, stroke });
+        pushUndo(room, socket.userId, { kind: 'draw', strokeIds: [stroke.strokeId] });
+    });
+
+    // Add image event - an uploaded image placed on the board. The bytes are
+    // stored per room and the stroke only refers to them by imageId.
+    socket.on('add-image', async (data) => {
+        if (!socket.roomId) return;
+
+        const roomId = socket.roomId;
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'draw', 'You cannot draw on this board');
+            return;
+        }
+
+        const { strokeId, x, y, width, height, data: bytes, layerId } = data;
+        if (!drawingLayer(socket, room, layerId)) return;
+
+        // Same rule as rejectTakenStrokeId, reported as an image-error so the
+        // client drops its placeholder
+        const strokeIdTaken = () => {
+            if (!findStroke(room.drawingHistory, strokeId)) return false;
+            socket.emit('image-error', { strokeId, message: `strokeId "${strokeId}" is already in use` });
+            return true;
+        };
+        if (strokeIdTaken()) return;
+
+        const checked = checkImage(bytes);
+        if (checked.error) {
+            socket.emit('image-error', { strokeId, message: checked.error });
+            return;
+        }
+
+        const imageId = createImageId(checked.type);
+        room.pendingImageIds.add(imageId);
+        try {
+            if (!(await hasImageQuota(room, bytes.length))) {
+                socket.emit('image-error', { strokeId, message: 'This board has no room for more images' });
+                return;
+            }
+            await store.saveImage(roomId, imageId, bytes);
+        } catch (err) {
+            console.error(`Failed to store image in room ${roomId}:`, err);
+            socket.emit('image-error', { strokeId, message: 'The image could not be saved' });
+            discardImage(roomId, imageId);
+            return;
+        } finally {
+            room.pendingImageIds.delete(imageId);
+        }
+
+        // The room may have been deleted, or our role or the layer changed, while saving
+        const layer = rooms.get(roomId) === room && canDraw(room, socket.userId) && !strokeIdTaken()
+            ? drawingLayer(socket, room, layerId)
+            : null;
+        if (!layer) {
+            discardImage(roomId, imageId);
+            return;
+        }
+
+        const stroke = createStroke(socket, {
+            strokeId, tool: 'image',
+            points: [[x, y], [x + width, y + height]],
+            layerId: layer.layerId
+        });
+        stroke.style = {};
+        stroke.imageId = imageId;
+
+        commitOp(room, { type: 'add-stroke', userId: socket.userId, stroke });
+        pushUndo(room, socket.userId, { kind: 'draw', strokeIds: [stroke.strokeId] });
+        console.log(`Image ${imageId} (${bytes.length} bytes) added to room ${roomId} by ${socket.userId}`);
+    });
+
+    // Text preview event - relay text as it is typed (not stored)
+    socket.on('text-preview', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room || !canDraw(room, socket.userId)) return;
+
+        socket.to(socket.roomId).emit('text-preview', { ...data, userId: socket.userId });
+    });
+
+    // Clear canvas event - clear globally for all users in the room
+    socket.on('clear-canvas', () => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (room) {
+            if (!isRoomHost(room, socket.userId)) {
+                permissionDenied(socket, 'clear-canvas', 'Only the host can clear the board');
+                return;
+            }
+
+            // Clear drawing history and per-user undo/redo stacks
+            resetUndoStacks(room);
+            commitOp(room, { type: 'clear', userId: socket.userId });
+            console.log(`Room ${socket.roomId} canvas cleared by ${socket.userId}`);
+        }
+    });
+
+    // Mouse move / Cursor tracking
+    socket.on('cursor-move', (data) => {
+        if (!socket.roomId) return;
+
+        const { x, y } = data;
+
+        // Update user position
+        const room = rooms.get(socket.roomId);
+        if (room) {
+            const user = room.users.get(socket.userId);
+            if (user) {
+                user.x = x;
+                user.y = y;
+            }
+        }
+
+        // Broadcast cursor position to others
+        socket.to(socket.roomId).emit('cursor-move', {
+            userId: socket.userId,
+            userName: socket.userName,
+            userColor: socket.userColor,
+            x,
+            y
+        });
+    });
+
+    // Undo event - Only undo THIS user's last action
+    socket.on('undo', () => {
+        console.log(`User ${socket.userId} requested undo`);
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'undo', 'You cannot change this board');
+            return;
+        }
+
+        const action = stepHistory(room, socket.userId, 'undo');
+        if (action) {
+            console.log(`Undid ${action.kind} action for ${socket.userId} (now at op #${room.seq})`);
+        } else {
+            console.log('Nothing to undo');
+        }
+    });
+
+    // Redo event - Only redo THIS user's last undone action
+    socket.on('redo', () => {
+        console.log(`User ${socket.userId} requested redo`);
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'redo', 'You cannot change this board');
+            return;
+        }
+
+        const action = stepHistory(room, socket.userId, 'redo');
+        if (action) {
+            console.log(`Redid ${action.kind} action for ${socket.userId} (now at op #${room.seq})`);
+        } else {
+            console.log('Nothing to redo');
+        }
+    });
+
+    // Update strokes event - select tool moved, scaled, rotated or restyled
+    // strokes, or text tool re-edited a text box
+    socket.on('update-strokes', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'update-strokes', 'You cannot change this board');
+            return;
         }
-    }
-}
 
-function getRoomUsers(roomId) {
-    const room = rooms.get(roomId);
-    if (room) {
-        return Array.from(room.users.values());
-    }
-    return [];
-}
+        const before = [];
+        const after = [];
+        for (const incoming of data.strokes) {
+            const current = findStroke(room.drawingHistory, incoming && incoming.strokeId);
+            if (!current) continue; // Deleted by someone else meanwhile
+            if (isOnLockedLayer(room, current)) {
+                permissionDenied(socket, 'update-strokes', 'Strokes on a locked layer cannot be changed');
+                return;
+            }
 
-// ============ Socket.IO Events ============
-io.on('connection', (socket) => {
-    console.log(`New connection: ${socket.id}`);
+            // Geometry and style come from the client; identity, tool, the
+            // picture of a bucket fill or image and what a connector is
+            // attached to stay
+            const problem = validateStroke(
+                { ...incoming, tool: current.tool, image: current.image, imageId: current.imageId, connector: current.connector },
+                `stroke ${current.strokeId}`
+            );
+            if (problem) {
+                protocolError(socket, 'update-strokes', { code: 'INVALID_PAYLOAD', message: `Invalid update-strokes: ${problem}` });
+                return;
+            }
 
-    // User joins room
-    socket.on('join-room', (data) => {
-        const { roomId, roomName, userName, userColor, capacity, isHost } = data;
+            const updated = {
+                ...current,
+                style: { ...current.style },
+                // Brush points keep their pen pressure
+                points: incoming.points.map(point => point.slice())
+            };
+            delete updated.rotation;
+            delete updated.style.fill;
+            // Images are only moved and resized
+            if (current.tool !== 'image') updated.style.color = incoming.style.color;
+            if (current.tool === 'rectangle' && incoming.rotation) updated.rotation = incoming.rotation;
+            if (FILLABLE_TOOLS.includes(current.tool) && incoming.style.fill) updated.style.fill = incoming.style.fill;
+            if (current.tool === 'text') {
+                // Text boxes can also be re-typed and restyled
+                updated.points = updated.points.slice(0, 1);
+                updated.text = incoming.text;
+                updated.font = { size: incoming.font.size, bold: incoming.font.bold, italic: incoming.font.italic };
+            } else if (current.tool !== 'fill' && current.tool !== 'image') {
+                updated.style.width = incoming.style.width;
+            }
 
-        // Create room if it doesn't exist and user is host
-        if (isHost) {
-            createRoom(roomId, roomName, capacity);
+            before.push(copyStroke(current));
+            after.push(updated);
         }
+        if (after.length === 0) return;
 
-        // Add user to room
-        const room = rooms.get(roomId);
-        if (!room) {
-            socket.emit('room-error', { message: 'ERROR: Room not found' });
+        commitOp(room, { type: 'update-strokes', userId: socket.userId, strokes: after });
+        pushUndo(room, socket.userId, { kind: 'update', before, after });
+    });
+
+    // Delete strokes event - select tool removed strokes
+    socket.on('delete-strokes', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'delete-strokes', 'You cannot change this board');
             return;
         }
 
-        if (room.users.size >= room.capacity) {
-            socket.emit('room-error', { message: 'ERROR: Room is full' });
+        const strokes = existingStrokes(room, data.strokeIds);
+        if (strokes.length === 0) return;
+        if (strokes.some(stroke => isOnLockedLayer(room, stroke))) {
+            permissionDenied(socket, 'delete-strokes', 'Strokes on a locked layer cannot be deleted');
             return;
         }
 
-        // Add user to room
-        addUserToRoom(roomId, socket.id, userName, userColor);
+        pushUndo(room, socket.userId, { kind: 'delete', strokes: removeStrokes(room, socket.userId, strokes) });
+    });
 
-        // Join socket to room
-        socket.join(roomId);
-        socket.roomId = roomId;
-        socket.userName = userName;
-        socket.userColor = userColor;
+    // Add layer event - new empty layer on top
+    socket.on('add-layer', (data) => {
+        if (!socket.roomId) return;
 
-        // Send current users to new user
-        const users = getRoomUsers(roomId);
-        socket.emit('users-list', { users });
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
 
-        // Notify others that user joined
-        socket.to(roomId).emit('user-joined', {
-            userId: socket.id,
-            userName: userName,
-            userColor: userColor,
-            users: users
-        });
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'add-layer', 'You cannot change this board');
+            return;
+        }
 
-        // Send drawing history to new user
-        if (room.drawingHistory.length > 0) {
-            socket.emit('drawing-history', { history: room.drawingHistory });
+        if (getLayers(room).length >= MAX_LAYERS) {
+            permissionDenied(socket, 'add-layer', `A board can have at most ${MAX_LAYERS} layers`);
+            return;
         }
+        if (findLayer(room, data.layerId)) return;
 
-        console.log(`Room ${roomId} has ${room.users.size} user(s)`);
+        commitOp(room, {
+            type: 'add-layer',
+            userId: socket.userId,
+            layer: { layerId: data.layerId, name: data.name, visible: true, locked: false, opacity: 1 }
+        });
     });
 
-    // Drawing events
-    socket.on('draw', (data) => {
+    // Update layer event - rename, hide/show, lock/unlock or change opacity
+    socket.on('update-layer', (data) => {
         if (!socket.roomId) return;
 
-        const { fromX, fromY, toX, toY, color, width, tool, strokeId } = data;
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
 
-        // Store in history (only store actual strokes/segments)
-        if (tool === 'brush' || tool === 'eraser') {
-            const room = rooms.get(socket.roomId);
-            if (room) {
-                room.drawingHistory.push({
-                    fromX, fromY, toX, toY, color, width, tool,
-                    userId: socket.id,
-                    strokeId: strokeId || null,
-                    timestamp: Date.now()
-                });
-
-                // Clear this user's redo stack when they draw new stroke group
-                room.userRedoStacks.delete(socket.id);
-
-                // Limit history size
-                if (room.drawingHistory.length > 1000) {
-                    room.drawingHistory.shift();
-                }
-            }
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'update-layer', 'You cannot change this board');
+            return;
         }
 
-        // Broadcast to others in room
-        socket.to(socket.roomId).emit('draw', {
-            userId: socket.id,
-            userName: socket.userName,
-            fromX,
-            fromY,
-            toX,
-            toY,
-            color,
-            width,
-            tool,
-            strokeId
-        });
+        const { layerId, ...changes } = data;
+        const layer = findLayer(room, layerId);
+        if (!layer || Object.keys(changes).length === 0) return;
+
+        // Locking keeps a layer safe from editors, so only hosts may toggle it
+        if (changes.locked !== undefined && changes.locked !== layer.locked && !isRoomHost(room, socket.userId)) {
+            permissionDenied(socket, 'update-layer', 'Only the host can lock or unlock layers');
+            return;
+        }
+
+        commitOp(room, { type: 'update-layer', userId: socket.userId, layerId, changes });
     });
 
-    // Draw line event (shapes: line, rectangle, circle)
-    socket.on('draw-line', (data) => {
+    // Reorder layers event - the full new order, bottom to top
+    socket.on('reorder-layers', (data) => {
         if (!socket.roomId) return;
 
         const room = rooms.get(socket.roomId);
-        if (room) {
-            room.drawingHistory.push({
-                ...data,
-                userId: socket.id,
-                strokeId: data.strokeId || null,
-                timestamp: Date.now()
-            });
+        if (!room) return;
 
-            // Clear this user's redo stack when they draw new stroke
-            room.userRedoStacks.delete(socket.id);
+        if (!canDraw(room, socket.userId)) {
+            permissionDenied(socket, 'reorder-layers', 'You cannot change this board');
+            return;
         }
 
-        socket.to(socket.roomId).emit('draw-line', {
-            userId: socket.id,
-            userName: socket.userName,
-            ...data
+        // Must name every current layer exactly once (stale orders are dropped)
+        const current = getLayers(room).map(layer => layer.layerId);
+        const { layerIds } = data;
+        if (layerIds.length !== current.length || new Set(layerIds).size !== layerIds.length ||
+            !layerIds.every(layerId => current.includes(layerId))) {
+            return;
+        }
+
+        commitOp(room, { type: 'reorder-layers', userId: socket.userId, layerIds });
+    });
+
+    // Import board event - replace the room's drawing with a board file
+    socket.on('import-board', async (data) => {
+        if (!socket.roomId) return;
+
+        const roomId = socket.roomId;
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        // Importing replaces everyone's work, so it is a host action like clear
+        if (!isRoomHost(room, socket.userId)) {
+            socket.emit('board-import-error', { message: 'Only the host can open a board file' });
+            return;
+        }
+
+        const board = data.board;
+        const result = validateBoard(board, Buffer.byteLength(JSON.stringify(board) || ''));
+        if (result.error) {
+            console.log(`Board import rejected in room ${room.roomId}: ${result.error}`);
+            socket.emit('board-import-error', { message: result.error });
+            return;
+        }
+
+        // Store the board's images under new ids, so they never replace ours.
+        // Named after what the bytes are, not the id the file claims.
+        const imageIds = new Map(Array.from(result.images, ([imageId, { type }]) => [imageId, createImageId(type)]));
+        const discardImported = () => imageIds.forEach(newId => discardImage(roomId, newId));
+        imageIds.forEach(newId => room.pendingImageIds.add(newId));
+        try {
+            let bytes = 0;
+            result.images.forEach(({ buffer }) => { bytes += buffer.length; });
+            if (!(await hasImageQuota(room, bytes))) {
+                socket.emit('board-import-error', { message: 'This board has no room for the images in this file' });
+                return;
+            }
+            for (const [imageId, { buffer }] of result.images) {
+                await store.saveImage(roomId, imageIds.get(imageId), buffer);
+            }
+        } catch (err) {
+            console.error(`Failed to store imported images in room ${roomId}:`, err);
+            socket.emit('board-import-error', { message: 'The board images could not be saved' });
+            discardImported();
+            return;
+        } finally {
+            imageIds.forEach(newId => room.pendingImageIds.delete(newId));
+        }
+        if (rooms.get(roomId) !== room) {
+            discardImported();
+            return;
+        }
+        result.strokes.forEach((stroke) => {
+            if (stroke.tool === 'image') stroke.imageId = imageIds.get(stroke.imageId);
         });
+
+        // Same as a clear: nobody can undo or redo strokes from the previous board
+        resetUndoStacks(room);
+        const op = commitOp(room, { type: 'replace-strokes', userId: socket.userId, strokes: result.strokes, layers: result.layers });
+        console.log(`Board imported into room ${room.roomId} by ${socket.userId}: ${result.strokes.length} strokes (op #${op.seq})`);
     });
 
-    // Clear canvas event - clear globally for all users in the room
-    socket.on('clear-canvas', () => {
+    // Sync request - a client missed operations and asks for them again
+    socket.on('sync-request', (data) => {
         if (!socket.roomId) return;
 
         const room = rooms.get(socket.roomId);
-        if (room) {
-            // Clear drawing history and per-user redo stacks
-            room.drawingHistory = [];
-            room.userRedoStacks = new Map();
-            console.log(`Room ${socket.roomId} canvas cleared by ${socket.id}`);
+        if (!room) return;
 
-            // Broadcast full-history-update (empty history) to ALL clients in the room
-            io.to(socket.roomId).emit('full-history-update', { history: room.drawingHistory });
+        const ops = getOpsSince(room, data.fromSeq);
+        if (ops) {
+            socket.emit('sync-ops', { ops });
+        } else {
+            // Gap is older than the retained log: resend the whole document
+            socket.emit('drawing-history', { history: room.drawingHistory, layers: getLayers(room), comments: getComments(room), seq: room.seq });
         }
     });
 
-    // Mouse move / Cursor tracking
-    socket.on('cursor-move', (data) => {
+    // Chat message event - everyone in the room may chat, viewers included
+    socket.on('chat-message', (data) => {
         if (!socket.roomId) return;
 
-        const { x, y } = data;
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        const text = data.text.trim();
+        if (!text) return;
+
+        const message = createChatMessage(socket, text.slice(0, MAX_CHAT_LENGTH));
+        addChatMessage(room, message);
+        persist({ type: 'chat', roomId: room.roomId, message });
+        io.to(room.roomId).emit('chat-message', message);
+    });
+
+    // Comment events - anyone in the room may comment, reply and resolve,
+    // viewers included, so reviewers do not need edit rights
+    socket.on('add-comment', (data) => {
+        if (!socket.roomId) return;
 
-        // Update user position
         const room = rooms.get(socket.roomId);
-        if (room) {
-            const user = room.users.get(socket.id);
-            if (user) {
-                user.x = x;
-                user.y = y;
-            }
+        if (!room) return;
+
+        const text = data.text.trim();
+        if (!text || findThread(room, data.threadId)) return;
+        if (getComments(room).length >= MAX_COMMENT_THREADS) {
+            permissionDenied(socket, 'comment', `A board can have at most ${MAX_COMMENT_THREADS} comment threads`);
+            return;
         }
 
-        // Broadcast cursor position to others
-        socket.to(socket.roomId).emit('cursor-move', {
-            userId: socket.id,
+        const thread = {
+            threadId: data.threadId,
+            x: data.x,
+            y: data.y,
+            userId: socket.userId,
             userName: socket.userName,
             userColor: socket.userColor,
-            x,
-            y
-        });
+            createdAt: Date.now(),
+            resolved: false,
+            replies: [createCommentReply(socket, text)]
+        };
+        // Pinned to a stroke only while it is on the board
+        if (data.strokeId && findStroke(room.drawingHistory, data.strokeId)) thread.strokeId = data.strokeId;
+
+        commitOp(room, { type: 'add-comment', userId: socket.userId, thread });
     });
 
-    // Undo event - Only undo THIS user's last stroke
-    socket.on('undo', () => {
-        console.log(`\n>>>>>>>>>>> UNDO RECEIVED FROM CLIENT <<<<<<<<<<<`);
-        console.log(`User ${socket.id} requested undo`);
+    socket.on('reply-comment', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
 
-        if (!socket.roomId) {
-            console.log('No room ID, returning');
+        const thread = findThread(room, data.threadId);
+        const text = data.text.trim();
+        if (!thread || !text) return;
+        if (thread.replies.length >= MAX_COMMENT_REPLIES) {
+            permissionDenied(socket, 'comment', `A thread can have at most ${MAX_COMMENT_REPLIES} replies`);
             return;
         }
 
+        commitOp(room, { type: 'reply-comment', userId: socket.userId, threadId: thread.threadId, reply: createCommentReply(socket, text) });
+    });
+
+    socket.on('resolve-comment', (data) => {
+        if (!socket.roomId) return;
+
         const room = rooms.get(socket.roomId);
-        console.log(`Room found:`, !!room);
         if (!room) return;
 
-        console.log(`Current history length: ${room.drawingHistory.length}`);
-        console.log(`Looking for last stroke group by userId: ${socket.id}`);
+        const thread = findThread(room, data.threadId);
+        if (!thread || thread.resolved === data.resolved) return;
 
-        // Find last stroke entry for this user (to get its strokeId)
-        let targetStrokeId = null;
-        for (let i = room.drawingHistory.length - 1; i >= 0; i--) {
-            const stroke = room.drawingHistory[i];
-            if (stroke.userId === socket.id) {
-                targetStrokeId = stroke.strokeId || null;
-                break;
-            }
-        }
+        commitOp(room, { type: 'resolve-comment', userId: socket.userId, threadId: thread.threadId, resolved: data.resolved });
+    });
 
-        if (targetStrokeId === null) {
-            // No strokeId available; fallback to removing the last single stroke by this user
-            for (let i = room.drawingHistory.length - 1; i >= 0; i--) {
-                const stroke = room.drawingHistory[i];
-                if (stroke.userId === socket.id) {
-                    const removed = room.drawingHistory.splice(i, 1)[0];
-                    if (!room.userRedoStacks.has(socket.id)) room.userRedoStacks.set(socket.id, []);
-                    room.userRedoStacks.get(socket.id).push({ strokes: [removed] });
-                    console.log(`Removed single stroke (no strokeId) at index ${i}`);
-                    io.to(socket.roomId).emit('full-history-update', { history: room.drawingHistory });
-                    return;
-                }
-            }
+    // Lock board event - host stops editors from drawing (or allows it again)
+    socket.on('lock-board', (data) => {
+        if (!socket.roomId) return;
+
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
 
-            console.log('No strokes found for user to undo');
+        if (!isRoomHost(room, socket.userId)) {
+            permissionDenied(socket, 'lock-board', 'Only the host can lock the board');
             return;
         }
 
-        // Remove all drawingHistory entries that match this strokeId for this user
-        const removedGroup = [];
-        for (let i = room.drawingHistory.length - 1; i >= 0; i--) {
-            const stroke = room.drawingHistory[i];
-            if (stroke.userId === socket.id && stroke.strokeId === targetStrokeId) {
-                // remove and unshift to keep original order
-                removedGroup.unshift(room.drawingHistory.splice(i, 1)[0]);
-            }
-        }
+        room.locked = data.locked;
+        persist({ type: 'lock', roomId: room.roomId, locked: room.locked });
+        io.to(room.roomId).emit('board-locked', { locked: room.locked, userId: socket.userId });
+        console.log(`Room ${room.roomId} ${room.locked ? 'locked' : 'unlocked'} by ${socket.userId}`);
+    });
 
-        if (removedGroup.length > 0) {
-            if (!room.userRedoStacks.has(socket.id)) room.userRedoStacks.set(socket.id, []);
-            // Store the group as a single redo unit
-            room.userRedoStacks.get(socket.id).push({ strokes: removedGroup });
-            console.log(`SUCCESS: Removed stroke group with id ${targetStrokeId}, items: ${removedGroup.length}`);
+    // Change role event - host promotes or demotes another participant
+    socket.on('change-role', (data) => {
+        if (!socket.roomId) return;
 
-            // Broadcast updated history to all clients
-            io.to(socket.roomId).emit('full-history-update', { history: room.drawingHistory });
-            console.log('Broadcasted full-history-update after undo');
-        } else {
-            console.log('No stroke group removed (maybe already undone)');
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!isRoomHost(room, socket.userId)) {
+            permissionDenied(socket, 'change-role', 'Only the host can change roles');
+            return;
         }
+
+        const { userId, role } = data;
+        const user = room.users.get(userId);
+        // Hosts cannot demote themselves, so a room never loses its last host by accident
+        if (!user || userId === socket.userId || !ROLES.includes(role)) return;
+
+        user.role = role;
+        io.to(room.roomId).emit('role-changed', {
+            userId,
+            role,
+            changedBy: socket.userId,
+            users: getRoomUsers(room.roomId)
+        });
+        console.log(`${user.name} is now ${role} in room ${room.roomId}`);
     });
 
-    // Redo event - Only redo THIS user's last undone stroke
-    socket.on('redo', () => {
-        console.log(`\n>>>>>>>>>>> REDO RECEIVED FROM CLIENT <<<<<<<<<<<`);
-        console.log(`User ${socket.id} requested redo`);
+    // Kick user event - host removes a participant from the room
+    socket.on('kick-user', (data) => {
+        if (!socket.roomId) return;
 
-        if (!socket.roomId) {
-            console.log('No room ID, returning');
+        const room = rooms.get(socket.roomId);
+        if (!room) return;
+
+        if (!isRoomHost(room, socket.userId)) {
+            permissionDenied(socket, 'kick-user', 'Only the host can remove participants');
             return;
         }
 
+        const userId = data.userId;
+        const user = room.users.get(userId);
+        if (!user || userId === socket.userId) return;
+
+        // Offline participants lose their held seat too
+        const session = room.sessions.get(userId);
+        const target = session && session.socketId ? findSocket(session.socketId) : null;
+        if (target) {
+            leaveRoomChannels(target);
+            roomError(target, 'KICKED', 'You were removed from the room by the host');
+        }
+
+        endSession(room, userId);
+        console.log(`${user.name} was removed from room ${room.roomId} by ${socket.userId}`);
+    });
+
+    // Delete room event - host removes the room and its history for good
+    socket.on('delete-room', () => {
+        if (!socket.roomId) return;
+
         const room = rooms.get(socket.roomId);
-        if (!room) return;
+        if (!room || !isRoomHost(room, socket.userId)) return;
 
-        const userRedoStack = room.userRedoStacks.get(socket.id);
-        console.log(`User's redo stack has ${userRedoStack?.length || 0} items`);
+        closeRoom(socket.roomId);
+    });
 
-        if (userRedoStack && userRedoStack.length > 0) {
-            // Pop the last group and restore all strokes
-            const group = userRedoStack.pop();
-            if (group && Array.isArray(group.strokes) && group.strokes.length > 0) {
-                // Append strokes back to history (preserving their internal order)
-                group.strokes.forEach(st => room.drawingHistory.push(st));
-                console.log(`Restored group with ${group.strokes.length} strokes`);
+    // Leave room event - the participant is done, so their seat is not held
+    socket.on('leave-room', () => {
+        if (!socket.roomId) return;
 
-                // Broadcast updated history to ALL users in the room
-                io.to(socket.roomId).emit('full-history-update', { history: room.drawingHistory });
-                console.log('Broadcasted full-history-update after redo');
-            }
-        } else {
-            console.log('No items in redo stack');
-        }
+        const room = rooms.get(socket.roomId);
+        leaveRoomChannels(socket);
+        if (room) endSession(room, socket.userId);
     });
 
-    // User disconnects
+    // User disconnects - their seat is held in case they reconnect
     socket.on('disconnect', () => {
         if (socket.roomId) {
-            removeUserFromRoom(socket.roomId, socket.id);
-
-            // Notify others
-            const users = getRoomUsers(socket.roomId);
-            io.to(socket.roomId).emit('user-left', {
-                userId: socket.id,
-                users: users
-            });
+            const room = rooms.get(socket.roomId);
+            if (room) suspendSession(room, socket);
         }
 
         console.log(`User disconnected: ${socket.id}`);
@@ -361,7 +1857,7 @@ io.on('connection', (socket) => {
     socket.on('ping', () => {
         socket.emit('pong');
     });
-});
+}
 
 // ============ Routes ============
 app.get('/', (req, res) => {
@@ -377,10 +1873,77 @@ app.get('/health', (req, res) => {
     res.json({ status: 'Server is running' });
 });
 
+// Vector export of a room's drawing
+app.get('/rooms/:roomId/export.svg', async (req, res) => {
+    const room = await authorizeRoomRequest(req, res);
+    if (!room) return;
+
+    // ?user=<userId> (repeatable) keeps only those users' strokes;
+    // ?animated renders a timelapse, ?speed=<n> plays it n times faster
+    const userIds = [].concat(req.query.user || []);
+    const history = userIds.length > 0
+        ? room.drawingHistory.filter(stroke => userIds.includes(stroke.userId))
+        : room.drawingHistory;
+    const animated = req.query.animated !== undefined;
+    const speed = Math.min(64, Math.max(0.25, parseFloat(req.query.speed) || 1));
+
+    res.type('image/svg+xml');
+    if (req.query.download !== undefined) {
+        res.attachment(`canvas-${room.roomId}${animated ? '-timelapse' : ''}.svg`);
+    }
+    const images = await loadStrokeImages(room.roomId, history);
+    res.send(renderSvg(history, {
+        title: room.roomName,
+        animate: animated ? { speed } : null,
+        images,
+        layers: getLayers(room)
+    }));
+});
+
+// Portable board file (JSON) for a room
+app.get('/rooms/:roomId/export.json', async (req, res) => {
+    const room = await authorizeRoomRequest(req, res);
+    if (!room) return;
+
+    const images = await loadStrokeImages(room.roomId, room.drawingHistory);
+    res.attachment(`board-${room.roomId}.json`);
+    res.json(exportBoard(room, images));
+});
+
+// Image placed on a room's board
+app.get('/rooms/:roomId/images/:imageId', async (req, res) => {
+    const room = await authorizeRoomRequest(req, res);
+    if (!room) return;
+
+    const { imageId } = req.params;
+    const buffer = isImageId(imageId) ? await store.loadImage(room.roomId, imageId) : null;
+    if (!buffer) {
+        res.status(404).json({ error: 'Image not found', code: 'IMAGE_NOT_FOUND' });
+        return;
+    }
+
+    // Images never change once stored. SVGs are sandboxed so their scripts
+    // cannot run if the URL is opened directly.
+    res.set({
+        'Content-Type': imageContentType(imageId),
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+    });
+    res.send(buffer);
+});
+
 // Get server stats
-app.get('/stats', (req, res) => {
+app.get('/stats', async (req, res) => {
     const stats = {
+        // This node, and how many the cluster has (see cluster.js); rooms and
+        // users are the ones hosted here
+        node: cluster.nodeId,
+        nodes: await io.of('/').adapter.serverCount(),
         totalRooms: rooms.size,
+        // Stroke streaming bytes, and what they saved over per-point draw
+        // events, for the whole cluster (`nodes` says how many nodes answered)
+        wire: await clusterWireStats(),
         totalUsers: Array.from(rooms.values()).reduce((sum, room) => sum + room.users.size, 0),
         rooms: Array.from(rooms.values()).map(room => ({
             roomId: room.roomId,
@@ -392,22 +1955,329 @@ app.get('/stats', (req, res) => {
     res.json(stats);
 });
 
+// ============ REST API ============
+// Routes under /api/v1 (see api.js). Anything about one room runs on its
+// home node: here, or passed on to it as an api-call and answered with an
+// api-result (see Cluster). Operations get the room, the call's params and
+// the API key entry it was made with, and return { status, body }.
+const API_CALL_TIMEOUT = 10 * 1000;
+// Server-wide key that may list every room (unset: nobody can)
+const API_ADMIN_KEY_HASH = process.env.API_ADMIN_KEY ? hashToken(process.env.API_ADMIN_KEY) : null;
+const apiCalls = new Map();    // callId → { resolve, timer }
+let nextApiCallId = 1;
+
+// Who strokes and clears made with an API key are attributed to
+function apiActor(key) {
+    return { userId: `api-${key.keyId}`, userName: key.name };
+}
+
+// Strokes are checked against the room's layers before any is drawn, so a
+// request is drawn whole or not at all. Strokes this key already drew (by
+// strokeId) are skipped, so a request can be retried.
+function addApiStrokes(room, { strokes }, key) {
+    const actor = apiActor(key);
+    const layers = [];
+    for (const [index, incoming] of strokes.entries()) {
+        const existing = incoming.strokeId ? findStroke(room.drawingHistory, incoming.strokeId) : null;
+        if (existing && existing.userId !== actor.userId) {
+            return apiError(409, 'STROKE_ID_TAKEN', `stroke ${index + 1}: strokeId "${incoming.strokeId}" is already in use`);
+        }
+        const layer = incoming.layerId === undefined ? getLayers(room)[0] : findLayer(room, incoming.layerId);
+        if (!layer) return apiError(400, 'LAYER_NOT_FOUND', `stroke ${index + 1}: the room has no layer "${incoming.layerId}"`);
+        if (layer.locked) return apiError(409, 'LAYER_LOCKED', `stroke ${index + 1}: layer "${layer.name}" is locked`);
+        layers.push(layer);
+    }
+
+    const strokeIds = strokes.map((incoming, index) => {
+        if (incoming.strokeId && findStroke(room.drawingHistory, incoming.strokeId, actor.userId)) return incoming.strokeId;
+
+        const { tool, style } = incoming;
+        const stroke = createStroke(actor, {
+            strokeId: incoming.strokeId, tool,
+            color: style.color,
+            width: style.width,
+            points: incoming.points.map(point => point.slice()),
+            layerId: layers[index].layerId
+        });
+        if (tool === 'text') {
+            stroke.style = { color: style.color };
+            stroke.text = incoming.text;
+            stroke.font = { size: incoming.font.size, bold: incoming.font.bold, italic: incoming.font.italic };
+        } else if (style.fill !== undefined) {
+            stroke.style.fill = style.fill;
+        }
+
+        commitOp(room, { type: 'add-stroke', userId: actor.userId, stroke });
+        return stroke.strokeId;
+    });
+    return { status: 201, body: { seq: room.seq, strokeIds } };
+}
+
+// `auth`: null (anyone), 'key' (an API key of the room) or 'host' (host token)
+const API_OPERATIONS = {
+    'get-room': {
+        auth: null,
+        run: room => ({
+            status: 200,
+            body: { ...roomSummary(room), users: room.users.size, full: room.users.size >= room.capacity }
+        })
+    },
+    'delete-room': {
+        auth: 'key',
+        run: (room) => {
+            closeRoom(room.roomId);
+            return { status: 204 };
+        }
+    },
+    history: {
+        auth: 'key',
+        run: (room, { since }) => ({
+            status: 200,
+            body: {
+                roomId: room.roomId,
+                seq: room.seq,
+                layers: getLayers(room),
+                strokes: since === null ? room.drawingHistory : room.drawingHistory.filter(stroke => stroke.timestamp > since)
+            }
+        })
+    },
+    'add-strokes': {
+        auth: 'key',
+        run: addApiStrokes
+    },
+    // May this call open the room's event stream
+    watch: {
+        auth: 'key',
+        run: room => ({ status: 200, body: roomSummary(room) })
+    },
+    clear: {
+        auth: 'key',
+        run: (room, params, key) => {
+            resetUndoStacks(room);
+            commitOp(room, { type: 'clear', userId: apiActor(key).userId });
+            console.log(`Room ${room.roomId} canvas cleared with API key ${key.keyId}`);
+            return { status: 200, body: { seq: room.seq } };
+        }
+    },
+    'list-keys': {
+        auth: 'host',
+        run: room => ({ status: 200, body: { keys: room.apiKeys.map(keySummary) } })
+    },
+    'create-key': {
+        auth: 'host',
+        run: (room, { name }) => {
+            const { apiKey, entry } = createApiKey(name || 'API');
+            room.apiKeys.push(entry);
+            persist({ type: 'api-key', roomId: room.roomId, key: entry });
+            return { status: 201, body: { ...keySummary(entry), apiKey } };
+        }
+    },
+    'revoke-key': {
+        auth: 'host',
+        run: (room, { keyId }) => {
+            if (!room.apiKeys.some(key => key.keyId === keyId)) {
+                return apiError(404, 'KEY_NOT_FOUND', 'The room has no such API key');
+            }
+            room.apiKeys = room.apiKeys.filter(key => key.keyId !== keyId);
+            persist({ type: 'revoke-api-key', roomId: room.roomId, keyId });
+            return { status: 204 };
+        }
+    }
+};
+
+// Run an operation on a room hosted here
+function runApiOperation(roomId, name, params) {
+    const room = rooms.get(roomId);
+    if (!room) return apiError(404, 'ROOM_NOT_FOUND', 'Room not found');
+
+    const operation = API_OPERATIONS[name];
+    const key = operation.auth === 'key' ? findApiKey(room.apiKeys, params.apiKey) : null;
+    if (operation.auth === 'key' && !key) {
+        return apiError(401, 'INVALID_API_KEY', 'This needs an API key of the room (Authorization: Bearer <key>)');
+    }
+    if (operation.auth === 'host' && !verifyToken(params.hostToken, room.hostTokenHash)) {
+        return apiError(403, 'NOT_HOST', 'Only the host can manage API keys (X-Host-Token)');
+    }
+
+    try {
+        return operation.run(room, params, key);
+    } catch (err) {
+        console.error(`API ${name} failed in room ${roomId}:`, err);
+        return apiError(500, 'INTERNAL_ERROR', 'Internal server error');
+    }
+}
+
+// Run an operation on the room of `req`, wherever it is hosted
+async function callApiOperation(req, name, params = {}) {
+    const { roomId } = req.params;
+    const call = { apiKey: bearerToken(req), hostToken: req.get('X-Host-Token'), ...params };
+    const home = await findHomeNode(roomId, false);
+    if (!home) return apiError(404, 'ROOM_NOT_FOUND', 'Room not found');
+    if (home === cluster.nodeId) return runApiOperation(roomId, name, call);
+
+    return new Promise((resolve) => {
+        const callId = `${cluster.nodeId}:${nextApiCallId++}`;
+        const timer = setTimeout(() => {
+            finishApiCall(callId, apiError(504, 'HOME_NODE_TIMEOUT', 'The server hosting this room did not answer'));
+        }, API_CALL_TIMEOUT);
+        apiCalls.set(callId, { resolve, timer });
+        cluster.sendToNode(home, { type: 'api-call', callId, nodeId: cluster.nodeId, roomId, operation: name, params: call });
+    });
+}
+
+function finishApiCall(callId, result) {
+    const call = apiCalls.get(callId);
+    if (!call) return;
+    apiCalls.delete(callId);
+    clearTimeout(call.timer);
+    call.resolve(result);
+}
+
+// Route handlers return { status, body } (no body: empty response)
+function apiRoute(handler) {
+    return (req, res) => {
+        Promise.resolve(handler(req)).then(({ status, body }) => {
+            if (body === undefined) res.status(status).end();
+            else res.status(status).json(body);
+        }).catch((err) => {
+            console.error(`API ${req.method} ${req.originalUrl} failed:`, err);
+            res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+        });
+    };
+}
+
+const api = express.Router();
+api.use(express.json({ limit: '1mb' }));
+
+// Every room, for the holder of the admin key. The ID of a room without a
+// password is all it takes to join it, so room keys cannot list rooms. Rooms
+// in a cluster come from the shared store, so any node can answer.
+api.get('/rooms', apiRoute(async (req) => {
+    if (!API_ADMIN_KEY_HASH) {
+        return apiError(403, 'LISTING_DISABLED', 'Listing rooms is off on this server (API_ADMIN_KEY is not set)');
+    }
+    if (!verifyToken(bearerToken(req), API_ADMIN_KEY_HASH)) {
+        return apiError(401, 'INVALID_ADMIN_KEY', 'Listing rooms needs the admin key (Authorization: Bearer <admin key>)');
+    }
+
+    const docs = store.listRooms ? await store.listRooms() : Array.from(rooms.values());
+    return { status: 200, body: { rooms: docs.map(roomSummary) } };
+}));
+
+// A new room hosted here, with its host token and a first API key
+api.post('/rooms', apiRoute(async (req) => {
+    const problem = validateBody('createRoom', req.body);
+    if (problem) return apiError(400, 'INVALID_PAYLOAD', `Invalid room: ${problem}`);
+
+    const { roomName, capacity, password, keyName } = req.body;
+    const passwordHash = password ? await hashPassword(password) : null;
+    const roomId = generateRoomId();
+    if (await findHomeNode(roomId, true) !== cluster.nodeId || rooms.has(roomId)) {
+        return apiError(409, 'ROOM_EXISTS', 'Picked a room ID that is taken, try again');
+    }
+
+    const hostToken = createToken();
+    const { apiKey, entry } = createApiKey(keyName || 'API');
+    createRoom(roomId, roomName, capacity || DEFAULT_CAPACITY, { passwordHash, hostTokenHash: hashToken(hostToken), apiKeys: [entry] });
+    return {
+        status: 201,
+        body: { room: roomSummary(rooms.get(roomId)), hostToken, apiKey: { ...keySummary(entry), apiKey } }
+    };
+}));
+
+api.get('/rooms/:roomId', apiRoute(req => callApiOperation(req, 'get-room')));
+
+api.delete('/rooms/:roomId', apiRoute(req => callApiOperation(req, 'delete-room')));
+
+api.get('/rooms/:roomId/history', apiRoute((req) => {
+    const since = parseSince(req.query.since);
+    if (Number.isNaN(since)) {
+        return apiError(400, 'INVALID_SINCE', 'since must be a time in milliseconds since the epoch or an ISO date');
+    }
+    return callApiOperation(req, 'history', { since });
+}));
+
+api.post('/rooms/:roomId/strokes', apiRoute((req) => {
+    const problem = validateBody('addStrokes', req.body);
+    if (problem) return apiError(400, 'INVALID_PAYLOAD', `Invalid strokes: ${problem}`);
+    return callApiOperation(req, 'add-strokes', { strokes: req.body.strokes });
+}));
+
+api.post('/rooms/:roomId/clear', apiRoute(req => callApiOperation(req, 'clear')));
+
+// Server-Sent Events (see event-stream.js). EventSource cannot send headers,
+// so the key may come as ?key= instead.
+api.get('/rooms/:roomId/events', (req, res) => {
+    callApiOperation(req, 'watch', { apiKey: bearerToken(req) || req.query.key }).then(({ status, body }) => {
+        if (status === 200) openStream(req.params.roomId, req, res);
+        else res.status(status).json(body);
+    }).catch((err) => {
+        console.error(`API event stream for room ${req.params.roomId} failed:`, err);
+        res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+    });
+});
+
+api.get('/rooms/:roomId/keys', apiRoute(req => callApiOperation(req, 'list-keys')));
+
+api.post('/rooms/:roomId/keys', apiRoute((req) => {
+    const problem = validateBody('createKey', req.body);
+    if (problem) return apiError(400, 'INVALID_PAYLOAD', `Invalid key: ${problem}`);
+    return callApiOperation(req, 'create-key', { name: req.body.name });
+}));
+
+api.delete('/rooms/:roomId/keys/:keyId', apiRoute(req => callApiOperation(req, 'revoke-key', { keyId: req.params.keyId })));
+
+// Bodies that are not JSON, or too large (an error handler needs all four
+// arguments)
+api.use((err, req, res, next) => {
+    res.status(err.status || 400).json({ error: `Invalid request body: ${err.message}`, code: 'INVALID_BODY' });
+});
+
+app.use('/api/v1', api);
+
 // ============ Server Start ============
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`
+cluster.start().then(() => store.load()).then((docs) => {
+    docs.forEach(restoreRoom);
+    sweepExpiredRooms();
+
+    setInterval(() => {
+        sweepExpiredRooms();
+        snapshotRooms().catch(err => console.error('Snapshot failed:', err));
+    }, SNAPSHOT_INTERVAL).unref();
+
+    server.listen(PORT, () => {
+        console.log(`
    Collaborative Canvas Server
 Server running on port ${PORT}
 URL: http://localhost:${PORT}
 Stats: http://localhost:${PORT}/stats
-    `);
+Node: ${cluster.nodeId}${cluster.broker ? ` (broker ${process.env.BROKER_ADDRESS})` : ''}
+Rooms restored: ${rooms.size}
+        `);
+    });
+}).catch((err) => {
+    console.error('Failed to start (broker or room storage):', err);
+    process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('Shutting down...');
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-    });
+    snapshotRooms()
+        .then(() => store.close())
+        .then(() => {
+            // Tell the other nodes' adapters we are gone
+            io.of('/').adapter.close();
+            return cluster.close();
+        })
+        .catch(err => console.error('Final snapshot failed:', err))
+        .then(() => {
+            // Open event streams would keep the server from closing
+            closeAllStreams();
+            server.close(() => {
+                console.log('Server closed');
+                process.exit(0);
+            });
+        });
 });
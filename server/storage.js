@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const { applyOp } = require('./document');
+const { addChatMessage } = require('./chat');
+
+// Room storage
+//
+// The live `rooms` Map in server.js stays the source of truth while the
+// process runs. A store only has to persist what happens to it and hand the
+// rooms back on startup. Every store implements the same interface:
+//
+//   load()           -> Promise<Array<roomDoc>>  rooms to restore on startup
+//   write(record)    -> append one mutation record (see applyRecord)
+//   snapshot(docs)   -> persist the full room list and drop older records
+//   close()          -> flush and release resources
+//
+// A store shared by several servers (see cluster.js) hands rooms out one at
+// a time instead, to the server that starts hosting them:
+//
+//   loadRoom(roomId) -> Promise<roomDoc|null>
+//   listRooms()      -> Promise<Array<roomDoc>>  every room, without its
+//                       drawing, layers, chat and comments
+//
+// Board images (see images.js) are kept beside the rooms:
+//
+//   saveImage(roomId, imageId, buffer) -> Promise
+//   loadImage(roomId, imageId)         -> Promise<Buffer|null>
+//   listImages(roomId)                 -> Promise<Array<imageId>>
+//   imageUsage(roomId)                 -> Promise<number>  bytes stored for the room
+//   deleteImage(roomId, imageId)       -> Promise          one the room no longer uses
+//   deleteImages(roomId)               -> Promise          when the room is deleted
+//
+// A room doc is the persistent part of a room:
+//   { roomId, roomName, capacity, locked, createdAt, lastActiveAt, seq, drawingHistory, layers, comments, chatHistory, apiKeys }
+//
+// Records are room lifecycle events (create-room, delete-room, touch, lock),
+// API key changes (api-key holding a new key entry, revoke-api-key; see
+// auth.js), `chat` records holding one chat message (see chat.js) or `op`
+// records wrapping a document operation from document.js.
+
+const SNAPSHOT_VERSION = 1;
+
+// ============ Record Replay ============
+function applyRecord(docs, record) {
+    if (record.type === 'create-room') {
+        docs.set(record.room.roomId, {
+            ...record.room,
+            drawingHistory: record.room.drawingHistory || []
+        });
+        return;
+    }
+
+    if (record.type === 'delete-room') {
+        docs.delete(record.roomId);
+        return;
+    }
+
+    const doc = docs.get(record.roomId);
+    if (!doc) return;
+
+    switch (record.type) {
+        case 'op':
+            applyOp(doc, record.op);
+            break;
+        case 'touch':
+            break;
+        case 'lock':
+            doc.locked = record.locked;
+            break;
+        case 'api-key':
+            doc.apiKeys = [...(doc.apiKeys || []), record.key];
+            break;
+        case 'revoke-api-key':
+            doc.apiKeys = (doc.apiKeys || []).filter(key => key.keyId !== record.keyId);
+            break;
+        case 'chat':
+            addChatMessage(doc, record.message);
+            break;
+        default:
+            console.warn(`Storage: unknown record type "${record.type}" ignored`);
+            return;
+    }
+
+    if (record.at) {
+        doc.lastActiveAt = record.at;
+    }
+}
+
+// ============ Memory Store ============
+// Keeps rooms for the lifetime of the process only. The rooms Map already
+// holds everything in memory, so there is nothing to write; images are kept
+// here since rooms only refer to them.
+class MemoryStore {
+    constructor() {
+        this.images = new Map();   // roomId → Map<imageId, Buffer>
+    }
+
+    async load() {
+        return [];
+    }
+
+    write() {}
+
+    async snapshot() {}
+
+    async close() {}
+
+    async saveImage(roomId, imageId, buffer) {
+        if (!this.images.has(roomId)) this.images.set(roomId, new Map());
+        this.images.get(roomId).set(imageId, buffer);
+    }
+
+    async loadImage(roomId, imageId) {
+        const roomImages = this.images.get(roomId);
+        return (roomImages && roomImages.get(imageId)) || null;
+    }
+
+    async listImages(roomId) {
+        const roomImages = this.images.get(roomId);
+        return roomImages ? Array.from(roomImages.keys()) : [];
+    }
+
+    async imageUsage(roomId) {
+        const roomImages = this.images.get(roomId);
+        if (!roomImages) return 0;
+        let total = 0;
+        roomImages.forEach((buffer) => { total += buffer.length; });
+        return total;
+    }
+
+    async deleteImage(roomId, imageId) {
+        const roomImages = this.images.get(roomId);
+        if (roomImages) roomImages.delete(imageId);
+    }
+
+    async deleteImages(roomId) {
+        this.images.delete(roomId);
+    }
+}
+
+// ============ File Store ============
+// Append-only log of mutation records plus a periodic snapshot. On startup
+// the snapshot is read and the log written since then is replayed on top.
+class FileStore {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(__dirname, 'data');
+        this.snapshotPath = path.join(this.dataDir, 'rooms.snapshot.json');
+        this.logPath = path.join(this.dataDir, 'rooms.log');
+        this.imagesDir = path.join(this.dataDir, 'images');
+        this.logFd = null;
+    }
+
+    async load() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+
+        const docs = new Map();
+
+        if (fs.existsSync(this.snapshotPath)) {
+            const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+            (snapshot.rooms || []).forEach(room => docs.set(room.roomId, room));
+        }
+
+        let replayed = 0;
+        if (fs.existsSync(this.logPath)) {
+            const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+            lines.forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    applyRecord(docs, JSON.parse(line));
+                    replayed++;
+                } catch (err) {
+                    // A crash mid-write can leave a truncated last line
+                    console.warn(`Storage: skipping unreadable log line ${index + 1}: ${err.message}`);
+                }
+            });
+        }
+
+        this.logFd = fs.openSync(this.logPath, 'a');
+        console.log(`Storage: loaded ${docs.size} room(s) from ${this.dataDir} (${replayed} log records replayed)`);
+
+        return Array.from(docs.values());
+    }
+
+    write(record) {
+        if (this.logFd === null) return;
+        // Synchronous so a snapshot can never truncate records still in flight
+        fs.writeSync(this.logFd, JSON.stringify(record) + '\n');
+    }
+
+    async snapshot(docs) {
+        if (this.logFd === null) return;
+
+        const tmpPath = `${this.snapshotPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            rooms: docs
+        }));
+        fs.renameSync(tmpPath, this.snapshotPath);
+
+        // Everything in the log is now part of the snapshot
+        fs.ftruncateSync(this.logFd, 0);
+    }
+
+    async close() {
+        if (this.logFd !== null) {
+            fs.closeSync(this.logFd);
+            this.logFd = null;
+        }
+    }
+
+    // One directory per room: images/<roomId>/<imageId>. Both ids are
+    // checked by the caller, so they are safe as path segments.
+    async saveImage(roomId, imageId, buffer) {
+        const roomDir = path.join(this.imagesDir, roomId);
+        await fs.promises.mkdir(roomDir, { recursive: true });
+        await fs.promises.writeFile(path.join(roomDir, imageId), buffer);
+    }
+
+    async loadImage(roomId, imageId) {
+        try {
+            return await fs.promises.readFile(path.join(this.imagesDir, roomId, imageId));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async listImages(roomId) {
+        try {
+            return await fs.promises.readdir(path.join(this.imagesDir, roomId));
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    async imageUsage(roomId) {
+        const roomDir = path.join(this.imagesDir, roomId);
+        const names = await this.listImages(roomId);
+        const sizes = await Promise.all(names.map(name => fs.promises.stat(path.join(roomDir, name)).then(stat => stat.size)));
+        return sizes.reduce((sum, size) => sum + size, 0);
+    }
+
+    async deleteImage(roomId, imageId) {
+        await fs.promises.rm(path.join(this.imagesDir, roomId, imageId), { force: true });
+    }
+
+    async deleteImages(roomId) {
+        await fs.promises.rm(path.join(this.imagesDir, roomId), { recursive: true, force: true });
+    }
+}
+
+// ============ Broker Store ============
+// Rooms kept by the broker (broker.js) for every server in a cluster. Records
+// go to the broker, which applies them to its copy of the room and persists
+// them; a server loads a room when it becomes the room's home. Snapshots are
+// the broker's business.
+class BrokerStore {
+    constructor(options = {}) {
+        this.broker = options.broker;      // BrokerClient (see cluster.js)
+    }
+
+    async load() {
+        return [];
+    }
+
+    loadRoom(roomId) {
+        return this.broker.request({ type: 'load-room', roomId });
+    }
+
+    listRooms() {
+        return this.broker.request({ type: 'list-rooms' });
+    }
+
+    write(record) {
+        this.broker.send({ type: 'record', record });
+    }
+
+    async snapshot() {}
+
+    async close() {}
+
+    saveImage(roomId, imageId, buffer) {
+        return this.broker.request({ type: 'save-image', roomId, imageId, buffer });
+    }
+
+    loadImage(roomId, imageId) {
+        return this.broker.request({ type: 'load-image', roomId, imageId });
+    }
+
+    listImages(roomId) {
+        return this.broker.request({ type: 'list-images', roomId });
+    }
+
+    imageUsage(roomId) {
+        return this.broker.request({ type: 'image-usage', roomId });
+    }
+
+    deleteImage(roomId, imageId) {
+        return this.broker.request({ type: 'delete-image', roomId, imageId });
+    }
+
+    deleteImages(roomId) {
+        return this.broker.request({ type: 'delete-images', roomId });
+    }
+}
+
+// ============ Factory ============
+function createStore(options = {}) {
+    const driver = options.driver || 'file';
+
+    if (driver === 'memory') {
+        return new MemoryStore();
+    }
+
+    if (driver === 'file') {
+        return new FileStore(options);
+    }
+
+    if (driver === 'broker') {
+        return new BrokerStore(options);
+    }
+
+    throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = {
+    MemoryStore,
+    FileStore,
+    BrokerStore,
+    createStore,
+    applyRecord
+};
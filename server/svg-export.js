@@ -0,0 +1,387 @@
+// SVG export
+//
+// Turns a room's drawingHistory into a standalone SVG document. Strokes are
+// emitted in history order so later strokes paint over earlier ones, the same
+// as on the canvas. The eraser clears square patches around each point, so a
+// run of eraser strokes becomes a mask over everything drawn before it on the
+// same layer.
+// Paint bucket fills are a rectangle of their color masked by their image.
+// Board images are embedded as data URLs passed in by the caller.
+// Connectors are routed to the shapes they are attached to (connectors.js).
+// Brush strokes are smoothed and follow pen pressure like on the canvas
+// (brush.js).
+//
+// An animated export hides every element until its time in the replay
+// timeline (see replayTimeline) and reveals it with a SMIL <set>, so the file
+// plays back as a timelapse in any browser.
+
+const { strokeLayer } = require('./document');
+const { routeConnector, connectorHead, headSize } = require('./connectors');
+const { brushPieces, pressureWidth, maxBrushWidth } = require('./brush');
+
+const PADDING = 10;
+const EMPTY_SIZE = { width: 800, height: 600 };
+
+// Idle gaps longer than this are shortened in replays (ms)
+const REPLAY_MAX_GAP = 2000;
+
+// Text layout shared with the client (canvas.js drawText): lines are
+// TEXT_LINE_HEIGHT font sizes apart and the first baseline sits half the
+// leading plus TEXT_ASCENT below the box top. Widths are only estimated here.
+const TEXT_FONT_FAMILY = 'Arial, sans-serif';
+const TEXT_LINE_HEIGHT = 1.25;
+const TEXT_ASCENT = 0.9;
+const TEXT_CHAR_WIDTH = 0.6;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function num(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function circleRadius(stroke) {
+    const [fromX, fromY] = stroke.points[0];
+    const [toX, toY] = stroke.points[stroke.points.length - 1];
+    return Math.sqrt(Math.pow(toX - fromX, 2) + Math.pow(toY - fromY, 2));
+}
+
+// Corners of a rectangle stroke, rotated about its center
+function rectangleCorners(stroke) {
+    const [fromX, fromY] = stroke.points[0];
+    const [toX, toY] = stroke.points[stroke.points.length - 1];
+    const corners = [[fromX, fromY], [toX, fromY], [toX, toY], [fromX, toY]];
+    if (!stroke.rotation) return corners;
+
+    const cx = (fromX + toX) / 2;
+    const cy = (fromY + toY) / 2;
+    const cos = Math.cos(stroke.rotation);
+    const sin = Math.sin(stroke.rotation);
+    return corners.map(([x, y]) => [
+        cx + (x - cx) * cos - (y - cy) * sin,
+        cy + (x - cx) * sin + (y - cy) * cos
+    ]);
+}
+
+function textLines(stroke) {
+    return stroke.text.split('\n');
+}
+
+function textBaseline(stroke, line) {
+    const { size } = stroke.font;
+    return stroke.points[0][1] + size * ((TEXT_LINE_HEIGHT - 1) / 2 + TEXT_ASCENT + line * TEXT_LINE_HEIGHT);
+}
+
+// strokeId → stroke lookup for routing connectors
+function shapeFinder(history) {
+    const byId = new Map(history.map(stroke => [stroke.strokeId, stroke]));
+    return strokeId => byId.get(strokeId);
+}
+
+// ============ Bounds ============
+// `findShape` defaults to looking connector shapes up in `history` itself
+function getBounds(history, findShape = shapeFinder(history)) {
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    const include = (x, y, reach) => {
+        minX = Math.min(minX, x - reach);
+        minY = Math.min(minY, y - reach);
+        maxX = Math.max(maxX, x + reach);
+        maxY = Math.max(maxY, y + reach);
+    };
+
+    history.forEach((stroke) => {
+        if (!stroke.points || stroke.points.length === 0) return;
+        const halfWidth = stroke.style.width / 2;
+
+        if (stroke.tool === 'fill' || stroke.tool === 'image') {
+            stroke.points.forEach(([x, y]) => include(x, y, 0));
+        } else if (stroke.tool === 'text') {
+            const [x, y] = stroke.points[0];
+            const lines = textLines(stroke);
+            const longest = Math.max(...lines.map(line => line.length));
+            include(x, y, 0);
+            include(x + longest * stroke.font.size * TEXT_CHAR_WIDTH, y + lines.length * stroke.font.size * TEXT_LINE_HEIGHT, 0);
+        } else if (stroke.tool === 'circle') {
+            const [cx, cy] = stroke.points[0];
+            include(cx, cy, circleRadius(stroke) + halfWidth);
+        } else if (stroke.tool === 'rectangle') {
+            rectangleCorners(stroke).forEach(([x, y]) => include(x, y, halfWidth));
+        } else if (stroke.tool === 'connector') {
+            const reach = Math.max(halfWidth, headSize(stroke.style.width) / 2);
+            routeConnector(stroke, findShape).forEach(([x, y]) => include(x, y, reach));
+        } else if (stroke.tool === 'brush') {
+            const reach = maxBrushWidth(stroke.points, stroke.style.width) / 2;
+            stroke.points.forEach(([x, y]) => include(x, y, reach));
+        } else {
+            stroke.points.forEach(([x, y]) => include(x, y, halfWidth));
+        }
+    });
+
+    if (minX === Infinity) {
+        return { x: 0, y: 0, ...EMPTY_SIZE };
+    }
+
+    return {
+        x: minX - PADDING,
+        y: minY - PADDING,
+        width: maxX - minX + PADDING * 2,
+        height: maxY - minY + PADDING * 2
+    };
+}
+
+// ============ Replay Timeline ============
+// Replay time (ms) at which each stroke appears, by history index. Strokes
+// appear in timestamp order and idle gaps are shortened to maxGap, so an
+// afternoon of occasional sketching plays back in seconds. The client's
+// replay mode uses the same rules.
+function replayTimeline(history, maxGap = REPLAY_MAX_GAP) {
+    const order = history.map((stroke, index) => index)
+        .sort((a, b) => (history[a].timestamp || 0) - (history[b].timestamp || 0));
+    const times = new Array(history.length);
+    let time = 0;
+    let previous = null;
+
+    order.forEach((index) => {
+        const timestamp = history[index].timestamp || 0;
+        if (previous !== null) {
+            time += Math.min(Math.max(timestamp - previous, 0), maxGap);
+        }
+        times[index] = time;
+        previous = timestamp;
+    });
+
+    return times;
+}
+
+// Hide an element until `begin` seconds into the animation
+function revealAt(element, begin) {
+    if (begin === undefined) return element;
+    const set = `<set attributeName="visibility" to="visible" begin="${num(begin)}s" fill="freeze"/>`;
+    const tag = element.match(/^<(\w+)/)[1];
+
+    // Elements with content (text) take the <set> as their first child
+    if (!element.endsWith('/>')) {
+        return element.replace(/^<(\w+)([^>]*)>/, `<$1$2 visibility="hidden">${set}`);
+    }
+    return element.replace(/\/>$/, ` visibility="hidden">${set}</${tag}>`);
+}
+
+// ============ Elements ============
+// Connector: its route plus heads, in one group
+function connectorToSvg(stroke, findShape) {
+    const color = escapeXml(stroke.style.color);
+    const width = stroke.style.width;
+    const points = routeConnector(stroke, findShape);
+    const pointList = points.map(([x, y]) => `${num(x)},${num(y)}`).join(' ');
+    const heads = [
+        connectorHead(points.slice().reverse(), stroke.connector.startHead, width),
+        connectorHead(points, stroke.connector.endHead, width)
+    ].filter(Boolean).map((head) => {
+        if (head.circle) {
+            const [cx, cy, r] = head.circle;
+            return `<circle cx="${num(cx)}" cy="${num(cy)}" r="${num(r)}" fill="${color}"/>`;
+        }
+        return `<polygon points="${head.polygon.map(([x, y]) => `${num(x)},${num(y)}`).join(' ')}" fill="${color}"/>`;
+    }).join('');
+    return `<g><polyline points="${pointList}" fill="none" stroke="${color}" stroke-width="${num(width)}" ` +
+        `stroke-linecap="round" stroke-linejoin="round"/>${heads}</g>`;
+}
+
+function strokeToSvg(stroke) {
+    const { points, tool } = stroke;
+    const color = escapeXml(stroke.style.color);
+
+    if (tool === 'text') {
+        const { size, bold, italic } = stroke.font;
+        const x = num(points[0][0]);
+        const lines = textLines(stroke).map((line, i) =>
+            `<tspan x="${x}" y="${num(textBaseline(stroke, i))}">${escapeXml(line)}</tspan>`
+        ).join('');
+        return `<text font-family="${TEXT_FONT_FAMILY}" font-size="${num(size)}"` +
+            (bold ? ' font-weight="bold"' : '') + (italic ? ' font-style="italic"' : '') +
+            ` fill="${color}" xml:space="preserve">${lines}</text>`;
+    }
+
+    const width = num(stroke.style.width);
+    const fill = stroke.style.fill ? escapeXml(stroke.style.fill) : 'none';
+    const paint = `fill="${fill}" stroke="${color}" stroke-width="${width}"`;
+    const [fromX, fromY] = points[0];
+    const [toX, toY] = points[points.length - 1];
+
+    if (tool === 'rectangle') {
+        const rotate = stroke.rotation
+            ? ` transform="rotate(${num(stroke.rotation * 180 / Math.PI)} ${num((fromX + toX) / 2)} ${num((fromY + toY) / 2)})"`
+            : '';
+        return `<rect x="${num(Math.min(fromX, toX))}" y="${num(Math.min(fromY, toY))}" ` +
+            `width="${num(Math.abs(toX - fromX))}" height="${num(Math.abs(toY - fromY))}" ${paint}${rotate}/>`;
+    }
+
+    if (tool === 'circle') {
+        return `<circle cx="${num(fromX)}" cy="${num(fromY)}" r="${num(circleRadius(stroke))}" ${paint}/>`;
+    }
+
+    if (tool === 'brush') return brushToSvg(stroke, color);
+
+    // Lines
+    const pointList = points.map(([x, y]) => `${num(x)},${num(y)}`).join(' ');
+    return `<polyline points="${pointList}" ${paint} stroke-linecap="round" stroke-linejoin="round"/>`;
+}
+
+// Smoothed brush stroke: one path, or one path per piece when pen pressure
+// changes the width along it
+function brushToSvg(stroke, color) {
+    const { width } = stroke.style;
+    const pieces = brushPieces(stroke.points);
+    const pathData = piece => `M${num(piece.from[0])},${num(piece.from[1])} ` + (piece.control
+        ? `Q${num(piece.control[0])},${num(piece.control[1])} ${num(piece.to[0])},${num(piece.to[1])}`
+        : `L${num(piece.to[0])},${num(piece.to[1])}`);
+    const paint = `fill="none" stroke="${color}" stroke-linecap="round" stroke-linejoin="round"`;
+
+    if (stroke.points.every(point => point[2] === undefined)) {
+        return `<path d="${pieces.map(pathData).join(' ')}" ${paint} stroke-width="${num(width)}"/>`;
+    }
+    const paths = pieces.map(piece =>
+        `<path d="${pathData(piece)}" stroke-width="${num(pressureWidth(width, piece.pressure))}"/>`
+    ).join('');
+    return `<g ${paint}>${paths}</g>`;
+}
+
+// Bucket fill: its color through a mask made from the fill image
+function fillToSvg(stroke, maskId) {
+    const [[fromX, fromY], [toX, toY]] = stroke.points;
+    const box = `x="${num(Math.min(fromX, toX))}" y="${num(Math.min(fromY, toY))}" ` +
+        `width="${num(Math.abs(toX - fromX))}" height="${num(Math.abs(toY - fromY))}"`;
+    return {
+        mask: `<mask id="${maskId}" maskUnits="userSpaceOnUse" ${box}>` +
+            `<image ${box} preserveAspectRatio="none" href="${escapeXml(stroke.image)}"/></mask>`,
+        element: `<rect ${box} fill="${escapeXml(stroke.style.color)}" mask="url(#${maskId})"/>`
+    };
+}
+
+// Board image stretched over its box; null if its bytes were not provided
+function imageToSvg(stroke, images) {
+    const href = images[stroke.imageId];
+    if (!href) return null;
+    const [[fromX, fromY], [toX, toY]] = stroke.points;
+    return `<image x="${num(Math.min(fromX, toX))}" y="${num(Math.min(fromY, toY))}" ` +
+        `width="${num(Math.abs(toX - fromX))}" height="${num(Math.abs(toY - fromY))}" ` +
+        `preserveAspectRatio="none" href="${escapeXml(href)}"/>`;
+}
+
+function eraserPatches(stroke, begin) {
+    const size = stroke.style.width;
+    return stroke.points.map(([x, y]) => revealAt(
+        `<rect x="${num(x - size / 2)}" y="${num(y - size / 2)}" width="${num(size)}" height="${num(size)}" fill="black"/>`,
+        begin
+    )).join('');
+}
+
+// ============ Document ============
+// options: { title, animate: { speed }, images: { imageId: data URL }, layers }
+// With `layers` (the room's, bottom to top) strokes are grouped by layer:
+// hidden layers are left out, each layer gets its opacity and erasers only
+// erase their own layer. Without it the history is one layer.
+function renderSvg(history, options = {}) {
+    const layers = options.layers || null;
+    const shown = layers
+        ? history.filter(stroke => strokeLayer({ layers }, stroke).visible)
+        : history;
+
+    // Connectors attach to shapes even on hidden layers
+    const findShape = shapeFinder(history);
+    const bounds = getBounds(shown, findShape);
+    const defs = [];
+
+    // Seconds into the animation at which each stroke appears
+    let begins = [];
+    if (options.animate) {
+        const speed = options.animate.speed || 1;
+        begins = replayTimeline(shown).map(time => time / 1000 / speed);
+    }
+
+    // Strokes of one layer (as indexes into `shown`) in history order
+    const renderStrokes = (indexes) => {
+        let body = '';
+        let patches = '';
+
+        // Wrap everything drawn so far in a mask made of the pending eraser patches
+        const flushEraser = () => {
+            if (!patches) return;
+            const id = `erase-${defs.length + 1}`;
+            defs.push(
+                `<mask id="${id}" maskUnits="userSpaceOnUse" x="${num(bounds.x)}" y="${num(bounds.y)}" ` +
+                `width="${num(bounds.width)}" height="${num(bounds.height)}">` +
+                `<rect x="${num(bounds.x)}" y="${num(bounds.y)}" width="${num(bounds.width)}" height="${num(bounds.height)}" fill="white"/>` +
+                `${patches}</mask>`
+            );
+            body = `<g mask="url(#${id})">${body}</g>`;
+            patches = '';
+        };
+
+        indexes.forEach((index) => {
+            const stroke = shown[index];
+            if (!stroke.points || stroke.points.length === 0) return;
+
+            if (stroke.tool === 'eraser') {
+                patches += eraserPatches(stroke, begins[index]);
+            } else if (stroke.tool === 'fill') {
+                flushEraser();
+                const { mask, element } = fillToSvg(stroke, `fill-${index + 1}`);
+                defs.push(mask);
+                body += revealAt(element, begins[index]);
+            } else if (stroke.tool === 'image') {
+                const element = imageToSvg(stroke, options.images || {});
+                if (!element) return;
+                flushEraser();
+                body += revealAt(element, begins[index]);
+            } else if (stroke.tool === 'connector') {
+                flushEraser();
+                body += revealAt(connectorToSvg(stroke, findShape), begins[index]);
+            } else {
+                flushEraser();
+                body += revealAt(strokeToSvg(stroke), begins[index]);
+            }
+        });
+        flushEraser();
+        return body;
+    };
+
+    const allIndexes = shown.map((stroke, index) => index);
+    let body;
+    if (layers) {
+        body = layers.filter(layer => layer.visible).map((layer) => {
+            const content = renderStrokes(allIndexes.filter(index => strokeLayer({ layers }, shown[index]) === layer));
+            if (!content || layer.opacity >= 1) return content;
+            return `<g opacity="${num(layer.opacity)}">${content}</g>`;
+        }).join('');
+    } else {
+        body = renderStrokes(allIndexes);
+    }
+
+    const title = options.title ? `<title>${escapeXml(options.title)}</title>` : '';
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${num(bounds.width)}" height="${num(bounds.height)}" ` +
+        `viewBox="${num(bounds.x)} ${num(bounds.y)} ${num(bounds.width)} ${num(bounds.height)}">` +
+        title +
+        (defs.length ? `<defs>${defs.join('')}</defs>` : '') +
+        body +
+        '</svg>\n';
+}
+
+module.exports = {
+    renderSvg,
+    getBounds,
+    replayTimeline
+};
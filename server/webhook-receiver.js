@@ -0,0 +1,41 @@
+const http = require('http');
+const { verifySignature } = require('./webhooks');
+
+// Local webhook receiver for trying webhooks (see webhooks.js)
+//
+//   WEBHOOK_SECRET=dev node webhook-receiver.js           (RECEIVER_PORT, default 4500)
+//   WEBHOOK_URLS=http://localhost:4500/hooks WEBHOOK_SECRET=dev node server.js
+//
+// Prints every delivery and whether its signature checks out. With
+// RECEIVER_FAIL_FIRST=n the first n requests get a 500, to watch the retries.
+
+const PORT = parseInt(process.env.RECEIVER_PORT, 10) || 4500;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+let failuresLeft = parseInt(process.env.RECEIVER_FAIL_FIRST, 10) || 0;
+
+const receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = req.headers['x-webhook-signature'];
+        const check = !SECRET
+            ? 'not checked (no WEBHOOK_SECRET)'
+            : verifySignature(SECRET, req.headers['x-webhook-timestamp'], body, signature) ? 'valid' : 'INVALID';
+        const status = failuresLeft > 0 ? 500 : 200;
+        if (failuresLeft > 0) failuresLeft -= 1;
+
+        console.log(`${req.method} ${req.url} ${req.headers['x-webhook-event']} ${req.headers['x-webhook-delivery']} → ${status}, signature ${check}`);
+        console.log(`  ${body}`);
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(status === 200 ? 'ok' : 'failing on purpose');
+    });
+});
+
+receiver.listen(PORT, () => {
+    console.log(`Webhook receiver listening on port ${PORT}`);
+});
+
+process.on('SIGTERM', () => {
+    receiver.close(() => process.exit(0));
+});
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Outgoing webhooks
+//
+// Every URL in WEBHOOK_URLS (comma separated) gets a POST for each of these
+// events (WEBHOOK_EVENTS narrows the list):
+//
+//   room-created    { room }                  a room was created
+//   room-emptied    { room }                  its last participant left (held
+//                                             seats count until they expire)
+//   canvas-cleared  { room, userId, seq }     the board was cleared
+//
+// `room` is the room as the REST API lists it. The body is JSON:
+//
+//   { id, event, createdAt, data }
+//
+// with headers X-Webhook-Event, X-Webhook-Delivery (the id, the same on every
+// attempt) and X-Webhook-Timestamp (ms). With WEBHOOK_SECRET set, each attempt
+// is signed: X-Webhook-Signature is "sha256=" and the hex HMAC-SHA256 of
+// "<timestamp>.<body>". Receivers should check it (see verifySignature) and
+// reject old timestamps.
+//
+// A delivery that fails (network error, timeout, or a status other than 2xx)
+// is retried up to WEBHOOK_RETRIES times, WEBHOOK_RETRY_DELAY_MS apart at
+// first and doubling each time. Deliveries still waiting when the server stops
+// are lost. webhook-receiver.js prints what it gets, for trying this locally.
+
+const WEBHOOK_EVENT_TYPES = ['room-created', 'room-emptied', 'canvas-cleared'];
+
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const WEBHOOK_EVENTS = process.env.WEBHOOK_EVENTS
+    ? process.env.WEBHOOK_EVENTS.split(',').map(event => event.trim())
+    : WEBHOOK_EVENT_TYPES;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_RETRIES = parseInt(process.env.WEBHOOK_RETRIES, 10) >= 0 ? parseInt(process.env.WEBHOOK_RETRIES, 10) : 5;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 1000;
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+
+if (WEBHOOK_URLS.length > 0 && !WEBHOOK_SECRET) {
+    console.warn('WEBHOOK_URLS is set without WEBHOOK_SECRET: webhooks will not be signed');
+}
+
+// ============ Signatures ============
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function verifySignature(secret, timestamp, body, signature) {
+    if (typeof signature !== 'string' || typeof timestamp !== 'string') return false;
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ============ Delivery ============
+async function deliver(url, event, deliveryId, body, attempt) {
+    const timestamp = String(Date.now());
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Timestamp': timestamp
+    };
+    if (WEBHOOK_SECRET) headers['X-Webhook-Signature'] = signPayload(WEBHOOK_SECRET, timestamp, body);
+
+    let problem;
+    try {
+        const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT) });
+        if (response.body) response.body.cancel().catch(() => {});
+        if (response.ok) return;
+        problem = `HTTP ${response.status}`;
+    } catch (err) {
+        problem = err.message;
+    }
+
+    if (attempt >= WEBHOOK_RETRIES) {
+        console.error(`Webhook ${event} (${deliveryId}) to ${url} failed after ${attempt + 1} attempt(s): ${problem}`);
+        return;
+    }
+    const delay = WEBHOOK_RETRY_DELAY * 2 ** attempt;
+    console.warn(`Webhook ${event} (${deliveryId}) to ${url} failed: ${problem}; retrying in ${delay} ms`);
+    setTimeout(() => deliver(url, event, deliveryId, body, attempt + 1), delay).unref();
+}
+
+// Queue an event for every configured URL
+function sendWebhook(event, data) {
+    if (WEBHOOK_URLS.length === 0 || !WEBHOOK_EVENTS.includes(event)) return;
+
+    const deliveryId = `wh-${crypto.randomBytes(8).toString('hex')}`;
+    const body = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data });
+    WEBHOOK_URLS.forEach(url => deliver(url, event, deliveryId, body, 0));
+}
+
+module.exports = {
+    sendWebhook,
+    signPayload,
+    verifySignature
+};
@@ -0,0 +1,162 @@
+// Compact stroke streaming
+//
+// Brush and eraser strokes are streamed as stroke-append batches: the client
+// collects the points of one animation frame and sends them with the
+// strokeId, plus the style (tool, color, width, layerId) with a stroke's
+// first batch only. Points are packed flat:
+//
+//   [x0, y0, x1, y1, ...]          stride 2
+//   [x0, y0, p0, x1, y1, p1, ...]  stride 3 (brush points with pen pressure)
+//
+// either as a JSON number list or, for clients that asked for binary at join
+// (binaryStrokes), as little-endian float32 bytes. Values are rounded to
+// float32 on the way in whatever the encoding, so JSON and binary clients
+// end up with exactly the same document.
+//
+// extend-stroke operations go out to the room in the same packed form (a
+// stroke-append with the operation's seq), encoded once per encoding, rather
+// than as room-op with nested points. wireStats counts the bytes sent and
+// received against what the per-point draw events used before would have
+// taken, for /stats. In a cluster that happens on the room's home node,
+// which handles the batches whichever node the client is connected to, so
+// /stats adds up the counters of every node.
+
+const { MAX_COORDINATE } = require('./protocol');
+
+const wireStats = {
+    strokeBatches: 0,
+    strokePoints: 0,
+    inbound: { bytes: 0, legacyBytes: 0 },
+    outbound: { bytes: 0, legacyBytes: 0 }
+};
+
+// ============ Encoding ============
+function packedValues(packed) {
+    if (!Buffer.isBuffer(packed)) return packed;
+    const values = new Array(packed.length / 4);
+    for (let i = 0; i < values.length; i++) values[i] = packed.readFloatLE(i * 4);
+    return values;
+}
+
+// Nested points from a packed list or buffer, or null if they do not add up
+// to whole, sane points
+function decodePoints(packed, stride) {
+    const values = packedValues(packed).map(Math.fround);
+    if (values.length === 0 || values.length % stride !== 0) return null;
+
+    const points = [];
+    for (let i = 0; i < values.length; i += stride) {
+        const point = values.slice(i, i + stride);
+        if (!point.every(Number.isFinite)) return null;
+        if (Math.abs(point[0]) > MAX_COORDINATE || Math.abs(point[1]) > MAX_COORDINATE) return null;
+        if (stride === 3 && (point[2] < 0 || point[2] > 1)) return null;
+        points.push(point);
+    }
+    return points;
+}
+
+function packPoints(points) {
+    const values = [];
+    points.forEach(point => values.push(...point));
+    return values;
+}
+
+function toFloat32Buffer(values) {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+    return buffer;
+}
+
+// The outgoing stroke-append for an extend-stroke op, in both encodings.
+// Points that did not come in as a stroke-append (draw, offline-strokes) may
+// not fit float32; then there is no binary form and everyone gets JSON. Null
+// if the points do not share a stride (the op then goes out as a room-op).
+function encodeStrokeAppend(op) {
+    const stride = op.points[0].length;
+    if (!op.points.every(point => point.length === stride)) return null;
+    const values = packPoints(op.points);
+    const header = { seq: op.seq, timestamp: op.timestamp, userId: op.userId, strokeId: op.strokeId, stride };
+    const exact = values.every(value => Math.fround(value) === value);
+    return {
+        json: { ...header, points: values },
+        binary: exact ? { ...header, points: toFloat32Buffer(values) } : null
+    };
+}
+
+// ============ Bandwidth Stats ============
+// Bytes of a stroke-append payload (binary points count as their length)
+function payloadBytes(payload) {
+    if (!Buffer.isBuffer(payload.points)) return JSON.stringify(payload).length;
+    return JSON.stringify({ ...payload, points: 0 }).length + payload.points.length;
+}
+
+// What the stroke's last `count` points cost as one draw event per segment
+// (the format this replaces); relays also carried the sender's name
+function legacyDrawBytes(stroke, count, relayed) {
+    let bytes = 0;
+    for (let i = Math.max(1, stroke.points.length - count); i < stroke.points.length; i++) {
+        const [fromX, fromY] = stroke.points[i - 1];
+        const [toX, toY] = stroke.points[i];
+        bytes += JSON.stringify({
+            fromX, fromY, toX, toY,
+            color: stroke.style.color, width: stroke.style.width, tool: stroke.tool,
+            strokeId: stroke.strokeId, layerId: stroke.layerId,
+            ...(relayed ? { userId: stroke.userId, userName: stroke.userName } : {})
+        }).length;
+    }
+    return bytes;
+}
+
+// A batch received from a client; `stroke` already has its `count` new points
+function countInbound(payload, stroke, count) {
+    wireStats.strokeBatches += 1;
+    wireStats.strokePoints += count;
+    wireStats.inbound.bytes += payloadBytes(payload);
+    wireStats.inbound.legacyBytes += legacyDrawBytes(stroke, count, false);
+}
+
+// A relay of `count` new points sent to `recipients` JSON and
+// `binaryRecipients` binary clients
+function countOutbound(encoded, stroke, count, recipients, binaryRecipients) {
+    const total = recipients + binaryRecipients;
+    wireStats.outbound.bytes += payloadBytes(encoded.json) * recipients +
+        (binaryRecipients > 0 ? payloadBytes(encoded.binary) * binaryRecipients : 0);
+    wireStats.outbound.legacyBytes += legacyDrawBytes(stroke, count, true) * total;
+}
+
+function savedShare({ bytes, legacyBytes }) {
+    return legacyBytes > 0 ? Math.round((1 - bytes / legacyBytes) * 1000) / 10 : 0;
+}
+
+// This server's counters, to add up with other servers'
+function getWireCounters() {
+    return {
+        strokeBatches: wireStats.strokeBatches,
+        strokePoints: wireStats.strokePoints,
+        inbound: { ...wireStats.inbound },
+        outbound: { ...wireStats.outbound }
+    };
+}
+
+// For /stats: the sum of these counters (this server's by default) plus the
+// share saved (percent) in each direction
+function getWireStats(counters = [getWireCounters()]) {
+    const sum = (pick) => counters.reduce((total, entry) => total + pick(entry), 0);
+    const inbound = { bytes: sum(entry => entry.inbound.bytes), legacyBytes: sum(entry => entry.inbound.legacyBytes) };
+    const outbound = { bytes: sum(entry => entry.outbound.bytes), legacyBytes: sum(entry => entry.outbound.legacyBytes) };
+    return {
+        strokeBatches: sum(entry => entry.strokeBatches),
+        strokePoints: sum(entry => entry.strokePoints),
+        inbound: { ...inbound, savedPercent: savedShare(inbound) },
+        outbound: { ...outbound, savedPercent: savedShare(outbound) }
+    };
+}
+
+module.exports = {
+    decodePoints,
+    encodeStrokeAppend,
+    countInbound,
+    countOutbound,
+    getWireCounters,
+    getWireStats
+};